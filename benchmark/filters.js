@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+// Compares the throughput of the filters with the pattern-based encoders they
+// replaced (benchmark/baseline.js), on inputs like those in rendered pages.
+// Outputs are checked to be identical first.
+//
+//   npm run bench                  # every filter
+//   npm run bench -- html uri      # just these
+//   BENCH_MS=1000 npm run bench    # time each run for longer (default 200ms)
+
+var assert = require('assert');
+var base = require('./baseline');
+var secureFilters = require('../index');
+
+var BENCH_MS = parseInt(process.env.BENCH_MS, 10) || 200;
+
+var FILTERS = ['html', 'js', 'jsAttr', 'uri', 'json', 'jsObj', 'css', 'style',
+  'xml', 'xmlAttr'];
+
+var PROSE = 'Thanks for the quick reply. I tried the steps from the ' +
+  'release notes, restarted the service twice, and cleared the cache, but ' +
+  'the report still comes back empty for accounts created before March. ' +
+  'Could it be the time zone setting? Our server runs on UTC, while most ' +
+  'of our users are in Pacific time. Let me know if you need the logs.';
+
+// Each input is a list of strings, encoded one by one like template values.
+var INPUTS = {
+  'table cells': ['Alice Smith', '42', '2014-06-01', 'alice@example.com',
+    'Pending', '1,234.56', 'Sales - West', 'O\'Brien', 'R&D', 'n/a', 'Yes',
+    '555-0100', 'Acme Corp.', '3', 'Closed Won', 'https://example.com/a/1'],
+  'prose': [PROSE],
+  'markup': ['<p>Check <b>this</b> out: <a href="/x?a=1&b=2">"link"</a></p>',
+    '"\'><script>alert(document.cookie)</script>', 'a < b && c > d',
+    'She said "it\'s <i>fine</i>" & left.'],
+  'non-ASCII': ['Jos\u00E9 Garc\u00EDa', 'M\u00FCnchen \u2013 Z\u00FCrich',
+    '\u6771\u4EAC\u90FD\u6E2F\u533A', '\u041C\u043E\u0441\u043A\u0432\u0430',
+    'caf\u00E9 \uD83D\uDE00 \u2615'],
+  'URLs': ['https://example.com/search?q=secure+filters&page=2',
+    '/users/12345/profile', 'mailto:support@example.com?subject=Hi there'],
+  'JSON': [JSON.stringify({id: 12345, name: 'Alice Smith', tags: ['a', 'b'],
+    note: PROSE, html: '<b>bold</b>', ok: true, score: 1.5e21})]
+};
+
+/**
+ * Runs `fn` over the inputs for about BENCH_MS milliseconds.
+ * @return {number} strings encoded per second
+ */
+function measure(fn, inputs) {
+  var count = 0;
+  var start = process.hrtime();
+  var elapsed = 0;
+  while (elapsed < BENCH_MS) {
+    for (var rep = 0; rep < 100; rep++) {
+      for (var i = 0; i < inputs.length; i++) {
+        fn(inputs[i]);
+      }
+    }
+    count += 100 * inputs.length;
+    var diff = process.hrtime(start);
+    elapsed = diff[0] * 1e3 + diff[1] / 1e6;
+  }
+  return count / elapsed * 1e3;
+}
+
+function pad(str, width) {
+  str = String(str);
+  while (str.length < width) {
+    str = ' ' + str;
+  }
+  return str;
+}
+
+function main(names) {
+  names = names.length ? names : FILTERS;
+  names.forEach(function(name) {
+    assert(FILTERS.indexOf(name) !== -1, 'no benchmark for ' + name);
+  });
+
+  console.log('before: benchmark/baseline.js, after: lib/secure-filters.js\n');
+
+  console.log(pad('filter', 8) + pad('input', 13) + pad('before/s', 12) +
+    pad('after/s', 12) + pad('speed-up', 10));
+  names.forEach(function(name) {
+    Object.keys(INPUTS).forEach(function(label) {
+      var inputs = INPUTS[label];
+      if (name === 'json') {
+        inputs = inputs.map(function(input) {
+          return JSON.stringify(input);
+        });
+      }
+      inputs.forEach(function(input) {
+        assert.strictEqual(secureFilters[name](input), base[name](input),
+          name + ' changed the output for ' + JSON.stringify(input));
+      });
+      // warm up both, then time them
+      measure(base[name], inputs);
+      measure(secureFilters[name], inputs);
+      var before = measure(base[name], inputs);
+      var after = measure(secureFilters[name], inputs);
+      console.log(pad(name, 8) + pad(label, 13) +
+        pad(Math.round(before), 12) + pad(Math.round(after), 12) +
+        pad((after / before).toFixed(2) + 'x', 10));
+    });
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,148 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+// Types for index.mjs.
+import secureFilters = require('./index.js');
+
+export default secureFilters;
+
+export declare const html: typeof secureFilters.html;
+export declare const js: typeof secureFilters.js;
+export declare const jsAttr: typeof secureFilters.jsAttr;
+export declare const jsTemplate: typeof secureFilters.jsTemplate;
+export declare const jsRegex: typeof secureFilters.jsRegex;
+export declare const jsIdentifier: typeof secureFilters.jsIdentifier;
+export declare const uri: typeof secureFilters.uri;
+export declare const safeUrl: typeof secureFilters.safeUrl;
+export declare const json: typeof secureFilters.json;
+export declare const jsObj: typeof secureFilters.jsObj;
+export declare const css: typeof secureFilters.css;
+export declare const style: typeof secureFilters.style;
+export declare const cssValue: typeof secureFilters.cssValue;
+export declare const cssDeclarations: typeof secureFilters.cssDeclarations;
+export declare const attrs: typeof secureFilters.attrs;
+export declare const xml: typeof secureFilters.xml;
+export declare const xmlAttr: typeof secureFilters.xmlAttr;
+export declare const cdata: typeof secureFilters.cdata;
+export declare const csvCell: typeof secureFilters.csvCell;
+export declare const ldapFilter: typeof secureFilters.ldapFilter;
+export declare const ldapDn: typeof secureFilters.ldapDn;
+export declare const configure: typeof secureFilters.configure;
+export declare const create: typeof secureFilters.create;
+export declare const isTrusted: typeof secureFilters.isTrusted;
+export declare const trusted: typeof secureFilters.trusted;
+export declare const decode: typeof secureFilters.decode;
+export declare const onEncode: typeof secureFilters.onEncode;
+export declare const autoescape: typeof secureFilters.autoescape;
+export declare const sanitizeHtml: typeof secureFilters.sanitizeHtml;
+export declare const safeHtml: typeof secureFilters.safeHtml;
+export declare const audit: typeof secureFilters.audit;
+export declare const FilterStream: typeof secureFilters.FilterStream;
+export declare const createHtmlStream: typeof secureFilters.createHtmlStream;
+export declare const createJsStream: typeof secureFilters.createJsStream;
+export declare const createCssStream: typeof secureFilters.createCssStream;
+export declare const createUriStream: typeof secureFilters.createUriStream;
+export declare const createNonce: typeof secureFilters.createNonce;
+export declare const scriptTag: typeof secureFilters.scriptTag;
+export declare const styleTag: typeof secureFilters.styleTag;
+export declare const jsonScript: typeof secureFilters.jsonScript;
+export declare const cspHeader: typeof secureFilters.cspHeader;
+export declare const cspNonce: typeof secureFilters.cspNonce;
+export declare const shellArg: typeof secureFilters.shellArg;
+export declare const shellCommand: typeof secureFilters.shellCommand;
+export declare const escapeDeep: typeof secureFilters.escapeDeep;
+export declare const safeJsonBody: typeof secureFilters.safeJsonBody;
+export declare const safeJsonpBody: typeof secureFilters.safeJsonpBody;
+export declare const expressHelpers: typeof secureFilters.expressHelpers;
+export declare const koaHelpers: typeof secureFilters.koaHelpers;
+
+export type Encoded<Filter extends string> = secureFilters.Encoded<Filter>;
+export type HtmlString = secureFilters.HtmlString;
+export type JsString = secureFilters.JsString;
+export type JsAttrString = secureFilters.JsAttrString;
+export type JsTemplateString = secureFilters.JsTemplateString;
+export type JsRegexString = secureFilters.JsRegexString;
+export type JsIdentifierString = secureFilters.JsIdentifierString;
+export type UriString = secureFilters.UriString;
+export type SafeUrlString = secureFilters.SafeUrlString;
+export type JsonString = secureFilters.JsonString;
+export type JsObjString = secureFilters.JsObjString;
+export type CssString = secureFilters.CssString;
+export type StyleString = secureFilters.StyleString;
+export type CssValueString = secureFilters.CssValueString;
+export type CssDeclarationsString = secureFilters.CssDeclarationsString;
+export type AttrsString = secureFilters.AttrsString;
+export type XmlString = secureFilters.XmlString;
+export type XmlAttrString = secureFilters.XmlAttrString;
+export type CdataString = secureFilters.CdataString;
+export type CsvCellString = secureFilters.CsvCellString;
+export type LdapFilterString = secureFilters.LdapFilterString;
+export type LdapDnString = secureFilters.LdapDnString;
+export type TrustedType = secureFilters.TrustedType;
+export type TrustedValue<Type extends TrustedType = TrustedType> =
+  secureFilters.TrustedValue<Type>;
+export type Trusted = secureFilters.Trusted;
+export type SafeUrlOptions = secureFilters.SafeUrlOptions;
+export type AttrsOptions = secureFilters.AttrsOptions;
+export type CssDeclarationsOptions = secureFilters.CssDeclarationsOptions;
+export type EngineName = secureFilters.EngineName;
+export type ConfigureOptions = secureFilters.ConfigureOptions;
+export type CreateOptions = secureFilters.CreateOptions;
+export type DangerousPattern = secureFilters.DangerousPattern;
+export type EncodeEvent = secureFilters.EncodeEvent;
+export type OnEncodeOptions = secureFilters.OnEncodeOptions;
+export type Decoders = secureFilters.Decoders;
+export type FilterSet = secureFilters.FilterSet;
+export type TagOptions = secureFilters.TagOptions;
+export type Autoescape = secureFilters.Autoescape;
+export type SanitizePolicy = secureFilters.SanitizePolicy;
+export type SanitizeHtml = secureFilters.SanitizeHtml;
+export type AuditOptions = secureFilters.AuditOptions;
+export type AuditProblemCode = secureFilters.AuditProblemCode;
+export type AuditProblem = secureFilters.AuditProblem;
+export type AuditInterpolation = secureFilters.AuditInterpolation;
+export type AuditReport = secureFilters.AuditReport;
+export type FilterStream = secureFilters.FilterStream;
+export type FilterStreamOptions = secureFilters.FilterStreamOptions;
+export type CspDirectives = secureFilters.CspDirectives;
+export type CspNonceOptions = secureFilters.CspNonceOptions;
+export type CspResponse = secureFilters.CspResponse;
+export type ShellName = secureFilters.ShellName;
+export type ShellArgOptions = secureFilters.ShellArgOptions;
+export type ShellTag = secureFilters.ShellTag;
+export type EscapeSchema = secureFilters.EscapeSchema;
+export type EscapeDeepOptions = secureFilters.EscapeDeepOptions;
+export type EscapedDeep<T> = secureFilters.EscapedDeep<T>;
+export type EscapeDeep = secureFilters.EscapeDeep;
+export type SafeJsonOptions = secureFilters.SafeJsonOptions;
+export type ResponseHelpersOptions = secureFilters.ResponseHelpersOptions;
+export type SafeJsonResponse = secureFilters.SafeJsonResponse;
+export type SecureFilters = secureFilters.SecureFilters;
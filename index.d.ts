@@ -0,0 +1,290 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+// Type definitions for secure-filters under node.js: the filters from
+// lib/secure-filters.d.ts, plus the node.js-only functions.
+
+/// <reference types="node" />
+
+import core = require('./lib/secure-filters');
+import stream = require('stream');
+
+/** Encodes the text written to it with a filter. */
+declare class SecureFilterStream extends stream.Transform {
+  constructor(filter: (value: string) => string,
+    options?: stream.TransformOptions);
+}
+
+declare namespace secureFilters {
+  type Encoded<Filter extends string> = core.Encoded<Filter>;
+  type HtmlString = core.HtmlString;
+  type JsString = core.JsString;
+  type JsAttrString = core.JsAttrString;
+  type JsTemplateString = core.JsTemplateString;
+  type JsRegexString = core.JsRegexString;
+  type JsIdentifierString = core.JsIdentifierString;
+  type UriString = core.UriString;
+  type SafeUrlString = core.SafeUrlString;
+  type JsonString = core.JsonString;
+  type JsObjString = core.JsObjString;
+  type CssString = core.CssString;
+  type StyleString = core.StyleString;
+  type CssValueString = core.CssValueString;
+  type CssDeclarationsString = core.CssDeclarationsString;
+  type AttrsString = core.AttrsString;
+  type XmlString = core.XmlString;
+  type XmlAttrString = core.XmlAttrString;
+  type CdataString = core.CdataString;
+  type CsvCellString = core.CsvCellString;
+  type LdapFilterString = core.LdapFilterString;
+  type LdapDnString = core.LdapDnString;
+  type TrustedType = core.TrustedType;
+  type TrustedValue<Type extends TrustedType = TrustedType> =
+    core.TrustedValue<Type>;
+  type Trusted = core.Trusted;
+  type SafeUrlOptions = core.SafeUrlOptions;
+  type AttrsOptions = core.AttrsOptions;
+  type CssDeclarationsOptions = core.CssDeclarationsOptions;
+  type EngineName = core.EngineName;
+  type ConfigureOptions = core.ConfigureOptions;
+  type CreateOptions = core.CreateOptions;
+  type DangerousPattern = core.DangerousPattern;
+  type EncodeEvent = core.EncodeEvent;
+  type OnEncodeOptions = core.OnEncodeOptions;
+  type Decoders = core.Decoders;
+  type FilterSet = core.FilterSet;
+
+  interface TagOptions {
+    /** The tag delimiters; `<%` and `%>` by default, as for EJS. */
+    open?: string;
+    close?: string;
+  }
+
+  interface Autoescape {
+    /** Rewrites `<%= %>` tags to use the filter chain for their context. */
+    transform(template: string, options?: TagOptions): string;
+    /** Makes EJS compile templates with `transform()`, and returns it. */
+    configure<Ejs extends object>(ejs: Ejs): Ejs;
+  }
+
+  interface SanitizePolicy {
+    /** The allowed elements, and the attributes allowed on each. */
+    elements?: {[element: string]: string[]};
+    /** Attributes allowed on every allowed element. */
+    attributes?: string[];
+    /** The allowed schemes of URL attributes. */
+    urlSchemes?: string[];
+    /** Whether to drop or encode disallowed markup; `'drop'` by default. */
+    disallowed?: 'drop' | 'encode';
+  }
+
+  interface SanitizeHtml {
+    (value: unknown, policy?: SanitizePolicy): HtmlString;
+    readonly DEFAULT_POLICY: SanitizePolicy;
+  }
+
+  interface AuditOptions extends TagOptions {
+    /** Reported as-is, for finding the template. */
+    filename?: string;
+    /** Prepended to the filter names, as for `configure()`. */
+    prefix?: string;
+    /** EJS's escape function is `html()`. */
+    escape?: boolean;
+    /** Templates are compiled with `autoescape.configure()`. */
+    autoescape?: boolean;
+  }
+
+  type AuditProblemCode = 'unfiltered' | 'wrong-filter' | 'unknown-filter' |
+    'unsafe-context' | 'unquoted-attribute';
+
+  interface AuditProblem {
+    code: AuditProblemCode;
+    message: string;
+  }
+
+  interface AuditInterpolation {
+    line: number;
+    column: number;
+    source: string;
+    kind: 'escaped' | 'raw' | 'filtered' | 'rawFiltered';
+    expression: string;
+    /** The filters applied, in order; `'escape'` for EJS's own escaping. */
+    filters: string[];
+    context: string;
+    state: string;
+    element: string | null;
+    attribute: string | null;
+    /** The filter chain that's safe here, or null if none is. */
+    expected: string[] | null;
+    autoescaped: boolean;
+    problems: AuditProblem[];
+  }
+
+  interface AuditReport {
+    filename: string | null;
+    ok: boolean;
+    /** The number of problems found. */
+    problems: number;
+    interpolations: AuditInterpolation[];
+  }
+
+  interface FilterStreamOptions extends stream.TransformOptions {
+    /** A filter set from `create()` to use instead of the defaults. */
+    filters?: FilterSet;
+  }
+
+  interface CspDirectives {
+    /** Sources for each directive, or `false` to remove it. */
+    [directive: string]: string | string[] | false | null;
+  }
+
+  interface CspNonceOptions {
+    directives?: CspDirectives;
+    /** Send `Content-Security-Policy-Report-Only` instead. */
+    reportOnly?: boolean;
+    /** Set to `false` to send no header. */
+    header?: boolean;
+    /** The name in `res.locals`; `'nonce'` by default. */
+    local?: string;
+    /** The size of the nonce; 16 bytes by default. */
+    bytes?: number;
+  }
+
+  interface CspResponse {
+    locals?: {[name: string]: unknown};
+    setHeader(name: string, value: string): unknown;
+  }
+
+  type ShellName = 'posix' | 'cmd' | 'powershell';
+
+  interface ShellArgOptions {
+    /** The shell the command is for; `'posix'` by default. */
+    shell?: ShellName;
+    /** Allow a leading `-`, which the command could read as an option. */
+    allowDash?: boolean;
+  }
+
+  type ShellTag = (strings: ReadonlyArray<string>,
+    ...values: unknown[]) => string;
+
+  /** A filter name for everything below, or a schema for each property. */
+  type EscapeSchema = string | {[key: string]: EscapeSchema};
+
+  interface EscapeDeepOptions {
+    /** A filter set from `create()` to use instead of the defaults. */
+    filters?: FilterSet;
+    /** The most levels of nested objects and arrays; 100 by default. */
+    maxDepth?: number;
+  }
+
+  /** A view model with its strings, and other objects, encoded. */
+  type EscapedDeep<T> =
+    T extends string | TrustedValue | Date ? string :
+    T extends (...args: any[]) => any ? T :
+    T extends ReadonlyArray<infer Item> ? Array<EscapedDeep<Item>> :
+    T extends object ? {[Key in keyof T]: EscapedDeep<T[Key]>} :
+    T;
+
+  interface EscapeDeep {
+    <T>(value: T, schema?: EscapeSchema | null,
+      options?: EscapeDeepOptions): EscapedDeep<T>;
+    /** A read-only view that encodes values as they're read. */
+    lazy<T>(value: T, schema?: EscapeSchema | null,
+      options?: EscapeDeepOptions): Readonly<EscapedDeep<T>>;
+  }
+
+  interface SafeJsonOptions {
+    /** Start the body with `)]}',` and a newline. */
+    prefix?: boolean;
+  }
+
+  interface ResponseHelpersOptions {
+    /** The filters to add; all of them by default. */
+    include?: string[];
+    /** Filters not to add. */
+    exclude?: string[];
+    /** Prepended to each filter's name. */
+    prefix?: string;
+    /** Set to `false` to add no filters. */
+    locals?: boolean;
+    /** A filter set from `create()` to use instead of the defaults. */
+    filters?: FilterSet;
+    /** The JSONP query parameter; `'callback'` by default. */
+    callback?: string;
+    /** Whether `safeJson()` uses the prefix by default. */
+    jsonPrefix?: boolean;
+  }
+
+  /** What the middleware adds to Express's `res` or Koa's `ctx`. */
+  interface SafeJsonResponse {
+    safeJson(data: unknown, options?: SafeJsonOptions): unknown;
+    safeJsonp(data: unknown): unknown;
+  }
+
+  type FilterStream = SecureFilterStream;
+
+  interface SecureFilters extends core.SecureFilters {
+    autoescape: Autoescape;
+    sanitizeHtml: SanitizeHtml;
+    safeHtml(strings: ReadonlyArray<string>,
+      ...values: unknown[]): TrustedValue<'html'>;
+    audit(template: string, options?: AuditOptions): AuditReport;
+
+    FilterStream: typeof SecureFilterStream;
+    createHtmlStream(options?: FilterStreamOptions): FilterStream;
+    createJsStream(options?: FilterStreamOptions): FilterStream;
+    createCssStream(options?: FilterStreamOptions): FilterStream;
+    createUriStream(options?: FilterStreamOptions): FilterStream;
+
+    createNonce(bytes?: number): string;
+    scriptTag(code: string, nonce?: string): TrustedValue<'html'>;
+    styleTag(css: string, nonce?: string): TrustedValue<'html'>;
+    jsonScript(id: string | null | undefined,
+      data: unknown): TrustedValue<'html'>;
+    cspHeader(nonce: string, directives?: CspDirectives): string;
+    cspNonce(options?: CspNonceOptions): (req: unknown, res: CspResponse,
+      next: () => void) => void;
+
+    shellArg(value: unknown, options?: ShellArgOptions): string;
+    shellCommand: ShellTag & ((options: ShellArgOptions) => ShellTag);
+    escapeDeep: EscapeDeep;
+
+    safeJsonBody(data: unknown, options?: SafeJsonOptions): string;
+    safeJsonpBody(callback: string, data: unknown): string;
+    expressHelpers(options?: ResponseHelpersOptions): (req: unknown,
+      res: unknown, next: () => void) => void;
+    koaHelpers(options?: ResponseHelpersOptions): (ctx: unknown,
+      next: () => Promise<unknown>) => Promise<unknown>;
+  }
+}
+
+declare const secureFilters: secureFilters.SecureFilters;
+export = secureFilters;
@@ -28,4 +28,37 @@
  * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
  * POSSIBILITY OF SUCH DAMAGE.
  */
-module.exports = require('./lib/secure-filters');
+var secureFilters = module.exports = require('./lib/secure-filters');
+
+// Node.js-only additions; these aren't part of the client-side build.
+secureFilters.autoescape = require('./lib/autoescape');
+secureFilters.sanitizeHtml = require('./lib/sanitize-html');
+secureFilters.safeHtml = require('./lib/safe-html');
+secureFilters.audit = require('./lib/audit');
+
+var filterStream = require('./lib/filter-stream');
+secureFilters.FilterStream = filterStream.FilterStream;
+secureFilters.createHtmlStream = filterStream.createHtmlStream;
+secureFilters.createJsStream = filterStream.createJsStream;
+secureFilters.createCssStream = filterStream.createCssStream;
+secureFilters.createUriStream = filterStream.createUriStream;
+
+var csp = require('./lib/csp');
+secureFilters.createNonce = csp.createNonce;
+secureFilters.scriptTag = csp.scriptTag;
+secureFilters.styleTag = csp.styleTag;
+secureFilters.jsonScript = csp.jsonScript;
+secureFilters.cspHeader = csp.cspHeader;
+secureFilters.cspNonce = csp.cspNonce;
+
+var shell = require('./lib/shell');
+secureFilters.shellArg = shell.shellArg;
+secureFilters.shellCommand = shell.shellCommand;
+
+secureFilters.escapeDeep = require('./lib/escape-deep');
+
+var responses = require('./lib/responses');
+secureFilters.safeJsonBody = responses.safeJsonBody;
+secureFilters.safeJsonpBody = responses.safeJsonpBody;
+secureFilters.expressHelpers = responses.expressHelpers;
+secureFilters.koaHelpers = responses.koaHelpers;
@@ -0,0 +1,246 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Audits EJS templates for output that isn't escaped for its context: raw
+ * `<%- %>` output, filters that don't match the surrounding HTML context and
+ * values placed where no filter is safe.
+ *
+ * See "Auditing templates" in README.md for full documentation.
+ */
+
+var secureFilters = require('./secure-filters');
+var htmlContext = require('./html-context');
+var ejsTags = require('./ejs-tags');
+
+var FILTER_NAMES = secureFilters.configure.FILTER_NAMES;
+
+// Filters that are shorthand for a chain of filters.
+var COMPOSITE_FILTERS = {
+  jsAttr: ['js', 'html'],
+  style: ['css', 'html']
+};
+
+// Filters that are interchangeable with another for the audit.
+var EQUIVALENT_FILTERS = {
+  json: 'jsObj',
+  jsTemplate: 'js'
+};
+
+// A call of a filter, e.g. `filters.html( x )` or `secureFilters.js(x)`.
+var FILTER_CALL = /^\s*(?:[A-Za-z_$][\w$]*\.)*([A-Za-z_$][\w$]*)\s*\(([\s\S]*)\)\s*$/;
+var FILTER_NAME = /^\s*([A-Za-z_$][\w$]*)/;
+
+/**
+ * Finds the filter chain applied by a tag, in the order the filters are
+ * applied.
+ * @param {string} kind 'escaped', 'raw' or 'filtered'
+ * @param {string} expr the tag's expression, after the `=` or `-` and any `:`
+ * @param {Object} options
+ * @return {Object} `expression` and `filters`
+ * @private
+ */
+function appliedChain(kind, expr, options) {
+  var prefix = options.prefix || '';
+  var filters = [];
+  var i;
+
+  if (kind === 'filtered' || kind === 'rawFiltered') {
+    // `<%=: value | name:args | name %>`, split like EJS does
+    var parts = expr.split('|');
+    expr = parts[0];
+    for (i = 1; i < parts.length; i++) {
+      var name = FILTER_NAME.exec(parts[i]);
+      filters.push(name ? unprefix(name[1], prefix) : parts[i].trim());
+    }
+  } else {
+    // `<%- filters.outer(filters.inner( value )) %>`
+    var call;
+    while ((call = FILTER_CALL.exec(expr)) &&
+           FILTER_NAMES.indexOf(unprefix(call[1], prefix)) !== -1) {
+      filters.unshift(unprefix(call[1], prefix));
+      expr = call[2];
+    }
+  }
+
+  if (kind === 'escaped' || kind === 'filtered') {
+    filters.push('escape');
+  }
+  return {expression: expr.trim(), filters: filters};
+}
+
+/**
+ * Removes the configure() prefix from a filter name.
+ * @private
+ */
+function unprefix(name, prefix) {
+  return (prefix && name.indexOf(prefix) === 0) ? name.slice(prefix.length) : name;
+}
+
+/**
+ * Expands composite filters and maps equivalent ones, so that chains can be
+ * compared.
+ * @param {Array} chain
+ * @return {Array}
+ * @private
+ */
+function normalize(chain) {
+  var out = [];
+  for (var i = 0; i < chain.length; i++) {
+    var name = chain[i];
+    if (name === 'escape') {
+      // EJS's own escape() is close enough to html() for the audit; it's
+      // checked separately for single-quoted attributes.
+      name = 'html';
+    }
+    name = EQUIVALENT_FILTERS[name] || name;
+    out = out.concat(COMPOSITE_FILTERS[name] || [name]);
+  }
+  return out;
+}
+
+/**
+ * Finds the problems with one interpolation.
+ * @private
+ */
+function findProblems(entry, context, options) {
+  var problems = [];
+  var desc = htmlContext.describe(context);
+  var applied = entry.filters;
+  var expected = entry.expected;
+
+  function problem(code, message) {
+    problems.push({code: code, message: message});
+  }
+
+  var unknown = [];
+  for (var i = 0; i < applied.length; i++) {
+    if (applied[i] !== 'escape' && FILTER_NAMES.indexOf(applied[i]) === -1) {
+      unknown.push(applied[i]);
+    }
+  }
+
+  if (!expected) {
+    problem('unsafe-context', 'no filter is safe in ' + desc);
+  } else if (entry.autoescaped) {
+    return problems;
+  } else if (applied.length === 0) {
+    problem('unfiltered', 'unfiltered output in ' + desc +
+      '; expected ' + expected.join(', '));
+  } else if (unknown.length) {
+    problem('unknown-filter', 'unknown filter ' + unknown.join(', ') +
+      ' in ' + desc + '; expected ' + expected.join(', '));
+  } else if (normalize(applied).join() !== normalize(expected).join()) {
+    problem('wrong-filter', applied.join(', ') + ' used in ' + desc +
+      '; expected ' + expected.join(', '));
+  } else if (!options.escape && applied.indexOf('escape') !== -1 &&
+             context.quote === '\'') {
+    problem('wrong-filter', 'EJS escape() does not encode \' in ' + desc +
+      '; expected ' + expected.join(', '));
+  }
+
+  if (context.unquotedStart && !entry.autoescaped) {
+    problem('unquoted-attribute', 'value starts an ' + desc +
+      '; quote the attribute');
+  }
+  return problems;
+}
+
+/**
+ * Audits the output tags of an EJS template.  Every `<%= %>` and `<%- %>`
+ * (filtered or not) is reported with its position, HTML context and filter
+ * chain, and any problems found.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var audit = require('secure-filters').audit;
+ *   var report = audit(fs.readFileSync(file, 'utf8'), {filename: file});
+ *   console.log(JSON.stringify(report, null, 2));
+ *   process.exit(report.ok ? 0 : 1);
+ * ```
+ *
+ * @param {string} str the EJS template
+ * @param {Object} [options] `filename`; `open` and `close` tag delimiters;
+ * `prefix` of the filter names, as for `configure()`; `escape`, if EJS's
+ * escape function is `html`; `autoescape`, if templates are compiled with
+ * `autoescape.configure()`
+ * @return {Object} the report, which can be serialized as JSON
+ */
+function audit(str, options) {
+  options = options || {};
+  var interpolations = [];
+  var problemCount = 0;
+
+  ejsTags.scan(str, options, function(tag, context) {
+    if (!tag.type) {
+      return; // scriptlet
+    }
+    var kind = (tag.type === '=') ? 'escaped' : 'raw';
+    if (tag.filtered) {
+      kind = (tag.type === '=') ? 'filtered' : 'rawFiltered';
+    }
+
+    var at = htmlContext.position(str, tag.start);
+    var chain = appliedChain(kind, tag.expression, options);
+    var entry = {
+      line: at.line,
+      column: at.column,
+      source: tag.source,
+      kind: kind,
+      expression: chain.expression,
+      filters: chain.filters,
+      context: htmlContext.describe(context),
+      state: context.state,
+      element: context.element || null,
+      attribute: context.attr || null,
+      expected: htmlContext.filterChain(context),
+      autoescaped: !!options.autoescape && kind === 'escaped'
+    };
+    if (entry.autoescaped && entry.expected) {
+      entry.filters = entry.expected;
+    }
+    entry.problems = findProblems(entry, context, options);
+    problemCount += entry.problems.length;
+    interpolations.push(entry);
+  });
+
+  return {
+    filename: options.filename || null,
+    ok: problemCount === 0,
+    problems: problemCount,
+    interpolations: interpolations
+  };
+}
+
+module.exports = audit;
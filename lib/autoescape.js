@@ -0,0 +1,145 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Context-aware auto-escaping for EJS templates.
+ *
+ * Every `<%= value %>` in a template is rewritten at compile time to apply the
+ * chain of secure-filters functions that matches the HTML context it appears
+ * in: `html` in text, `jsAttr` in a string inside an `onclick` attribute,
+ * `css` in a `<style>` block, and so on.
+ *
+ * See "Context-aware auto-escaping" in README.md for full documentation.
+ */
+
+var secureFilters = require('./secure-filters');
+var htmlContext = require('./html-context');
+var ejsTags = require('./ejs-tags');
+
+/**
+ * Rewrites the `<%= %>` tags of an EJS template so that each value is
+ * escaped with the filter chain for its context.  Raw (`<%- %>`) and
+ * explicitly filtered (`<%=: value | filter %>`) output is left alone.
+ *
+ * Throws an `Error` for values placed where no filter chain is safe, e.g.
+ * inside an HTML comment or between the attributes of a tag.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var autoescape = require('secure-filters').autoescape;
+ *   autoescape.transform('<a title="<%= title %>">');
+ *   // => '<a title="<%- filters.html( title ) %>">'
+ * ```
+ *
+ * @param {string} str the EJS template
+ * @param {Object} [options] `open` and `close` tag delimiters, as for EJS
+ * @return {string} the rewritten template
+ */
+function transform(str, options) {
+  options = options || {};
+  var open = options.open || '<%';
+  var close = options.close || '%>';
+  var out = '';
+
+  ejsTags.scan(str, options, function(tag, context) {
+    if (tag.type !== '=' || tag.filtered) {
+      out += tag.source;
+      return;
+    }
+
+    var chain = htmlContext.filterChain(context);
+    if (!chain) {
+      var at = htmlContext.position(str, tag.start);
+      throw new Error('secure-filters cannot auto-escape a value in ' +
+        htmlContext.describe(context) + ' at line ' + at.line +
+        ', column ' + at.column);
+    }
+
+    var expr = tag.expression;
+    for (var i = 0; i < chain.length; i++) {
+      expr = 'filters.' + chain[i] + '(' + expr + ')';
+    }
+    // EJS drops the last two characters of a `-%>` tag (and the newline
+    // after it); keep them at the end.
+    var output = open + '- ' + expr + (tag.trim || ' ') + close;
+    if (context.unquotedStart) {
+      output = '"' + output + '"';
+    }
+    out += output;
+  }, function(text) {
+    out += text;
+  });
+  return out;
+}
+
+/**
+ * Adds this module's filters to ejs, like `secureFilters.configure()`, and
+ * makes `<%= %>` escape each value for the context it appears in.
+ *
+ * Requires EJS 0.8 or 1.x, which expose `ejs.parse()` and `ejs.filters`.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var secureFilters = require('secure-filters');
+ *   var ejs = secureFilters.autoescape.configure(require('ejs'));
+ * ```
+ *
+ * @param {Object} ejs the EJS package object
+ * @return {Object} the same EJS object
+ */
+function configure(ejs) {
+  if (typeof ejs.parse !== 'function') {
+    throw new Error('secure-filters auto-escaping requires ejs.parse()');
+  }
+  secureFilters.configure(ejs);
+
+  var parse = ejs.parse;
+  if (parse.secureFiltersAutoescape) {
+    return ejs;
+  }
+  ejs.parse = function(str, options) {
+    options = options || {};
+    var rewritten = transform(str, {
+      open: options.open || ejs.open,
+      close: options.close || ejs.close
+    });
+    return parse.call(this, rewritten, options);
+  };
+  ejs.parse.secureFiltersAutoescape = true;
+  return ejs;
+}
+
+exports.transform = transform;
+exports.configure = configure;
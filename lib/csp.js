@@ -0,0 +1,237 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Helpers for pages served with a nonce-based Content-Security-Policy: nonces,
+ * inline `<script>` and `<style>` elements, JSON data islands and the policy
+ * header itself.
+ *
+ * See "Content-Security-Policy" in README.md for full documentation.
+ */
+
+var crypto = require('crypto');
+var secureFilters = require('./secure-filters');
+var safeJsonBody = require('./responses').safeJsonBody;
+
+var NONCE = /^[A-Za-z0-9+\/\-_]+={0,2}$/;
+// Inline code can't be escaped, so these are refused.  "<!--" and "<script"
+// would put the HTML parser in the "script data escaped" states.
+var SCRIPT_BREAKOUT = /<\/script|<!--|<script/i;
+var STYLE_BREAKOUT = /<\/style/i;
+// Characters that would end a source, a directive or the whole policy.
+var POLICY_UNSAFE = /[;,\x00-\x20\x7F]/;
+
+var DEFAULT_DIRECTIVES = {
+  'script-src': ['\'strict-dynamic\''],
+  'style-src': ['\'self\''],
+  'object-src': ['\'none\''],
+  'base-uri': ['\'none\'']
+};
+// Directives that get the nonce as a source.
+var NONCE_DIRECTIVES = ['script-src', 'style-src'];
+
+/**
+ * Generates a random nonce, base64-encoded.  Use a new one for every response.
+ *
+ * @param {number} [bytes] the amount of randomness; 16 by default
+ * @return {string}
+ */
+function createNonce(bytes) {
+  return crypto.randomBytes(bytes || 16).toString('base64');
+}
+
+/**
+ * Checks a nonce can be put in an attribute and a policy as-is.
+ * @param {string} nonce
+ * @return {string} the nonce
+ * @private
+ */
+function checkNonce(nonce) {
+  if (!NONCE.test(nonce)) {
+    throw new Error('secure-filters nonces must be base64-encoded');
+  }
+  return nonce;
+}
+
+/**
+ * Builds the ` nonce="..."` attribute, if there's a nonce.
+ * @param {string} [nonce]
+ * @return {string}
+ * @private
+ */
+function nonceAttr(nonce) {
+  return nonce ? ' nonce="' + checkNonce(nonce) + '"' : '';
+}
+
+/**
+ * Wraps code in an inline `<script>` element with a nonce.  The code isn't
+ * escaped, since that would change its meaning; an `Error` is thrown if it
+ * contains `</script`, `<script` or `<!--`.  Put untrusted values in the code
+ * with `jsObj()` or `js()`, which never output `<`.
+ *
+ * @param {string} code
+ * @param {string} [nonce] from `createNonce()`
+ * @return {Object} the HTML, wrapped with `secureFilters.trusted.html()`
+ */
+function scriptTag(code, nonce) {
+  code = String(code);
+  if (SCRIPT_BREAKOUT.test(code)) {
+    throw new Error('secure-filters cannot put "</script", "<script" or ' +
+      '"<!--" in an inline script');
+  }
+  return secureFilters.trusted.html(
+    '<script' + nonceAttr(nonce) + '>' + code + '</script>');
+}
+
+/**
+ * Wraps CSS in an inline `<style>` element with a nonce.  An `Error` is
+ * thrown if it contains `</style`.  Put untrusted values in the CSS with
+ * `css()`.
+ *
+ * @param {string} css
+ * @param {string} [nonce] from `createNonce()`
+ * @return {Object} the HTML, wrapped with `secureFilters.trusted.html()`
+ */
+function styleTag(css, nonce) {
+  css = String(css);
+  if (STYLE_BREAKOUT.test(css)) {
+    throw new Error('secure-filters cannot put "</style" in an inline style');
+  }
+  return secureFilters.trusted.html(
+    '<style' + nonceAttr(nonce) + '>' + css + '</style>');
+}
+
+/**
+ * Embeds data in a `<script type="application/json">` element, to be read
+ * with `JSON.parse(element.textContent)`.  The JSON is encoded by
+ * `safeJsonBody()`, like `jsObj()`, so it can't end the element.
+ *
+ * Data islands aren't run, so they need no nonce.
+ *
+ * @param {string} [id] the element's `id`
+ * @param {any} data
+ * @return {Object} the HTML, wrapped with `secureFilters.trusted.html()`
+ */
+function jsonScript(id, data) {
+  var json = safeJsonBody(data);
+  var attrs = ' type="application/json"';
+  if (id !== null && id !== undefined) {
+    attrs += ' id="' + secureFilters.html(id) + '"';
+  }
+  return secureFilters.trusted.html(
+    '<script' + attrs + '>' + json + '</script>');
+}
+
+/**
+ * Builds a `Content-Security-Policy` header value that allows scripts and
+ * styles with the nonce.  The default policy is
+ * `script-src 'nonce-...' 'strict-dynamic'; style-src 'nonce-...' 'self';
+ * object-src 'none'; base-uri 'none'`.  Each of `directives` replaces the
+ * default sources for that directive (a string or array of sources), or
+ * removes it if `false`.
+ *
+ * @param {string} nonce from `createNonce()`
+ * @param {Object} [directives]
+ * @return {string}
+ */
+function cspHeader(nonce, directives) {
+  checkNonce(nonce);
+  var merged = {};
+  var name;
+  for (name in DEFAULT_DIRECTIVES) {
+    merged[name] = DEFAULT_DIRECTIVES[name];
+  }
+  for (name in directives || {}) {
+    if (directives.hasOwnProperty(name)) {
+      merged[name] = directives[name];
+    }
+  }
+
+  var policy = [];
+  for (name in merged) {
+    if (merged[name] === false || merged[name] === null) {
+      continue;
+    }
+    var parts = [name].concat(merged[name]);
+    if (NONCE_DIRECTIVES.indexOf(name) !== -1) {
+      parts.splice(1, 0, '\'nonce-' + nonce + '\'');
+    }
+    for (var i = 0; i < parts.length; i++) {
+      if (!parts[i] || POLICY_UNSAFE.test(parts[i])) {
+        throw new Error('secure-filters cannot put "' + parts[i] +
+          '" in a Content-Security-Policy');
+      }
+    }
+    policy.push(parts.join(' '));
+  }
+  return policy.join('; ');
+}
+
+/**
+ * Express/Connect middleware that makes a nonce for each request, stores it
+ * as `res.locals.nonce` for templates and sets the policy header.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   app.use(secureFilters.cspNonce({directives: {'img-src': '\'self\''}}));
+ * ```
+ *
+ * @param {Object} [options] `directives` for `cspHeader()`, `reportOnly`
+ * to send `Content-Security-Policy-Report-Only` instead, `header: false` to
+ * send no header, `local` (the name in `res.locals`) and `bytes`
+ * @return {Function} the middleware
+ */
+function cspNonce(options) {
+  options = options || {};
+  var local = options.local || 'nonce';
+  var header = options.reportOnly ?
+    'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+
+  return function(req, res, next) {
+    var nonce = createNonce(options.bytes);
+    res.locals = res.locals || {};
+    res.locals[local] = nonce;
+    if (options.header !== false) {
+      res.setHeader(header, cspHeader(nonce, options.directives));
+    }
+    next();
+  };
+}
+
+exports.createNonce = createNonce;
+exports.scriptTag = scriptTag;
+exports.styleTag = styleTag;
+exports.jsonScript = jsonScript;
+exports.cspHeader = cspHeader;
+exports.cspNonce = cspNonce;
@@ -0,0 +1,116 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Reads EJS templates tag by tag, the way EJS 0.8 and 1.x do, tracking the
+ * HTML context of each tag.  Used by auto-escaping and audit().
+ */
+
+var htmlContext = require('./html-context');
+
+/**
+ * Calls `onTag` for each tag of an EJS template, with the HTML context it
+ * appears in, and `onText` for the text before each tag and after the last.
+ *
+ * Each tag is an object with:
+ * - `start`: its offset in the template
+ * - `source`: the whole tag, delimiters included
+ * - `type`: `'='` for escaped output, `'-'` for raw output, or `''` for
+ *   scriptlets
+ * - `filtered`: whether it's `<%=: %>` or `<%-: %>` output
+ * - `expression`: the code, after the type and any `:`
+ * - `trim`: the last two characters before a `-%>`, which EJS drops along
+ *   with the newline after the tag; `''` for other tags
+ *
+ * @param {string} str the EJS template
+ * @param {Object} options `open` and `close` tag delimiters, as for EJS
+ * @param {Function} onTag
+ * @param {Function} [onText]
+ */
+function scan(str, options, onTag, onText) {
+  var open = options.open || '<%';
+  var close = options.close || '%>';
+  var ctx = new htmlContext.HtmlContext();
+  var pos = 0;
+
+  while (pos < str.length) {
+    var start = str.indexOf(open, pos);
+    if (start < 0) {
+      start = str.length;
+    }
+    var text = str.slice(pos, start);
+    ctx.write(text);
+    if (onText) {
+      onText(text);
+    }
+    if (start === str.length) {
+      break;
+    }
+
+    var end = str.indexOf(close, start + open.length);
+    if (end < 0) {
+      throw new Error('Could not find matching close tag "' + close + '".');
+    }
+    var body = str.slice(start + open.length, end);
+    pos = end + close.length;
+
+    var type = body.charAt(0);
+    var expr = body;
+    if (type === '=' || type === '-') {
+      expr = body.slice(1);
+    } else {
+      type = '';
+    }
+    var trim = '';
+    if (expr.charAt(expr.length - 1) === '-') {
+      trim = expr.slice(-2);
+      expr = expr.slice(0, -2);
+    }
+    var filtered = type !== '' && expr.charAt(0) === ':';
+
+    onTag({
+      start: start,
+      source: open + body + close,
+      type: type,
+      filtered: filtered,
+      expression: filtered ? expr.slice(1) : expr,
+      trim: trim
+    }, ctx.context());
+    if (type) {
+      // the output takes the place of a value in its context
+      ctx.placeholder();
+    }
+  }
+}
+
+exports.scan = scan;
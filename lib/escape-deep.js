@@ -0,0 +1,342 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+/*global Proxy,Reflect */
+'use strict';
+
+/**
+ * @fileOverview
+ * Encodes every string in a view model with the filter a schema names for
+ * it, either up front (`escapeDeep()`) or as templates read the values
+ * (`escapeDeep.lazy()`).
+ *
+ * See escapeDeep(object, schema, options) in README.md for full
+ * documentation.
+ */
+
+var secureFilters = require('./secure-filters');
+
+var FILTER_NAMES = secureFilters.configure.FILTER_NAMES;
+
+// Filters that encode a whole object or array rather than its strings.
+var OBJECT_FILTERS = ['jsObj', 'attrs', 'cssDeclarations'];
+
+var DEFAULT_FILTER = 'html';
+var DEFAULT_MAX_DEPTH = 100;
+
+/**
+ * Checks the schema's filter names up front, so that mistakes show up even
+ * when the data doesn't reach them.
+ * @param {string|Object} schema
+ * @param {string} path for the error message
+ * @private
+ */
+function checkSchema(schema, path) {
+  if (typeof schema === 'string') {
+    if (FILTER_NAMES.indexOf(schema) === -1) {
+      throw new Error('secure-filters escapeDeep() has no filter named ' +
+        JSON.stringify(schema) + (path ? ' (at ' + path + ')' : ''));
+    }
+  } else if (schema && typeof schema === 'object') {
+    for (var key in schema) {
+      if (schema.hasOwnProperty(key)) {
+        checkSchema(schema[key], path ? path + '.' + key : key);
+      }
+    }
+  } else if (schema !== undefined && schema !== null) {
+    throw new Error('secure-filters escapeDeep() schemas must be filter ' +
+      'names or objects' + (path ? ' (at ' + path + ')' : ''));
+  }
+}
+
+/**
+ * The schema for a property.  A filter name applies to everything below it;
+ * a property missing from an object schema gets the default filter.
+ * @param {string|Object} schema
+ * @param {string} key
+ * @return {string|Object}
+ * @private
+ */
+function childSchema(schema, key) {
+  if (typeof schema === 'string') {
+    return schema;
+  } else if (schema && schema.hasOwnProperty(key)) {
+    return schema[key];
+  }
+  return DEFAULT_FILTER;
+}
+
+/**
+ * Whether a value is walked into, rather than encoded as a leaf: plain
+ * objects and arrays, unless the schema names a filter for whole objects.
+ * @private
+ */
+function isContainer(val, schema) {
+  if (typeof schema === 'string' && OBJECT_FILTERS.indexOf(schema) !== -1) {
+    return false;
+  }
+  if (Array.isArray(val)) {
+    return true;
+  }
+  if (!val || typeof val !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(val);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Encodes a leaf.  Strings, trusted values, dates and other objects are
+ * encoded; numbers, booleans, null, undefined and functions are kept as they
+ * are, since they have no markup to encode.
+ * @private
+ */
+function encodeLeaf(val, schema, filters) {
+  var filter = typeof schema === 'string' ? schema : DEFAULT_FILTER;
+  if (OBJECT_FILTERS.indexOf(filter) !== -1 ||
+      (val && typeof val === 'object') || typeof val === 'string') {
+    return filters[filter](val);
+  }
+  return val;
+}
+
+/**
+ * Reads the options common to both variants.
+ * @private
+ */
+function readOptions(schema, options) {
+  options = options || {};
+  checkSchema(schema, '');
+  var maxDepth = options.maxDepth === undefined ?
+    DEFAULT_MAX_DEPTH : options.maxDepth;
+  return {
+    filters: options.filters || secureFilters,
+    maxDepth: maxDepth
+  };
+}
+
+/**
+ * Throws if a value is nested too deeply.
+ * @private
+ */
+function checkDepth(depth, settings, path) {
+  if (depth > settings.maxDepth) {
+    throw new Error('secure-filters escapeDeep() went deeper than ' +
+      settings.maxDepth + ' levels at ' + (path || 'the top'));
+  }
+}
+
+/**
+ * Copies a property onto a plain object; `__proto__` needs defining rather
+ * than assigning.
+ * @private
+ */
+function setOwn(obj, key, val) {
+  if (key === '__proto__') {
+    Object.defineProperty(obj, key, {
+      value: val,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  } else {
+    obj[key] = val;
+  }
+}
+
+/**
+ * Returns a copy of a view model with each string encoded by the filter that
+ * the schema names for it.  The schema mirrors the object: each property is
+ * a filter name, which applies to everything below it, or a nested schema.
+ * An object schema for an array applies to each element.  Properties the
+ * schema doesn't mention are encoded with `html`.
+ *
+ * Throws an `Error` for unknown filter names, circular references and
+ * objects nested more than `options.maxDepth` (100) levels deep.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var view = secureFilters.escapeDeep(model, {
+ *     title: 'html', onClick: 'jsAttr', link: 'uri', theme: 'css'
+ *   });
+ * ```
+ *
+ * @param {any} val the view model
+ * @param {string|Object} [schema] the filter names
+ * @param {Object} [options] `filters` (a filter set from `create()`) and
+ * `maxDepth`
+ * @return {any} the encoded copy
+ */
+function escapeDeep(val, schema, options) {
+  var settings = readOptions(schema, options);
+  var ancestors = [];
+
+  function walk(val, schema, path) {
+    if (!isContainer(val, schema)) {
+      return encodeLeaf(val, schema, settings.filters);
+    }
+    if (ancestors.indexOf(val) !== -1) {
+      throw new Error('secure-filters escapeDeep() found a circular ' +
+        'reference at ' + (path || 'the top'));
+    }
+    checkDepth(ancestors.length + 1, settings, path);
+
+    ancestors.push(val);
+    var copy;
+    if (Array.isArray(val)) {
+      copy = val.map(function(item, i) {
+        return walk(item, schema, path + '[' + i + ']');
+      });
+    } else {
+      copy = {};
+      Object.keys(val).forEach(function(key) {
+        setOwn(copy, key, walk(val[key], childSchema(schema, key),
+          path ? path + '.' + key : key));
+      });
+    }
+    ancestors.pop();
+    return copy;
+  }
+
+  return walk(val, schema, '');
+}
+
+/**
+ * Like `escapeDeep()`, but returns a read-only view of the model that
+ * encodes each string as it's read, so values a template never reads are
+ * never encoded.  Nested objects are viewed the same way, and reading one
+ * twice gives the same view.  Circular references are fine, since nothing
+ * is walked up front.
+ *
+ * Needs `Proxy`, from node.js 6.
+ *
+ * @param {any} val the view model
+ * @param {string|Object} [schema] the filter names
+ * @param {Object} [options] `filters` (a filter set from `create()`) and
+ * `maxDepth`
+ * @return {any} the view
+ */
+escapeDeep.lazy = function(val, schema, options) {
+  if (typeof Proxy === 'undefined') {
+    throw new Error('secure-filters escapeDeep.lazy() needs Proxy support');
+  }
+  var settings = readOptions(schema, options);
+
+  function view(val, schema, depth, path) {
+    if (!isContainer(val, schema)) {
+      return encodeLeaf(val, schema, settings.filters);
+    }
+    checkDepth(depth, settings, path);
+    return new Proxy(Array.isArray(val) ? [] : {},
+      viewHandler(val, schema, depth, path));
+  }
+
+  function viewHandler(target, schema, depth, path) {
+    var isArray = Array.isArray(target);
+    var views = Object.create(null);
+
+    function read(key) {
+      var val = target[key];
+      // Symbols, the only other kind of key, aren't part of the model.
+      if (typeof key !== 'string' || (isArray && key === 'length')) {
+        return val;
+      }
+      if (!(key in views)) {
+        var keySchema = isArray ? schema : childSchema(schema, key);
+        var keyPath = isArray ? path + '[' + key + ']' :
+          (path ? path + '.' + key : key);
+        if (!isContainer(val, keySchema)) {
+          return encodeLeaf(val, keySchema, settings.filters);
+        }
+        views[key] = {
+          source: val,
+          view: view(val, keySchema, depth + 1, keyPath)
+        };
+      }
+      // Reading again gives the same view, unless the model changed.
+      if (views[key].source !== val) {
+        delete views[key];
+        return read(key);
+      }
+      return views[key].view;
+    }
+
+    function readOnly() {
+      return false;
+    }
+
+    // The proxy's own target is an empty stand-in, since a frozen model
+    // couldn't report encoded values for its properties.
+    return {
+      get: function(stub, key) {
+        return read(key);
+      },
+      has: function(stub, key) {
+        return key in target;
+      },
+      ownKeys: function() {
+        return Reflect.ownKeys(target);
+      },
+      getOwnPropertyDescriptor: function(stub, key) {
+        var desc = Reflect.getOwnPropertyDescriptor(target, key);
+        if (!desc) {
+          return desc;
+        } else if (isArray && key === 'length') {
+          // As the stand-in array has it, whether or not the model is frozen.
+          return {
+            value: target.length,
+            writable: true,
+            enumerable: false,
+            configurable: false
+          };
+        }
+        return {
+          value: read(key),
+          writable: false,
+          enumerable: desc.enumerable,
+          configurable: true
+        };
+      },
+      getPrototypeOf: function() {
+        return Object.getPrototypeOf(target);
+      },
+      set: readOnly,
+      defineProperty: readOnly,
+      deleteProperty: readOnly,
+      setPrototypeOf: readOnly,
+      preventExtensions: readOnly
+    };
+  }
+
+  return view(val, schema, 1, '');
+};
+
+module.exports = escapeDeep;
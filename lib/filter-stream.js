@@ -0,0 +1,115 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Transform streams that encode text with one of the filters, for payloads
+ * too large to buffer.  The output is the same as calling the filter on the
+ * whole text.
+ *
+ * See "Streams" in README.md for full documentation.
+ */
+
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var util = require('util');
+var secureFilters = require('./secure-filters');
+
+/**
+ * Encodes the text written to it with a filter.  Buffers are decoded as UTF-8,
+ * including characters split across chunks; strings are used as-is.  A high
+ * surrogate at the end of a chunk is held back until the next one, so that
+ * surrogate pairs are always filtered together.
+ *
+ * @constructor
+ * @param {Function} filter e.g. `secureFilters.html`
+ * @param {Object} [options] passed on to `stream.Transform`
+ */
+function FilterStream(filter, options) {
+  if (!(this instanceof FilterStream)) {
+    return new FilterStream(filter, options);
+  }
+  options = options || {};
+  Transform.call(this, {
+    decodeStrings: false,
+    encoding: options.encoding,
+    highWaterMark: options.highWaterMark
+  });
+  this._filter = filter;
+  this._decoder = new StringDecoder('utf8');
+  this._pending = '';
+}
+util.inherits(FilterStream, Transform);
+
+FilterStream.prototype._transform = function(chunk, encoding, callback) {
+  var str = this._pending +
+    (typeof chunk === 'string' ? chunk : this._decoder.write(chunk));
+  this._pending = '';
+
+  var last = str.charCodeAt(str.length - 1);
+  if (last >= 0xD800 && last <= 0xDBFF) {
+    this._pending = str.slice(-1);
+    str = str.slice(0, -1);
+  }
+  if (str) {
+    this.push(this._filter(str));
+  }
+  callback();
+};
+
+FilterStream.prototype._flush = function(callback) {
+  var str = this._pending + this._decoder.end();
+  this._pending = '';
+  if (str) {
+    this.push(this._filter(str));
+  }
+  callback();
+};
+
+/**
+ * Makes a function that creates streams for one filter.
+ * @param {string} filterName
+ * @return {Function}
+ * @private
+ */
+function streamCreator(filterName) {
+  return function(options) {
+    var filters = (options && options.filters) || secureFilters;
+    return new FilterStream(filters[filterName], options);
+  };
+}
+
+exports.FilterStream = FilterStream;
+exports.createHtmlStream = streamCreator('html');
+exports.createJsStream = streamCreator('js');
+exports.createCssStream = streamCreator('css');
+exports.createUriStream = streamCreator('uri');
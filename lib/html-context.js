@@ -0,0 +1,854 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Tracks the HTML parser context at each point of a piece of markup, so that
+ * a value interpolated at that point can be given the matching chain of
+ * secure-filters functions.
+ *
+ * The tokenizer follows the HTML5 tokenization rules closely enough to know
+ * whether it is in text, a tag, an attribute value, a `<script>` or a
+ * `<style>` element.  Inside scripts, styles, event-handler attributes,
+ * `style` attributes and URL attributes a second, much simpler, lexer tracks
+ * string literals, comments and URL parts.  It is not a validating parser.
+ */
+
+var secureFilters = require('./secure-filters');
+
+var WHITESPACE = /[\t\n\f\r ]/;
+var TAG_NAME_START = /[A-Za-z]/;
+var JS_IDENT = /[$0-9A-Z_a-z]/;
+var JS_LINE_END = /[\n\r\u2028\u2029]/;
+
+// A `/` after one of these characters starts a regular expression, not a
+// division.
+var JS_REGEX_PRECEDER = /^$|[!%&(*+,\-:;<=>?\[\^{|}~]/;
+var JS_REGEX_KEYWORDS = {
+  'case': true, 'delete': true, 'do': true, 'else': true, 'in': true,
+  'instanceof': true, 'new': true, 'return': true, 'throw': true,
+  'typeof': true, 'void': true
+};
+
+// Elements whose content is not parsed as markup.  The value is the
+// language of the content.
+var RAW_TEXT_ELEMENTS = {
+  script: 'js',
+  style: 'css',
+  iframe: 'raw',
+  noembed: 'raw',
+  noframes: 'raw',
+  noscript: 'raw',
+  xmp: 'raw'
+};
+
+// Elements whose content is text, but where character references are still
+// decoded.
+var RCDATA_ELEMENTS = {
+  textarea: true,
+  title: true
+};
+
+// Attributes whose value is interpreted as a URL.
+var URL_ATTRIBUTES = secureFilters.attrs.URL_ATTRIBUTES;
+
+// Attributes whose value is parsed as a whole HTML document, after character
+// references are decoded.
+var DOCUMENT_ATTRIBUTES = {
+  srcdoc: true
+};
+
+/**
+ * Classifies an attribute by the language of its value.
+ *
+ * @param {string} name lower-case attribute name
+ * @return {string} one of `'js'`, `'css'`, `'url'`, `'document'` or `'html'`
+ * @private
+ */
+function attributeType(name) {
+  if (name.slice(0, 2) === 'on') {
+    return 'js';
+  } else if (name === 'style') {
+    return 'css';
+  } else if (URL_ATTRIBUTES.indexOf(name) !== -1) {
+    return 'url';
+  } else if (DOCUMENT_ATTRIBUTES.hasOwnProperty(name)) {
+    return 'document';
+  }
+  return 'html';
+}
+
+/**
+ * Tracks string literals, template literals, regular expressions and comments
+ * in JavaScript source.
+ *
+ * @constructor
+ * @private
+ */
+function JsLexer() {
+  this.state = 'code';
+  this.quote = '';
+  this.escaped = false;
+  this.dollar = false; // previous character was an unescaped `$`
+  this.inClass = false;
+  this.last = ''; // last significant character in code
+  this.word = ''; // identifier or keyword ending at `last`
+  this.braces = 0;
+  this.templates = []; // brace depths of the open `${` substitutions
+}
+
+JsLexer.prototype.regexAllowed = function() {
+  if (JS_IDENT.test(this.last)) {
+    return JS_REGEX_KEYWORDS.hasOwnProperty(this.word);
+  }
+  return JS_REGEX_PRECEDER.test(this.last);
+};
+
+JsLexer.prototype.significant = function(ch) {
+  if (JS_IDENT.test(ch)) {
+    this.word = JS_IDENT.test(this.last) ? this.word + ch : ch;
+  } else {
+    this.word = '';
+  }
+  this.last = ch;
+};
+
+JsLexer.prototype.write = function(ch) {
+  switch (this.state) {
+  case 'code':
+    if (ch === '"' || ch === '\'') {
+      this.state = 'string';
+      this.quote = ch;
+    } else if (ch === '`') {
+      this.state = 'template';
+    } else if (ch === '/') {
+      this.state = 'slash';
+    } else if (ch === '{') {
+      this.braces++;
+      this.significant(ch);
+    } else if (ch === '}' && this.templates.length &&
+               this.templates[this.templates.length - 1] === this.braces) {
+      this.templates.pop();
+      this.state = 'template';
+    } else if (!WHITESPACE.test(ch) && !JS_LINE_END.test(ch)) {
+      if (ch === '}') {
+        this.braces--;
+      }
+      this.significant(ch);
+    }
+    break;
+
+  case 'slash':
+    if (ch === '/') {
+      this.state = 'lineComment';
+    } else if (ch === '*') {
+      this.state = 'blockComment';
+      this.escaped = false;
+    } else if (this.regexAllowed()) {
+      this.state = 'regex';
+      this.inClass = false;
+      this.write(ch);
+    } else {
+      this.state = 'code';
+      this.significant('/');
+      this.write(ch);
+    }
+    break;
+
+  case 'string':
+  case 'template':
+  case 'regex':
+    var dollar = this.dollar;
+    this.dollar = false;
+    if (this.escaped) {
+      this.escaped = false;
+    } else if (ch === '\\') {
+      this.escaped = true;
+    } else if (this.state === 'string' && ch === this.quote) {
+      this.state = 'code';
+      this.significant('"');
+    } else if (this.state === 'template' && ch === '`') {
+      this.state = 'code';
+      this.significant('"');
+    } else if (this.state === 'template' && ch === '{' && dollar) {
+      this.templates.push(this.braces);
+      this.state = 'code';
+      this.last = '{';
+      this.word = '';
+    } else if (this.state === 'regex' && ch === '[') {
+      this.inClass = true;
+    } else if (this.state === 'regex' && ch === ']') {
+      this.inClass = false;
+    } else if (this.state === 'regex' && ch === '/' && !this.inClass) {
+      this.state = 'code';
+      this.significant(')');
+    } else if (this.state === 'template' && ch === '$') {
+      this.dollar = true;
+    }
+    break;
+
+  case 'lineComment':
+    if (JS_LINE_END.test(ch)) {
+      this.state = 'code';
+    }
+    break;
+
+  case 'blockComment':
+    if (ch === '/' && this.escaped) { // `escaped` holds "previous was `*`"
+      this.state = 'code';
+    }
+    this.escaped = (ch === '*');
+    break;
+  }
+};
+
+/**
+ * @return {string} the JavaScript state for a value interpolated now
+ */
+JsLexer.prototype.context = function() {
+  if (this.state === 'slash') {
+    return this.regexAllowed() ? 'regex' : 'code';
+  } else if (this.state === 'lineComment' || this.state === 'blockComment') {
+    return 'comment';
+  }
+  return this.state;
+};
+
+/**
+ * Notes that a value was interpolated at the current position.
+ */
+JsLexer.prototype.placeholder = function() {
+  if (this.state === 'slash') {
+    this.state = this.regexAllowed() ? 'regex' : 'code';
+    if (this.state === 'code') {
+      this.significant('/');
+    }
+  }
+  if (this.state === 'code') {
+    // the value is an expression, so a following `/` is a division
+    this.last = ')';
+    this.word = '';
+  }
+  this.escaped = false;
+  this.dollar = false;
+};
+
+/**
+ * Tracks string literals and comments in CSS source.
+ *
+ * @constructor
+ * @private
+ */
+function CssLexer() {
+  this.state = 'code';
+  this.quote = '';
+  this.escaped = false;
+}
+
+CssLexer.prototype.write = function(ch) {
+  switch (this.state) {
+  case 'code':
+    if (ch === '"' || ch === '\'') {
+      this.state = 'string';
+      this.quote = ch;
+    } else if (ch === '/') {
+      this.state = 'slash';
+    } else if (ch === '\\') {
+      this.state = 'escape';
+    }
+    break;
+
+  case 'escape':
+    this.state = 'code';
+    break;
+
+  case 'slash':
+    this.state = 'code';
+    if (ch === '*') {
+      this.state = 'comment';
+      this.escaped = false;
+    } else {
+      this.write(ch);
+    }
+    break;
+
+  case 'string':
+    if (this.escaped) {
+      this.escaped = false;
+    } else if (ch === '\\') {
+      this.escaped = true;
+    } else if (ch === this.quote) {
+      this.state = 'code';
+    }
+    break;
+
+  case 'comment':
+    if (ch === '/' && this.escaped) { // `escaped` holds "previous was `*`"
+      this.state = 'code';
+    }
+    this.escaped = (ch === '*');
+    break;
+  }
+};
+
+/**
+ * @return {string} the CSS state for a value interpolated now
+ */
+CssLexer.prototype.context = function() {
+  return (this.state === 'slash' || this.state === 'escape') ?
+    'code' : this.state;
+};
+
+CssLexer.prototype.placeholder = function() {
+  if (this.state === 'slash' || this.state === 'escape') {
+    this.state = 'code';
+  }
+  this.escaped = false;
+};
+
+/**
+ * Tracks which part of a URL is being written.
+ *
+ * @constructor
+ * @private
+ */
+function UrlLexer() {
+  this.state = 'start';
+}
+
+UrlLexer.prototype.write = function(ch) {
+  if (this.state === 'start' && !WHITESPACE.test(ch)) {
+    this.state = 'path';
+  }
+  if (this.state === 'path' && (ch === '?' || ch === '#')) {
+    this.state = 'query';
+  }
+};
+
+UrlLexer.prototype.context = function() {
+  return this.state;
+};
+
+UrlLexer.prototype.placeholder = function() {
+  if (this.state === 'start') {
+    this.state = 'path';
+  }
+};
+
+var LEXERS = {
+  js: JsLexer,
+  css: CssLexer,
+  url: UrlLexer
+};
+
+/**
+ * Incremental HTML tokenizer that reports the context at the current
+ * position.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var ctx = new HtmlContext();
+ *   ctx.write('<a href="/user/');
+ *   ctx.context(); // {state: 'attr', attr: 'href', url: 'path', ...}
+ *   ctx.placeholder();
+ *   ctx.write('">');
+ * ```
+ *
+ * @constructor
+ */
+function HtmlContext() {
+  this.state = 'text';
+  this.tagName = '';
+  this.endTag = false;
+  this.element = null; // element whose content or start tag we're in
+  this.attrName = '';
+  this.quote = '';
+  this.buffer = '';
+  this.lexer = null;
+}
+
+/**
+ * Feeds literal markup into the tokenizer.
+ *
+ * @param {string} str markup
+ * @return {HtmlContext} this object
+ */
+HtmlContext.prototype.write = function(str) {
+  str = String(str);
+  for (var i = 0; i < str.length; i++) {
+    this.writeChar(str.charAt(i));
+  }
+  return this;
+};
+
+/**
+ * Starts the value of the current attribute.
+ * @private
+ */
+HtmlContext.prototype.startValue = function(quote) {
+  var Lexer = LEXERS[attributeType(this.attrName)];
+  this.quote = quote;
+  this.lexer = Lexer ? new Lexer() : null;
+};
+
+/**
+ * Completes the current tag.
+ * @private
+ */
+HtmlContext.prototype.endOfTag = function() {
+  var content = RAW_TEXT_ELEMENTS[this.tagName];
+  this.lexer = null;
+  this.attrName = '';
+  if (this.endTag) {
+    this.state = 'text';
+    this.element = null;
+  } else if (content) {
+    this.state = 'rawtext';
+    this.buffer = '';
+    var Lexer = LEXERS[content];
+    this.lexer = Lexer ? new Lexer() : null;
+  } else if (RCDATA_ELEMENTS.hasOwnProperty(this.tagName)) {
+    this.state = 'rcdata';
+    this.buffer = '';
+  } else {
+    this.state = 'text';
+    this.element = null;
+  }
+};
+
+/**
+ * Starts an attribute name.
+ * @private
+ */
+HtmlContext.prototype.startAttribute = function(ch) {
+  this.attrName = ch.toLowerCase();
+  this.state = 'attrName';
+};
+
+/**
+ * Consumes one character of markup.
+ * @private
+ */
+HtmlContext.prototype.writeChar = function(ch) {
+  var isSpace = WHITESPACE.test(ch);
+
+  switch (this.state) {
+  case 'text':
+    if (ch === '<') {
+      this.state = 'tagOpen';
+    }
+    break;
+
+  case 'tagOpen':
+    if (TAG_NAME_START.test(ch)) {
+      this.state = 'tagName';
+      this.endTag = false;
+      this.tagName = ch.toLowerCase();
+      this.element = this.tagName;
+    } else if (ch === '/') {
+      this.state = 'endTagOpen';
+    } else if (ch === '!') {
+      this.state = 'markupDeclaration';
+      this.buffer = '';
+    } else if (ch === '?') {
+      this.state = 'bogusComment';
+    } else {
+      this.state = 'text';
+      this.writeChar(ch);
+    }
+    break;
+
+  case 'endTagOpen':
+    if (TAG_NAME_START.test(ch)) {
+      this.state = 'tagName';
+      this.endTag = true;
+      this.tagName = ch.toLowerCase();
+      this.element = this.tagName;
+    } else if (ch === '>') {
+      this.state = 'text';
+    } else {
+      this.state = 'bogusComment';
+    }
+    break;
+
+  case 'markupDeclaration':
+    this.buffer += ch;
+    if (this.buffer === '--') {
+      this.state = 'comment';
+      this.buffer = '';
+    } else if (this.buffer !== '-') {
+      this.state = 'bogusComment';
+      this.writeChar(ch);
+    }
+    break;
+
+  case 'comment':
+    this.buffer = (this.buffer + ch).slice(-3);
+    if (this.buffer === '-->' || this.buffer === '--!>') {
+      this.state = 'text';
+    }
+    break;
+
+  case 'bogusComment':
+    if (ch === '>') {
+      this.state = 'text';
+    }
+    break;
+
+  case 'tagName':
+    if (isSpace) {
+      this.state = 'beforeAttrName';
+    } else if (ch === '/') {
+      this.state = 'selfClosingStartTag';
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else {
+      this.tagName += ch.toLowerCase();
+      this.element = this.tagName;
+    }
+    break;
+
+  case 'beforeAttrName':
+    if (ch === '/') {
+      this.state = 'selfClosingStartTag';
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else if (!isSpace) {
+      this.startAttribute(ch);
+    }
+    break;
+
+  case 'attrName':
+    if (isSpace) {
+      this.state = 'afterAttrName';
+    } else if (ch === '/') {
+      this.state = 'selfClosingStartTag';
+    } else if (ch === '=') {
+      this.state = 'beforeAttrValue';
+      this.startValue('');
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else {
+      this.attrName += ch.toLowerCase();
+    }
+    break;
+
+  case 'afterAttrName':
+    if (ch === '/') {
+      this.state = 'selfClosingStartTag';
+    } else if (ch === '=') {
+      this.state = 'beforeAttrValue';
+      this.startValue('');
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else if (!isSpace) {
+      this.startAttribute(ch);
+    }
+    break;
+
+  case 'beforeAttrValue':
+    if (ch === '"' || ch === '\'') {
+      this.state = 'attrValueQuoted';
+      this.quote = ch;
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else if (!isSpace) {
+      this.state = 'attrValueUnquoted';
+      this.writeChar(ch);
+    }
+    break;
+
+  case 'attrValueQuoted':
+    if (ch === this.quote) {
+      this.state = 'afterAttrValueQuoted';
+      this.lexer = null;
+    } else if (this.lexer) {
+      this.lexer.write(ch);
+    }
+    break;
+
+  case 'attrValueUnquoted':
+    if (isSpace) {
+      this.state = 'beforeAttrName';
+      this.lexer = null;
+    } else if (ch === '>') {
+      this.endOfTag();
+    } else if (this.lexer) {
+      this.lexer.write(ch);
+    }
+    break;
+
+  case 'afterAttrValueQuoted':
+  case 'selfClosingStartTag':
+    if (ch === '>') {
+      this.endOfTag();
+    } else if (ch === '/') {
+      this.state = 'selfClosingStartTag';
+    } else {
+      this.state = 'beforeAttrName';
+      this.writeChar(ch);
+    }
+    break;
+
+  case 'rawtext':
+  case 'rcdata':
+    this.writeRawChar(ch);
+    break;
+  }
+};
+
+/**
+ * Consumes one character of `<script>`, `<style>`, `<textarea>` (etc.)
+ * content, watching for the matching end tag.
+ * @private
+ */
+HtmlContext.prototype.writeRawChar = function(ch) {
+  var endTag = '</' + this.element;
+
+  if (this.buffer.length === endTag.length &&
+      (WHITESPACE.test(ch) || ch === '/' || ch === '>')) {
+    this.state = 'tagName';
+    this.endTag = true;
+    this.tagName = this.element;
+    this.buffer = '';
+    this.lexer = null;
+    this.writeChar(ch);
+    return;
+  }
+
+  if (this.lexer) {
+    this.lexer.write(ch);
+  }
+  var candidate = this.buffer + ch.toLowerCase();
+  if (endTag.slice(0, candidate.length) === candidate) {
+    this.buffer = candidate;
+  } else {
+    this.buffer = (ch === '<') ? '<' : '';
+  }
+};
+
+/**
+ * Describes the context at the current position.
+ *
+ * The returned object has these properties:
+ *
+ * - `state`: `'text'`, `'rcdata'` (`<title>`, `<textarea>`), `'attr'`,
+ *   `'script'`, `'style'`, `'rawtext'` (other unparsed elements like
+ *   `<xmp>`), `'comment'` or `'tag'` (inside a tag, but not in an attribute
+ *   value)
+ * - `element`: lower-case name of the enclosing element, if any
+ * - `attr`: lower-case attribute name, for the `'attr'` state
+ * - `attrType`: `'js'` (event handlers), `'css'` (`style`), `'url'`,
+ *   `'document'` (`srcdoc`) or `'html'`, for the `'attr'` state
+ * - `quote`: the quote character around the attribute value, or `''` when
+ *   unquoted
+ * - `unquotedStart`: `true` when the value would start an unquoted
+ *   attribute value, e.g. `<div class=USERINPUT>`
+ * - `js`: `'code'`, `'string'`, `'template'`, `'regex'` or `'comment'`, for
+ *   scripts and event handlers
+ * - `css`: `'code'`, `'string'` or `'comment'`, for styles
+ * - `url`: `'start'`, `'path'` or `'query'` (after the `?` or `#`), for URL
+ *   attributes
+ *
+ * @return {Object} the context
+ */
+HtmlContext.prototype.context = function() {
+  var ctx = { state: 'tag', element: this.element };
+
+  switch (this.state) {
+  case 'text':
+    ctx.state = 'text';
+    break;
+  case 'rcdata':
+    ctx.state = 'rcdata';
+    break;
+  case 'rawtext':
+    ctx.state = (this.element === 'script' || this.element === 'style') ?
+      this.element : 'rawtext';
+    break;
+  case 'markupDeclaration':
+  case 'comment':
+  case 'bogusComment':
+    ctx.state = 'comment';
+    break;
+  case 'beforeAttrValue':
+  case 'attrValueQuoted':
+  case 'attrValueUnquoted':
+    ctx.state = 'attr';
+    ctx.attr = this.attrName;
+    ctx.attrType = attributeType(this.attrName);
+    ctx.quote = (this.state === 'attrValueQuoted') ? this.quote : '';
+    ctx.unquotedStart = (this.state === 'beforeAttrValue');
+    break;
+  }
+
+  if (this.lexer && (ctx.state === 'attr' || ctx.state === 'script' ||
+                     ctx.state === 'style')) {
+    var lang = (ctx.state === 'attr') ? ctx.attrType :
+      (ctx.state === 'script' ? 'js' : 'css');
+    ctx[lang] = this.lexer.context();
+  }
+  return ctx;
+};
+
+/**
+ * Notes that a value was interpolated at the current position.
+ *
+ * A value that starts an unquoted attribute value is assumed to have been
+ * output with quotes around it (see `unquotedStart` in `context()`).
+ *
+ * @return {HtmlContext} this object
+ */
+HtmlContext.prototype.placeholder = function() {
+  if (this.state === 'beforeAttrValue') {
+    this.state = 'afterAttrValueQuoted';
+    this.lexer = null;
+  } else if (this.lexer) {
+    this.lexer.placeholder();
+  }
+  this.buffer = '';
+  return this;
+};
+
+/**
+ * Picks the chain of secure-filters functions for a value interpolated in
+ * the given context.
+ *
+ * The filters in the returned chain are to be applied in order, i.e.
+ * `['jsObj', 'html']` means `html(jsObj(value))`.  Contexts that no
+ * combination of filters can make safe (comments, the inside of a tag, ...)
+ * return `null`.
+ *
+ * @param {Object} ctx a context, as returned by `HtmlContext#context()`
+ * @return {Array|null} filter names
+ */
+function filterChain(ctx) {
+  switch (ctx.state) {
+  case 'text':
+  case 'rcdata':
+    return ['html'];
+
+  case 'script':
+    if (ctx.js === 'code') {
+      return ['jsObj'];
+    } else if (ctx.js === 'string') {
+      return ['js'];
+    } else if (ctx.js === 'template') {
+      return ['jsTemplate'];
+    } else if (ctx.js === 'regex') {
+      return ['jsRegex'];
+    }
+    return null;
+
+  case 'style':
+    return (ctx.css === 'comment') ? null : ['css'];
+
+  case 'attr':
+    if (ctx.quote === '' && !ctx.unquotedStart) {
+      // Part of an unquoted value; whitespace in the value would end it.
+      return null;
+    }
+    switch (ctx.attrType) {
+    case 'js':
+      if (ctx.js === 'code') {
+        return ['jsObj', 'html'];
+      } else if (ctx.js === 'string') {
+        return ['jsAttr'];
+      } else if (ctx.js === 'template') {
+        return ['jsTemplate', 'html'];
+      } else if (ctx.js === 'regex') {
+        return ['jsRegex', 'html'];
+      }
+      return null;
+    case 'css':
+      return (ctx.css === 'comment') ? null : ['style'];
+    case 'url':
+      return (ctx.url === 'start') ? ['safeUrl'] : ['uri'];
+    case 'document':
+      // html() isn't enough: the decoded value is rendered as a document, so
+      // `&lt;script&gt;` runs.  attrs() takes srcdoc as trusted HTML.
+      return null;
+    default:
+      return ['html'];
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes a context for use in error messages.
+ *
+ * @param {Object} ctx a context, as returned by `HtmlContext#context()`
+ * @return {string} the description
+ */
+function describe(ctx) {
+  var desc;
+  if (ctx.state === 'attr') {
+    desc = (ctx.quote ? 'quoted' : 'unquoted') + ' ' + ctx.attr +
+      ' attribute of <' + ctx.element + '>';
+  } else if (ctx.state === 'tag') {
+    desc = ctx.element ? 'tag of <' + ctx.element + '>' : 'tag';
+  } else if (ctx.state === 'comment') {
+    desc = 'HTML comment';
+  } else if (ctx.state === 'text') {
+    desc = 'text';
+  } else {
+    desc = 'content of <' + ctx.element + '>';
+  }
+  var lang = ctx.js || ctx.css || ctx.url;
+  if (lang) {
+    desc += ' (' + (ctx.js ? 'JavaScript' : ctx.css ? 'CSS' : 'URL') + ' ' +
+      lang + ')';
+  }
+  return desc;
+}
+
+/**
+ * Finds the line and column of an offset in a template.
+ *
+ * @param {string} str
+ * @param {number} offset
+ * @return {Object} `line` and `column`, both starting at 1
+ */
+function position(str, offset) {
+  var lines = str.slice(0, offset).split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+exports.HtmlContext = HtmlContext;
+exports.filterChain = filterChain;
+exports.describe = describe;
+exports.position = position;
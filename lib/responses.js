@@ -0,0 +1,279 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Express and Koa helpers: the filters as template variables for any view
+ * engine, and JSON and JSONP responses that can't be read as HTML or run as
+ * anything but the intended call.
+ *
+ * See "Express and Koa" in README.md for full documentation.
+ */
+
+var url = require('url');
+var secureFilters = require('./secure-filters');
+
+// Backslash escapes in json() output; only `\xHH` needs changing for JSON.
+var JS_ESCAPE = /\\(?:x([0-9A-F]{2})|[\s\S])/g;
+// Stops the JSON being run by a `<script src>` on another site; clients
+// strip it before parsing.  AngularJS's $http does so automatically.
+var XSSI_PREFIX = ')]}\',\n';
+var JSON_TYPE = 'application/json; charset=utf-8';
+var JS_TYPE = 'text/javascript; charset=utf-8';
+
+// JSONP callbacks are identifiers separated by dots, e.g. `jQuery123_456` or
+// `app.loaded`.  Each part must also pass jsIdentifier(), and the first
+// can't be a reserved word.
+var CALLBACK = /^[A-Za-z_$][0-9A-Za-z_$]*(?:\.[A-Za-z_$][0-9A-Za-z_$]*)*$/;
+var MAX_CALLBACK_LENGTH = 128;
+var RESERVED = ('await break case catch class const continue debugger ' +
+  'default delete do else enum export extends false finally for function if ' +
+  'implements import in instanceof interface let new null package private ' +
+  'protected public return static super switch this throw true try typeof ' +
+  'var void while with yield').split(' ');
+
+/**
+ * Whether a JSONP callback name is allowed.
+ * @param {any} callback
+ * @return {boolean}
+ * @private
+ */
+function isCallback(callback) {
+  if (typeof callback !== 'string' || callback.length > MAX_CALLBACK_LENGTH ||
+      !CALLBACK.test(callback)) {
+    return false;
+  }
+  var parts = callback.split('.');
+  if (RESERVED.indexOf(parts[0]) !== -1) {
+    return false;
+  }
+  for (var i = 0; i < parts.length; i++) {
+    if (secureFilters.jsIdentifier(parts[i]) !== parts[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Serializes data as the body of a JSON response.  The JSON is encoded like
+ * `jsObj()`, so it can't be read as HTML, but with `\u00HH` escapes where
+ * `jsObj()` uses `\xHH`, since those aren't valid JSON.
+ *
+ * @param {any} data `undefined` is sent as `null`
+ * @param {Object} [options] `prefix: true` to start the body with `)]}',`
+ * and a newline
+ * @return {string}
+ */
+function safeJsonBody(data, options) {
+  var json = JSON.stringify(data === undefined ? null : data);
+  json = secureFilters.json(json).replace(JS_ESCAPE, function(match, hex) {
+    return hex ? '\\u00' + hex : match;
+  });
+  return (options && options.prefix ? XSSI_PREFIX : '') + json;
+}
+
+/**
+ * Serializes data as the body of a JSONP response, a call to `callback` with
+ * the data encoded by `jsObj()`.  The body starts with a comment, so it can't
+ * be read as a Flash file (the "Rosetta Flash" attack).
+ *
+ * An `Error` with a `status` of 400 is thrown if the callback isn't a
+ * dotted list of JavaScript identifiers, at most 128 characters long.
+ *
+ * @param {string} callback the name of the function to call
+ * @param {any} data
+ * @return {string}
+ */
+function safeJsonpBody(callback, data) {
+  if (!isCallback(callback)) {
+    // The name isn't in the message, which error pages may output.
+    var err = new Error('secure-filters only allows JSONP callbacks that ' +
+      'are JavaScript identifiers, separated by dots');
+    err.status = 400;
+    throw err;
+  }
+  return '/**/ typeof ' + callback + ' === \'function\' && ' + callback +
+    '(' + secureFilters.jsObj(data) + ');';
+}
+
+/**
+ * Builds the filters to add to each request's template variables, once.
+ * @param {Object} options
+ * @return {Object} the filters by name, or `null` for none
+ * @private
+ */
+function filterLocals(options) {
+  if (options.locals === false) {
+    return null;
+  }
+  var filters = options.filters || secureFilters;
+  return filters.configure({}, {
+    engine: 'locals',
+    include: options.include,
+    exclude: options.exclude,
+    prefix: options.prefix
+  });
+}
+
+/**
+ * Copies the filters into a request's template variables.
+ * @param {Object} target
+ * @param {Object} [locals] from filterLocals()
+ * @private
+ */
+function addLocals(target, locals) {
+  for (var name in locals) {
+    if (locals.hasOwnProperty(name)) {
+      target[name] = locals[name];
+    }
+  }
+}
+
+/**
+ * Makes the `safeJson()` and `safeJsonp()` methods for a request.
+ * @param {Object} options the middleware's options
+ * @param {Function} query returns the request's query parameters
+ * @param {Function} send sends a body, given its content type
+ * @return {Object}
+ * @private
+ */
+function responders(options, query, send) {
+  var param = options.callback || 'callback';
+
+  function safeJson(data, jsonOptions) {
+    var prefix = jsonOptions && jsonOptions.prefix !== undefined ?
+      jsonOptions.prefix : options.jsonPrefix;
+    return send(JSON_TYPE, safeJsonBody(data, {prefix: prefix}));
+  }
+
+  function safeJsonp(data) {
+    var callback = query()[param];
+    // Like res.jsonp(), send plain JSON if there's no callback.
+    if (callback === undefined || callback === '') {
+      return safeJson(data);
+    }
+    return send(JS_TYPE, safeJsonpBody(callback, data));
+  }
+
+  return {safeJson: safeJson, safeJsonp: safeJsonp};
+}
+
+/**
+ * Express/Connect middleware that adds the filters to `res.locals`, for any
+ * view engine, and adds `res.safeJson(data, options)` and
+ * `res.safeJsonp(data)`.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   app.use(secureFilters.expressHelpers({exclude: ['cdata']}));
+ *   app.get('/data', function(req, res) {
+ *     res.safeJsonp(data);
+ *   });
+ * ```
+ *
+ * See "Express and Koa" in README.md for full documentation.
+ *
+ * @param {Object} [options] `include`, `exclude` and `prefix` as for
+ * `configure()`, `locals: false` to add no filters, `filters` (a filter set
+ * from `create()`), `callback` (the JSONP query parameter) and `jsonPrefix`
+ * @return {Function} the middleware
+ */
+function expressHelpers(options) {
+  options = options || {};
+  var locals = filterLocals(options);
+
+  return function(req, res, next) {
+    res.locals = res.locals || {};
+    addLocals(res.locals, locals);
+
+    var methods = responders(options, function() {
+      // Connect doesn't parse the query string.
+      return req.query || url.parse(req.url, true).query;
+    }, function(type, body) {
+      res.setHeader('Content-Type', type);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      if (typeof res.send === 'function') {
+        return res.send(body);
+      }
+      res.end(body);
+      return res;
+    });
+    res.safeJson = methods.safeJson;
+    res.safeJsonp = methods.safeJsonp;
+    next();
+  };
+}
+
+/**
+ * Koa middleware that adds the filters to `ctx.state`, for any view engine,
+ * and adds `ctx.safeJson(data, options)` and `ctx.safeJsonp(data)`.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   app.use(secureFilters.koaHelpers({jsonPrefix: true}));
+ *   app.use(function(ctx) {
+ *     ctx.safeJson(data);
+ *   });
+ * ```
+ *
+ * @param {Object} [options] the same as for `expressHelpers()`
+ * @return {Function} the middleware
+ */
+function koaHelpers(options) {
+  options = options || {};
+  var locals = filterLocals(options);
+
+  return function(ctx, next) {
+    ctx.state = ctx.state || {};
+    addLocals(ctx.state, locals);
+
+    var methods = responders(options, function() {
+      return ctx.query;
+    }, function(type, body) {
+      // Koa only guesses the type of a string body if none is set.
+      ctx.set('Content-Type', type);
+      ctx.set('X-Content-Type-Options', 'nosniff');
+      ctx.body = body;
+    });
+    ctx.safeJson = methods.safeJson;
+    ctx.safeJsonp = methods.safeJsonp;
+    return next();
+  };
+}
+
+exports.safeJsonBody = safeJsonBody;
+exports.safeJsonpBody = safeJsonpBody;
+exports.expressHelpers = expressHelpers;
+exports.koaHelpers = koaHelpers;
@@ -0,0 +1,125 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * A tagged template for building HTML in JavaScript, escaping each
+ * interpolated value for the context it appears in.
+ *
+ * See safeHtml`...` in README.md for full documentation.
+ */
+
+var secureFilters = require('./secure-filters');
+var htmlContext = require('./html-context');
+
+/**
+ * Joins an array value, and any arrays inside it, into one string.
+ * @private
+ */
+function joinValue(val) {
+  return val.map(function(item) {
+    return Array.isArray(item) ? joinValue(item) : String(item);
+  }).join('');
+}
+
+/**
+ * Escapes one interpolated value with a filter chain.  In text, arrays are
+ * escaped element-wise and joined, so trusted HTML elements stay as-is.
+ * Anywhere else they're joined first and escaped once: safeUrl() has to see
+ * the whole URL, and jsObj() output can't be joined.
+ * @private
+ */
+function escapeValue(val, chain, context) {
+  if (Array.isArray(val)) {
+    if (context.state !== 'text') {
+      return escapeValue(joinValue(val), chain, context);
+    }
+    return val.map(function(item) {
+      return escapeValue(item, chain, context);
+    }).join('');
+  }
+  // Trusted HTML is safe as element content, but not e.g. in an attribute.
+  if (secureFilters.isTrusted(val, 'html') && context.state !== 'text') {
+    val = val.value;
+  }
+  for (var i = 0; i < chain.length; i++) {
+    val = secureFilters[chain[i]](val);
+  }
+  return val;
+}
+
+/**
+ * Builds HTML from a template literal, escaping each `${}` value with the
+ * filter chain for its context (e.g. `html` in text, `jsAttr` in a string
+ * in an `onclick` attribute).
+ *
+ * Throws an `Error` for values placed where no filter chain is safe, e.g.
+ * inside an HTML comment or between the attributes of a tag.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var safeHtml = require('secure-filters').safeHtml;
+ *   var link = safeHtml`<a href="/user/${id}" title="${name}">${name}</a>`;
+ * ```
+ *
+ * @param {Array} strings the literal parts of the template
+ * @param {...any} values the interpolated values
+ * @return {Object} the HTML, wrapped with `secureFilters.trusted.html()`
+ */
+function safeHtml(strings) {
+  var ctx = new htmlContext.HtmlContext();
+  var out = strings[0];
+  ctx.write(strings[0]);
+
+  for (var i = 1; i < strings.length; i++) {
+    var context = ctx.context();
+    var chain = htmlContext.filterChain(context);
+    if (!chain) {
+      throw new Error('safeHtml cannot escape value ' + i + ' in ' +
+        htmlContext.describe(context));
+    }
+
+    var escaped = escapeValue(arguments[i], chain, context);
+    if (context.unquotedStart) {
+      escaped = '"' + escaped + '"';
+    }
+    out += escaped;
+    ctx.placeholder();
+
+    ctx.write(strings[i]);
+    out += strings[i];
+  }
+  return secureFilters.trusted.html(out);
+}
+
+module.exports = safeHtml;
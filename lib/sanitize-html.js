@@ -0,0 +1,415 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * An allowlist-based HTML sanitizer for rich text, e.g. comments and
+ * descriptions, that must keep some markup.
+ *
+ * See sanitizeHtml(value, policy) in README.md for full documentation.
+ */
+
+var secureFilters = require('./secure-filters');
+
+var WHITESPACE = /[\t\n\f\r ]/;
+var TAG_NAME_START = /[A-Za-z]/;
+
+var CHAR_REF = /&(?:#([0-9]+)|#[xX]([0-9A-Fa-f]+)|([A-Za-z][A-Za-z0-9]*));?/g;
+var NAMED_REFS = {
+  amp: '&',
+  apos: '\'',
+  gt: '>',
+  lt: '<',
+  nbsp: '\u00A0',
+  quot: '"'
+};
+
+// Elements without an end tag.
+var VOID_ELEMENTS = {
+  area: true, base: true, br: true, col: true, embed: true, hr: true,
+  img: true, input: true, link: true, meta: true, param: true, source: true,
+  track: true, wbr: true
+};
+
+// Elements whose content is not markup.  They, and their content, are always
+// removed.
+var RAW_TEXT_ELEMENTS = {
+  iframe: true, noembed: true, noframes: true, noscript: true,
+  plaintext: true, script: true, style: true, xmp: true
+};
+
+// Attributes whose value is a URL.
+var URL_ATTRIBUTES = secureFilters.attrs.URL_ATTRIBUTES;
+
+/**
+ * The policy used when none is given; suitable for user comments.
+ */
+var DEFAULT_POLICY = {
+  elements: {
+    a: ['href', 'title'],
+    b: [], blockquote: [], br: [], code: [], em: [], i: [], li: [], ol: [],
+    p: [], pre: [], strong: [], u: [], ul: []
+  },
+  attributes: [],
+  urlSchemes: ['http', 'https', 'mailto'],
+  disallowed: 'drop'
+};
+
+/**
+ * Decodes numeric and the most common named character references.  Other
+ * named references are left as-is.
+ * @private
+ */
+function decodeCharRefs(str) {
+  return str.replace(CHAR_REF, function(match, dec, hex, name) {
+    if (name) {
+      return NAMED_REFS.hasOwnProperty(name) ? NAMED_REFS[name] : match;
+    }
+    var code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+      return '\uFFFD';
+    } else if (code > 0xFFFF) {
+      code -= 0x10000;
+      return String.fromCharCode(0xD800 + Math.floor(code / 0x400),
+        0xDC00 + code % 0x400);
+    }
+    return String.fromCharCode(code);
+  });
+}
+
+/**
+ * Re-encodes text content.  Well-formed named character references that
+ * aren't decoded by `decodeCharRefs` are kept, so that e.g. `&eacute;` still
+ * displays correctly.
+ * @private
+ */
+function encodeText(str) {
+  var out = '';
+  var pos = 0;
+  var refs = new RegExp(CHAR_REF.source, 'g');
+  var match;
+  while ((match = refs.exec(str))) {
+    var name = match[3];
+    if (name && !NAMED_REFS.hasOwnProperty(name) &&
+        match[0].charAt(match[0].length - 1) === ';') {
+      out += secureFilters.html(decodeCharRefs(str.slice(pos, match.index)));
+      out += match[0];
+      pos = refs.lastIndex;
+    }
+  }
+  return out + secureFilters.html(decodeCharRefs(str.slice(pos)));
+}
+
+/**
+ * Splits HTML into text, start tag, end tag and comment tokens.
+ *
+ * Tokens are objects with a `type`, the `source` text they were read from,
+ * and, for tags, a lower-case `name`.  Start tags also have an `attrs` array
+ * of `{name: ..., value: ...}` objects, where `value` is `null` for
+ * attributes without one.
+ *
+ * @param {string} str HTML
+ * @return {Array} tokens
+ * @private
+ */
+function tokenize(str) {
+  var tokens = [];
+  var text = '';
+  var i = 0;
+
+  function flushText() {
+    if (text) {
+      tokens.push({ type: 'text', source: text });
+      text = '';
+    }
+  }
+
+  // Reads a tag name or attribute name starting at `i`.
+  function readName(stop) {
+    var start = i;
+    while (i < str.length && !WHITESPACE.test(str.charAt(i)) &&
+           stop.indexOf(str.charAt(i)) < 0) {
+      i++;
+    }
+    return str.slice(start, i).toLowerCase();
+  }
+
+  function skipWhitespace() {
+    while (i < str.length && WHITESPACE.test(str.charAt(i))) {
+      i++;
+    }
+  }
+
+  // Reads the remainder of a tag after its name; returns the attributes or
+  // null if the tag isn't terminated.
+  function readAttributes() {
+    var attrs = [];
+    for (;;) {
+      while (i < str.length &&
+             (WHITESPACE.test(str.charAt(i)) || str.charAt(i) === '/')) {
+        i++;
+      }
+      if (i >= str.length) {
+        return null;
+      } else if (str.charAt(i) === '>') {
+        i++;
+        return attrs;
+      }
+
+      var attr = { name: str.charAt(i++).toLowerCase(), value: null };
+      attr.name += readName('/>=');
+      skipWhitespace();
+      if (str.charAt(i) === '=') {
+        i++;
+        skipWhitespace();
+        var quote = str.charAt(i);
+        if (quote === '"' || quote === '\'') {
+          var end = str.indexOf(quote, i + 1);
+          if (end < 0) {
+            return null;
+          }
+          attr.value = str.slice(i + 1, end);
+          i = end + 1;
+        } else {
+          var start = i;
+          while (i < str.length && !WHITESPACE.test(str.charAt(i)) &&
+                 str.charAt(i) !== '>') {
+            i++;
+          }
+          attr.value = str.slice(start, i);
+        }
+      }
+      attrs.push(attr);
+    }
+  }
+
+  while (i < str.length) {
+    var ch = str.charAt(i);
+    var next = str.charAt(i + 1);
+    var start = i;
+    var end;
+
+    if (ch !== '<') {
+      text += ch;
+      i++;
+      continue;
+    }
+
+    if (str.slice(i, i + 4) === '<!--') {
+      flushText();
+      end = str.indexOf('-->', i + 4);
+      i = (end < 0) ? str.length : end + 3;
+      tokens.push({ type: 'comment', source: str.slice(start, i) });
+
+    } else if (TAG_NAME_START.test(next) ||
+               (next === '/' && TAG_NAME_START.test(str.charAt(i + 2)))) {
+      var isEnd = (next === '/');
+      i += isEnd ? 2 : 1;
+      var name = readName('/>');
+      var attrs = readAttributes();
+      if (!attrs) {
+        // unterminated tag: treat the rest as text
+        text += str.slice(start);
+        break;
+      }
+      flushText();
+      tokens.push({
+        type: isEnd ? 'endTag' : 'startTag',
+        name: name,
+        attrs: isEnd ? [] : attrs,
+        source: str.slice(start, i)
+      });
+
+      if (!isEnd && RAW_TEXT_ELEMENTS.hasOwnProperty(name)) {
+        // skip to the matching end tag
+        var close = new RegExp('</' + name + '[\\t\\n\\f\\r />]', 'ig');
+        close.lastIndex = i;
+        var match = close.exec(str);
+        end = match ? match.index : str.length;
+        tokens.push({ type: 'rawText', source: str.slice(i, end) });
+        i = end;
+      }
+
+    } else if (next === '!' || next === '?' || next === '/') {
+      flushText();
+      end = str.indexOf('>', i);
+      i = (end < 0) ? str.length : end + 1;
+      tokens.push({ type: 'comment', source: str.slice(start, i) });
+
+    } else {
+      text += ch;
+      i++;
+    }
+  }
+  flushText();
+  return tokens;
+}
+
+/**
+ * Normalizes a policy object, filling in defaults.
+ * @private
+ */
+function normalizePolicy(policy) {
+  policy = policy || DEFAULT_POLICY;
+  var normal = {
+    elements: {},
+    attributes: {},
+    urlSchemes: (policy.urlSchemes || DEFAULT_POLICY.urlSchemes)
+      .map(function(scheme) { return scheme.toLowerCase(); }),
+    disallowed: policy.disallowed || 'drop'
+  };
+  if (normal.disallowed !== 'drop' && normal.disallowed !== 'encode') {
+    throw new Error('sanitizeHtml policy "disallowed" must be "drop" or ' +
+      '"encode"');
+  }
+
+  Object.keys(policy.elements || {}).forEach(function(name) {
+    var attrs = {};
+    (policy.elements[name] || []).forEach(function(attr) {
+      attrs[attr.toLowerCase()] = true;
+    });
+    normal.elements[name.toLowerCase()] = attrs;
+  });
+  (policy.attributes || []).forEach(function(attr) {
+    normal.attributes[attr.toLowerCase()] = true;
+  });
+  return normal;
+}
+
+/**
+ * Builds the sanitized start tag for an allowed element.
+ * @private
+ */
+function startTag(token, policy) {
+  var allowed = policy.elements[token.name];
+  var seen = {};
+  var out = '<' + token.name;
+
+  token.attrs.forEach(function(attr) {
+    var name = attr.name;
+    if (seen.hasOwnProperty(name)) {
+      return; // browsers use the first of duplicate attributes
+    }
+    seen[name] = true;
+
+    if (!allowed.hasOwnProperty(name) &&
+        !policy.attributes.hasOwnProperty(name)) {
+      return;
+    }
+    // Scripts and styles can't be made safe by encoding.
+    if (name.slice(0, 2) === 'on' || name === 'style') {
+      return;
+    }
+
+    if (attr.value === null) {
+      out += ' ' + name;
+      return;
+    }
+    var value = decodeCharRefs(attr.value);
+    if (URL_ATTRIBUTES.indexOf(name) !== -1) {
+      value = secureFilters.safeUrl(value, { schemes: policy.urlSchemes });
+      if (value === secureFilters.safeUrl.INVALID) {
+        return;
+      }
+    } else {
+      value = secureFilters.html(value);
+    }
+    out += ' ' + name + '="' + value + '"';
+  });
+
+  return out + '>';
+}
+
+/**
+ * Sanitizes HTML, keeping only the elements and attributes allowed by a
+ * policy.
+ *
+ * See sanitizeHtml(value, policy) in README.md for full documentation.
+ *
+ * @name sanitizeHtml
+ * @param {any} val will be converted to a String prior to sanitizing
+ * @param {Object} [policy] the allowed elements and attributes; defaults to
+ * `sanitizeHtml.DEFAULT_POLICY`
+ * @return {string} the sanitized HTML
+ */
+function sanitizeHtml(val, policy) {
+  policy = normalizePolicy(policy);
+  var tokens = tokenize(String(val));
+  var open = []; // allowed elements that haven't been closed
+  var out = '';
+
+  tokens.forEach(function(token) {
+    switch (token.type) {
+    case 'text':
+      out += encodeText(token.source);
+      return;
+
+    case 'startTag':
+      if (policy.elements.hasOwnProperty(token.name) &&
+          !RAW_TEXT_ELEMENTS.hasOwnProperty(token.name)) {
+        out += startTag(token, policy);
+        if (!VOID_ELEMENTS.hasOwnProperty(token.name)) {
+          open.push(token.name);
+        }
+        return;
+      }
+      break;
+
+    case 'endTag':
+      if (policy.elements.hasOwnProperty(token.name)) {
+        var index = open.lastIndexOf(token.name);
+        if (index >= 0) {
+          while (open.length > index) {
+            out += '</' + open.pop() + '>';
+          }
+        }
+        return;
+      }
+      break;
+
+    }
+
+    // a comment, a disallowed tag, or the content of a raw text element
+    if (policy.disallowed === 'encode' && token.type !== 'comment') {
+      out += secureFilters.html(token.source);
+    }
+  });
+
+  while (open.length) {
+    out += '</' + open.pop() + '>';
+  }
+  return out;
+}
+
+sanitizeHtml.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = sanitizeHtml;
@@ -0,0 +1,234 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+// Type definitions for the filters in lib/secure-filters.js, which also run
+// in browsers.  index.d.ts adds the node.js-only functions.
+
+declare const encodedFor: unique symbol;
+
+declare namespace secureFilters {
+  /**
+   * A string encoded by a filter.  The brand records which filter, so that
+   * e.g. an `html()` result can't be mistaken for a raw string, or for a
+   * `js()` result.  It's still a string at runtime.
+   */
+  type Encoded<Filter extends string> = string & {
+    readonly [encodedFor]: Filter;
+  };
+
+  type HtmlString = Encoded<'html'>;
+  type JsString = Encoded<'js'>;
+  type JsAttrString = Encoded<'jsAttr'>;
+  type JsTemplateString = Encoded<'jsTemplate'>;
+  type JsRegexString = Encoded<'jsRegex'>;
+  type JsIdentifierString = Encoded<'jsIdentifier'>;
+  type UriString = Encoded<'uri'>;
+  type SafeUrlString = Encoded<'safeUrl'>;
+  type JsonString = Encoded<'json'>;
+  type JsObjString = Encoded<'jsObj'>;
+  type CssString = Encoded<'css'>;
+  type StyleString = Encoded<'style'>;
+  type CssValueString = Encoded<'cssValue'>;
+  type CssDeclarationsString = Encoded<'cssDeclarations'>;
+  type AttrsString = Encoded<'attrs'>;
+  type XmlString = Encoded<'xml'>;
+  type XmlAttrString = Encoded<'xmlAttr'>;
+  type CdataString = Encoded<'cdata'>;
+  type CsvCellString = Encoded<'csvCell'>;
+  type LdapFilterString = Encoded<'ldapFilter'>;
+  type LdapDnString = Encoded<'ldapDn'>;
+
+  /** The types of context a value can be trusted for. */
+  type TrustedType = 'html' | 'url' | 'js' | 'css';
+
+  /** A value marked as already safe for one type of context. */
+  interface TrustedValue<Type extends TrustedType = TrustedType> {
+    readonly type: Type;
+    readonly value: string;
+    toString(): string;
+  }
+
+  interface Trusted {
+    html(value: unknown): TrustedValue<'html'>;
+    url(value: unknown): TrustedValue<'url'>;
+    js(value: unknown): TrustedValue<'js'>;
+    css(value: unknown): TrustedValue<'css'>;
+  }
+
+  interface SafeUrlOptions {
+    /** The allowed URL schemes; `['http', 'https', 'mailto']` by default. */
+    schemes?: string[];
+  }
+
+  interface AttrsOptions extends SafeUrlOptions {
+    /** Warn about dropped attributes with `console.warn`. */
+    warn?: boolean;
+  }
+
+  interface CssDeclarationsOptions {
+    /** Warn about dropped declarations with `console.warn`. */
+    warn?: boolean;
+  }
+
+  type EngineName = 'ejs' | 'handlebars' | 'nunjucks' | 'pug' | 'jade' |
+    'mustache' | 'locals';
+
+  interface ConfigureOptions {
+    /** The engine, if it isn't detected. */
+    engine?: EngineName;
+    /** The filters to add; all of them by default. */
+    include?: string[];
+    /** Filters not to add. */
+    exclude?: string[];
+    /** Prepended to each filter's name. */
+    prefix?: string;
+    /** Replace the engine's default escape function with `html()`. */
+    escape?: boolean;
+  }
+
+  interface CreateOptions {
+    /** The characters each type of filter leaves as-is. */
+    allow?: {html?: string; js?: string; css?: string};
+    /** The style of character references `html()` and `xml()` use. */
+    entities?: 'named' | 'decimal' | 'hex';
+    /** Encode every non-ASCII character. */
+    asciiOnly?: boolean;
+  }
+
+  type DangerousPattern = 'script-tag' | 'html-tag' | 'event-handler' |
+    'script-url' | 'cdata-close' | 'css-expression' | 'blocked-url';
+
+  interface EncodeEvent {
+    /** The name of the filter. */
+    filter: string;
+    /** The start of the input.  Treat it as untrusted! */
+    sample: string;
+    /** The length of the whole input. */
+    length: number;
+    /** The dangerous patterns the input matched. */
+    patterns: DangerousPattern[];
+    /** Events dropped by the rate limit since the last one. */
+    dropped: number;
+  }
+
+  interface OnEncodeOptions {
+    /** The fraction of filter calls to check, from 0 to 1; 1 by default. */
+    sampleRate?: number;
+    /** The most events per `interval`; 100 by default. */
+    maxEvents?: number;
+    /** The rate limit's window in milliseconds; 60000 by default. */
+    interval?: number;
+    /** The most characters of input in `sample`; 100 by default. */
+    sampleLength?: number;
+    /** Called with errors the listener throws, which are otherwise ignored. */
+    onError?: (err: unknown, event: EncodeEvent) => void;
+  }
+
+  /** Decoders for comparing output in tests.  Never use them for output! */
+  interface Decoders {
+    html(value: string): string;
+    js(value: string): string;
+    jsAttr(value: string): string;
+    jsTemplate(value: string): string;
+    jsRegex(value: string): string;
+    uri(value: string): string;
+    json(value: string): string;
+    jsObj(value: string): unknown;
+    css(value: string): string;
+    style(value: string): string;
+    xml(value: string): string;
+    xmlAttr(value: string): string;
+    cdata(value: string): string;
+  }
+
+  /** The filters, as made by `create()`. */
+  interface FilterSet {
+    html(value: unknown): HtmlString;
+    js(value: unknown): JsString;
+    jsAttr(value: unknown): JsAttrString;
+    jsTemplate(value: unknown): JsTemplateString;
+    jsRegex(value: unknown): JsRegexString;
+    jsIdentifier: {
+      (value: unknown): JsIdentifierString;
+      readonly INVALID: JsIdentifierString;
+    };
+    uri(value: unknown): UriString;
+    safeUrl: {
+      (value: unknown, options?: SafeUrlOptions): SafeUrlString;
+      readonly INVALID: SafeUrlString;
+    };
+    json(value: unknown): JsonString;
+    jsObj(value: unknown): JsObjString;
+    css(value: unknown): CssString;
+    style(value: unknown): StyleString;
+    cssValue: {
+      (value: unknown, property?: string): CssValueString;
+      readonly INVALID: CssValueString;
+    };
+    cssDeclarations(value: TrustedValue<'css'> | {[property: string]: unknown} |
+      null | undefined, options?: CssDeclarationsOptions): CssDeclarationsString;
+    attrs: {
+      (value: TrustedValue<'html'> | {[name: string]: unknown} | null |
+        undefined, options?: AttrsOptions): AttrsString;
+      /** The attributes that are validated as URLs. */
+      readonly URL_ATTRIBUTES: ReadonlyArray<string>;
+    };
+    xml(value: unknown): XmlString;
+    xmlAttr(value: unknown): XmlAttrString;
+    cdata(value: unknown): CdataString;
+    csvCell(value: unknown): CsvCellString;
+    ldapFilter(value: unknown): LdapFilterString;
+    ldapDn(value: unknown): LdapDnString;
+
+    configure: {
+      /** Adds the filters to a template engine, and returns the engine. */
+      <Engine extends object>(engine: Engine,
+        options?: ConfigureOptions | EngineName): Engine;
+      /** The names of the filters, in the order they're registered. */
+      readonly FILTER_NAMES: ReadonlyArray<string>;
+    };
+
+    isTrusted<Type extends TrustedType>(value: unknown,
+      type: Type): value is TrustedValue<Type>;
+    isTrusted(value: unknown): value is TrustedValue;
+    trusted: Trusted;
+    decode: Decoders;
+    onEncode(listener: (event: EncodeEvent) => void,
+      options?: OnEncodeOptions): () => void;
+  }
+
+  interface SecureFilters extends FilterSet {
+    create(options?: CreateOptions): FilterSet;
+  }
+}
+
+declare const secureFilters: secureFilters.SecureFilters;
+export = secureFilters;
@@ -45,253 +45,2087 @@ secureFilters.constructor = function secureFilters(){};
  * See README.md for full documentation.
  */
 
-var TO_CONFIGURE = ['html','js','jsAttr','uri','jsObj','css','style'];
+var QUOT = /\x22/g; // "
+var APOS = /\x27/g; // '
+var AST = /\*/g;
+var TILDE = /~/g;
+var BANG = /!/g;
+var LPAREN = /\(/g;
+var RPAREN = /\)/g;
+var CDATA_CLOSE = /\]\](?:>|\\x3E|\\u003E)/gi;
+var CDATA_END = /\]\]>/g;
+
+// Characters other than ASCII letters and digits that each type of filter
+// leaves as-is by default.  `js` also applies to `json` and `jsObj`.
+// ESAPI doesn't consider "-" safe, but we do. It's both URI and HTML safe.
+var DEFAULT_ALLOW = {
+  html: '\t\n\v\f\r ,.-_',
+  js: ',.-_',
+  css: ''
+};
+
+// Characters that can't be added to an allow-list since they're syntax in
+// that type of context.  CSS only gets "-._" and non-ASCII.
+var NEVER_ALLOW = {
+  html: /[\x00-\x08\x0E-\x1F\x7F-\x9F"&'\/<=>`\uD800-\uDFFF]/,
+  js: /[\x00-\x1F\x7F-\x9F"$&'\/<=>\\`{}\u2028\u2029\uD800-\uDFFF]/,
+  css: /[\x00-\x20\x7F-\xA0!-,\/:-@\[-\^`{-~\uD800-\uDFFF]/
+};
+
+// Unicode allowed by html() and NO-BREAK SPACE U+00A0 is fine since it's
+// "whitespace".  Surrogate pairs are handled separately.
+var HTML_UNICODE = '\u00A0-\uD7FF\uE000-\uFFFF';
+
+// '":[\]{}' are necessary JSON metacharacters
+var JSON_META = '":[\\]{}';
+
+// jsRegex() leaves letters, digits and "_" as-is; everything else could be
+// regular expression syntax.
+var JS_REGEX_UNSAFE = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[^0-9A-Za-z_]/g;
+
+// ASCII identifiers, and property names that reach prototypes or Function.
+var JS_IDENTIFIER = /^[A-Za-z_$][0-9A-Za-z_$]*$/;
+var JS_UNSAFE_PROPERTIES = ['__proto__','constructor','prototype'];
+
+var ENTITY_STYLES = ['named','decimal','hex'];
+
+// Control characters that get converted to spaces.
+var HTML_CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+
+// Named character references: folks expect the ASCII ones, and the Latin-1
+// ones (U+00A0 to U+00FF) are used when entities are 'named'.
+var HTML_ENTITY_NAMES = {
+  0x22: 'quot',
+  0x26: 'amp',
+  0x3C: 'lt',
+  0x3E: 'gt'
+};
+var LATIN1_ENTITY_NAMES = ('nbsp iexcl cent pound curren yen brvbar sect ' +
+  'uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro ' +
+  'para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave ' +
+  'Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml ' +
+  'Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml ' +
+  'times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute ' +
+  'acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave ' +
+  'iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide ' +
+  'oslash ugrave uacute ucirc uuml yacute thorn yuml').split(' ');
+for (var e = 0; e < LATIN1_ENTITY_NAMES.length; e++) {
+  HTML_ENTITY_NAMES[0xA0 + e] = LATIN1_ENTITY_NAMES[e];
+}
+
+// Characters that aren't allowed anywhere in an XML 1.0 document, not even
+// as character references.  Unpaired surrogates are handled separately.
+var XML_INVALID = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+// XML's predefined entities.
+var XML_ENTITY_NAMES = {
+  0x22: 'quot',
+  0x26: 'amp',
+  0x27: 'apos',
+  0x3C: 'lt',
+  0x3E: 'gt'
+};
+
+// Attribute values have their whitespace normalized by XML parsers, and
+// text has its carriage returns normalized, so those are encoded.
+var XML_ALLOW = '\t\n ,.-_';
+var XML_ATTR_ALLOW = ' ,.-_';
+
+// Cells that spreadsheets would read as a formula, including the full-width
+// forms some of them accept (OWASP "CSV Injection").  Numbers are safe.
+var CSV_FORMULA = /^[=+\-@\t\r\uFF1D\uFF0B\uFF0D\uFF20]/;
+var CSV_NUMBER = /^[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?$/;
+
+// Characters escaped in LDAP filter values (RFC 4515) and distinguished
+// names (RFC 4514).  DNs also escape a leading space or `#` and a trailing
+// space.
+var LDAP_FILTER_META = /[\\*()\x00]/g;
+var LDAP_DN_META = /[\\"+,;<>=\x00]|^[ #]| $/g;
+
+// Matches surrogate pairs and unpaired surrogates.
+var SURROGATES = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]/g;
+var ANY_SURROGATE = /[\uD800-\uDFFF]/;
+
+// Ignored when looking for the scheme of a URL: browsers strip leading and
+// trailing control characters and space, and drop tabs and newlines anywhere.
+// Some also skip other control characters, so be conservative.
+var URL_IGNORED = /[\x00-\x20\x7F-\x9F]/g;
+var URL_SCHEME = /^([A-Za-z][A-Za-z0-9+.\-]*):/;
+var CHAR_REF = /&(?:#([0-9]+)|#[xX]([0-9A-Fa-f]+)|([A-Za-z][A-Za-z0-9]*));?/g;
+var DEFAULT_URL_SCHEMES = ['http','https','mailto'];
+
+// Named character references that can hide URL schemes.
+var URL_NAMED_REFS = {
+  colon: ':',
+  newline: '\n',
+  tab: '\t'
+};
+
+// Attribute names that attrs() outputs; a conservative subset of what HTML
+// parsers accept, which still covers data-*, aria-* and namespaced names.
+var ATTR_NAME = /^[A-Za-z_:][A-Za-z0-9_:.\-]*$/;
+var EVENT_HANDLER_ATTR = /^on/;
+// Attributes whose value is a URL; also used by sanitizeHtml() and
+// auto-escaping, through attrs.URL_ATTRIBUTES.
+var URL_ATTRS = ('action background cite classid codebase data formaction ' +
+  'href icon longdesc manifest ping poster profile src usemap ' +
+  'xlink:href').split(' ');
+var BOOLEAN_ATTRS = ('allowfullscreen async autofocus autoplay checked ' +
+  'controls default defer disabled formnovalidate hidden inert ismap ' +
+  'itemscope loop multiple muted nomodule novalidate open playsinline ' +
+  'readonly required reversed selected').split(' ');
+// Attributes whose values are parsed as HTML documents.
+var HTML_ATTRS = ['srcdoc'];
+
+// Tokens that cssValue() allows, tried in order; anything else, including
+// comments, escapes, at-rules, `!important` and functions other than the ones
+// below, makes the value invalid.
+var CSS_TOKENS = [
+  ['space', /^\s+/],
+  ['comma', /^,/],
+  ['slash', /^\//],
+  ['hash', /^#(?:[0-9A-Fa-f]{8}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{3,4})(?![\w\-])/],
+  ['number', /^[+\-]?(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)(%|[A-Za-z]+)?(?![\w\-])/],
+  ['function', /^([A-Za-z\-]+)\(/],
+  ['ident', /^-{0,2}[A-Za-z_][\w\-]*/],
+  ['string', /^(["'])([A-Za-z0-9 _\-]*)\1/],
+  ['operator', /^[*+\-]/],
+  ['close', /^\)/]
+];
+var CSS_UNITS = ('% px em rem ex ch cap ic lh rlh vw vh vmin vmax vi vb cm mm ' +
+  'q in pt pc deg rad grad turn s ms fr dpi dpcm dppx x').split(' ');
+var CSS_COLOR_FUNCTIONS = ['rgb','rgba','hsl','hsla','var'];
+var CSS_LENGTH_FUNCTIONS = ['calc','min','max','clamp','var'];
+var CSS_COLOR_PROPS = ('color background-color border-color ' +
+  'border-top-color border-right-color border-bottom-color ' +
+  'border-left-color outline-color text-decoration-color column-rule-color ' +
+  'caret-color fill stroke').split(' ');
+var CSS_LENGTH_PROPS = ('width height min-width min-height max-width ' +
+  'max-height margin margin-top margin-right margin-bottom margin-left ' +
+  'padding padding-top padding-right padding-bottom padding-left top right ' +
+  'bottom left font-size line-height letter-spacing word-spacing ' +
+  'text-indent border-width border-radius outline-width outline-offset gap ' +
+  'row-gap column-gap flex-basis').split(' ');
+// Keywords that mean something else unquoted in font-family.
+var CSS_FONT_KEYWORDS = ('serif sans-serif monospace cursive fantasy ' +
+  'system-ui math emoji fangsong ui-serif ui-sans-serif ui-monospace ' +
+  'ui-rounded inherit initial unset revert revert-layer default').split(' ');
+var CSS_IDENT = /^-?[A-Za-z_][\w\-]*$/;
+var CSS_PROPERTY = /^(?:--[\w\-]+|-?[A-Za-z][A-Za-z0-9\-]*)$/;
+var CSS_UNSAFE_PROPS = ['behavior','-moz-binding'];
+
+/**
+ * Gets the code point of a single character, which may be a surrogate pair.
+ * Unpaired surrogates give REPLACEMENT CHARACTER U+FFFD.
+ * @param {string} charStr single-character string.
+ * @return {number} the code point
+ * @private
+ */
+function codePointOf(charStr) {
+  var code = charStr.charCodeAt(0);
+  if (charStr.length === 2) {
+    return (code - 0xD800) * 0x400 + (charStr.charCodeAt(1) - 0xDC00) + 0x10000;
+  } else if (code >= 0xD800 && code <= 0xDFFF) {
+    return 0xFFFD;
+  }
+  return code;
+}
+
+/**
+ * Replaces unpaired surrogates with REPLACEMENT CHARACTER U+FFFD.
+ * @param {string} str
+ * @return {string}
+ * @private
+ */
+function replaceLoneSurrogates(str) {
+  if (!ANY_SURROGATE.test(str)) {
+    return str;
+  }
+  return str.replace(SURROGATES, function(match) {
+    return match.length === 2 ? match : '\uFFFD';
+  });
+}
+
+/**
+ * A value that's already safe for output in one type of context.
+ *
+ * @constructor
+ * @param {string} type the type of context: 'html', 'url', 'js' or 'css'
+ * @param {any} val will be converted to a String
+ * @private
+ */
+function TrustedValue(type, val) {
+  this.type = type;
+  this.value = String(val);
+  if (typeof Object.freeze === 'function') {
+    Object.freeze(this);
+  }
+}
+
+TrustedValue.prototype.toString = function() {
+  return this.value;
+};
+
+/**
+ * Checks if a value was wrapped by one of the `trusted` functions.
+ *
+ * See "Trusted values" in README.md for full documentation.
+ *
+ * @name isTrusted
+ * @param {any} val
+ * @param {string} [type] 'html', 'url', 'js' or 'css'; any type if omitted
+ * @return {boolean}
+ */
+secureFilters.isTrusted = function(val, type) {
+  return val instanceof TrustedValue && (!type || val.type === type);
+};
+
+/**
+ * Wrappers that mark values as already safe for one type of context.  Filters
+ * for that type of context output the wrapped value as-is; other filters
+ * encode it like any other string.
+ *
+ * See "Trusted values" in README.md for full documentation.
+ */
+secureFilters.trusted = {};
+
+var TRUSTED_TYPES = ['html','url','js','css'];
+
+/**
+ * Makes the `trusted` wrapper for one type of context.
+ * @param {string} type
+ * @return {Function}
+ * @private
+ */
+function trustedWrapper(type) {
+  return function(val) {
+    return new TrustedValue(type, val);
+  };
+}
+
+for (var t = 0; t < TRUSTED_TYPES.length; t++) {
+  secureFilters.trusted[TRUSTED_TYPES[t]] = trustedWrapper(TRUSTED_TYPES[t]);
+}
+
+/**
+ * Warns about insecure configuration, where there's a console.
+ * @param {string} msg
+ * @private
+ */
+function warn(msg) {
+  if (typeof console !== 'undefined' && typeof console.warn === 'function') {
+    console.warn('secure-filters: ' + msg);
+  }
+}
+
+/**
+ * Calls `fn(filterName, filter)` for each of the filters to configure.
+ * @param {Object} selected filters by the name to register them under
+ * @param {Function} fn
+ * @private
+ */
+function eachFilter(selected, fn) {
+  for (var filterName in selected) {
+    if (selected.hasOwnProperty(filterName)) {
+      fn(filterName, selected[filterName]);
+    }
+  }
+}
+
+/**
+ * Wraps an EJS function taking `(str, options)` so that `options.escape`
+ * defaults to `escape`.  The caller's options aren't modified.
+ * @param {Function} fn
+ * @param {Function} escape
+ * @return {Function}
+ * @private
+ */
+function withEjsEscape(fn, escape) {
+  return function(str, options) {
+    var args = Array.prototype.slice.call(arguments);
+    if (!options || !options.escape) {
+      var copy = {};
+      for (var key in options) {
+        if (options.hasOwnProperty(key)) {
+          copy[key] = options[key];
+        }
+      }
+      copy.escape = escape;
+      args[1] = copy;
+    }
+    return fn.apply(this, args);
+  };
+}
+
+/**
+ * Copies a template's locals over the filters, so the template's own values
+ * win.  Neither object is modified.
+ * @param {Object} filters
+ * @param {Object} [locals]
+ * @return {Object}
+ * @private
+ */
+function mergeLocals(filters, locals) {
+  var merged = {};
+  var sources = [filters, locals];
+  for (var i = 0; i < sources.length; i++) {
+    for (var key in sources[i]) {
+      if (sources[i].hasOwnProperty(key)) {
+        merged[key] = sources[i][key];
+      }
+    }
+  }
+  return merged;
+}
+
+// Whether configure() replaces each engine's default escape function, unless
+// the `escape` option says otherwise.
+var ENGINE_ESCAPE = {
+  ejs: false,
+  handlebars: true,
+  nunjucks: false,
+  pug: true,
+  jade: true,
+  mustache: true,
+  locals: false
+};
+
+/**
+ * Guesses which template engine a package object is.  Anything unrecognized
+ * is treated as EJS, which only needs a `filters` object.
+ * @param {Object} engine
+ * @return {string} the key in ENGINES
+ * @private
+ */
+function detectEngine(engine) {
+  if (typeof engine.registerHelper === 'function' && engine.SafeString) {
+    return 'handlebars';
+  } else if (typeof engine.addFilter === 'function' &&
+             typeof engine.getFilter === 'function') {
+    return 'nunjucks';
+  } else if (typeof engine.compileClient === 'function' && engine.runtime) {
+    return 'pug';
+  } else if (engine.name === 'mustache.js') {
+    return 'mustache';
+  }
+  return 'ejs';
+}
+
+/**
+ * Registers filters with each template engine in its own way and, if
+ * `escape` is given, makes it the engine's default escape function.
+ * @private
+ */
+var ENGINES = {
+  ejs: function(ejs, selected, escape, keepBuiltIn) {
+    ejs.filters = ejs.filters || {};
+    eachFilter(selected, function(filterName, filter) {
+      // EJS has filters of its own, e.g. `json`, which templates may rely
+      // on.  They're only replaced if ours were asked for by name or prefix.
+      var existing = ejs.filters[filterName];
+      if (keepBuiltIn && existing && !existing.secureFilters) {
+        return;
+      }
+      ejs.filters[filterName] = filter;
+    });
+    // EJS 0.8 and 1.x take the escape function as an option of compile(),
+    // which render() calls directly.
+    if (escape && ejs.compile && !ejs.compile.secureFiltersEscape) {
+      ejs.compile = withEjsEscape(ejs.compile, escape);
+      ejs.compile.secureFiltersEscape = true;
+      if (ejs.render) {
+        ejs.render = withEjsEscape(ejs.render, escape);
+      }
+    }
+  },
+
+  handlebars: function(handlebars, selected, escape) {
+    // Helper output would be HTML-escaped again without SafeString.
+    eachFilter(selected, function(filterName, filter) {
+      handlebars.registerHelper(filterName, function(val) {
+        return new handlebars.SafeString(filter(val));
+      });
+    });
+
+    // Keeps Handlebars' handling of SafeString and null.
+    if (escape) {
+      handlebars.escapeExpression =
+      handlebars.Utils.escapeExpression = function(val) {
+        if (val && typeof val.toHTML === 'function') {
+          return val.toHTML();
+        } else if (val === null || val === undefined) {
+          return '';
+        }
+        return escape(val);
+      };
+    }
+
+    // Escaping can only be turned off per template.
+    var compile = handlebars.compile;
+    if (!compile.secureFilters) {
+      handlebars.compile = function(input, options) {
+        if (options && options.noEscape) {
+          warn('Handlebars template compiled with noEscape; output is not escaped');
+        }
+        return compile.apply(this, arguments);
+      };
+      handlebars.compile.secureFilters = true;
+    }
+  },
+
+  nunjucks: function(env, selected) {
+    // The built-in `safe` filter marks output so it isn't autoescaped again.
+    var markSafe = env.getFilter('safe');
+    eachFilter(selected, function(filterName, filter) {
+      env.addFilter(filterName, function() {
+        return markSafe(filter.apply(null, arguments));
+      });
+    });
+    // Autoescaping uses Nunjucks' own escape function, which isn't reachable
+    // from an Environment.
+    if (env.opts && env.opts.autoescape === false) {
+      warn('Nunjucks autoescape is disabled; output is not escaped by default');
+    }
+  },
+
+  pug: function(pug, selected, escape) {
+    // Pug's own filters only transform the template's text when it's
+    // compiled, so the filters are added to the locals of every template
+    // instead.  render(), renderFile() and compileFile() all use compile().
+    var compile = pug.compile;
+    if (typeof compile === 'function') {
+      var filters = compile.secureFiltersLocals;
+      if (!filters) {
+        filters = {};
+        pug.compile = function() {
+          var template = compile.apply(this, arguments);
+          var wrapped = function(locals) {
+            return template.call(this, mergeLocals(filters, locals));
+          };
+          wrapped.dependencies = template.dependencies;
+          return wrapped;
+        };
+        pug.compile.secureFiltersLocals = filters;
+      }
+      eachFilter(selected, function(filterName, filter) {
+        filters[filterName] = filter;
+      });
+    }
+    // Used by `#{}` and `=`, unless runtime functions are inlined.
+    if (escape) {
+      pug.runtime.escape = escape;
+    }
+  },
+
+  mustache: function(mustache, selected, escape) {
+    // Mustache has no filters or helpers, just the escape function.
+    if (escape) {
+      mustache.escape = escape;
+    }
+  },
+
+  locals: function(locals, selected) {
+    // Template variables, e.g. Express's `app.locals`, for any view engine
+    // that can call functions.  There's no escape function to replace.
+    eachFilter(selected, function(filterName, filter) {
+      locals[filterName] = filter;
+    });
+  }
+};
+ENGINES.jade = ENGINES.pug;
+
+/**
+ * Escapes characters that are special inside a RegExp character class.
+ * @param {string} str
+ * @return {string}
+ * @private
+ */
+function escapeCharClass(str) {
+  return str.replace(/[\\\]\^\-]/g, '\\$&');
+}
+
+/**
+ * Builds a pattern matching the characters a filter has to encode.  Surrogate
+ * pairs are matched first, so that characters at U+10000 and up are encoded
+ * as a whole.  Unpaired surrogates are matched on their own and replaced.
+ * @param {string} allowed character class contents, other than alphanum.
+ * @return {RegExp}
+ * @private
+ */
+function notAllowedPattern(allowed) {
+  return new RegExp('[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[^0-9A-Za-z' +
+    allowed + ']', 'g');
+}
+
+/**
+ * Validates the options for create() and turns them into the patterns and
+ * settings used by the filters.
+ * @param {Object} options
+ * @return {Object}
+ * @private
+ */
+function filterSettings(options) {
+  var allow = {};
+  for (var type in DEFAULT_ALLOW) {
+    if (!DEFAULT_ALLOW.hasOwnProperty(type)) {
+      continue;
+    }
+    var chars = DEFAULT_ALLOW[type];
+    if (options.allow && typeof options.allow[type] === 'string') {
+      chars = options.allow[type];
+      var bad = NEVER_ALLOW[type].exec(chars) ||
+        (options.asciiOnly && /[^\x00-\x7F]/.exec(chars));
+      if (bad) {
+        throw new Error('secure-filters cannot allow ' + JSON.stringify(bad[0]) +
+          ' in ' + type + ' contexts');
+      }
+    }
+    allow[type] = escapeCharClass(chars);
+  }
+
+  if (options.entities && ENTITY_STYLES.indexOf(options.entities) === -1) {
+    throw new Error('secure-filters entities must be one of ' +
+      ENTITY_STYLES.join(', '));
+  }
+
+  // XML_INVALID already replaced U+FFFE and U+FFFF
+  var xmlUnicode = options.asciiOnly ? '' : HTML_UNICODE;
+
+  return {
+    html: notAllowedPattern(allow.html + (options.asciiOnly ? '' : HTML_UNICODE)),
+    js: notAllowedPattern(allow.js),
+    json: notAllowedPattern(allow.js + escapeCharClass(JSON_META)),
+    css: notAllowedPattern(allow.css),
+    entities: options.entities || null,
+    xml: notAllowedPattern(escapeCharClass(XML_ALLOW) + xmlUnicode),
+    xmlAttr: notAllowedPattern(escapeCharClass(XML_ATTR_ALLOW) + xmlUnicode),
+    asciiOnly: !!options.asciiOnly,
+    allow: allow
+  };
+}
+
+/**
+ * Encodes a single code point as an HTML character reference.
+ * @param {number} code the code point
+ * @param {string|null} entities 'named', 'decimal', 'hex' or null for the
+ * default mix.
+ * @return {string}
+ * @private
+ */
+function htmlEntity(code, entities) {
+  if (entities === 'decimal') {
+    return '&#'+code.toString(10)+';';
+  } else if (entities === 'hex') {
+    return '&#x'+code.toString(16).toUpperCase()+';';
+  }
+
+  if (HTML_ENTITY_NAMES.hasOwnProperty(code) &&
+      (code < 0x80 || entities === 'named')) {
+    return '&'+HTML_ENTITY_NAMES[code]+';';
+  }
+
+  // optimize for size:
+  if (code < 100) {
+    var dec = code.toString(10);
+    return '&#'+dec+';';
+  } else {
+    var hex = code.toString(16).toUpperCase();
+    return '&#x'+hex+';';
+  }
+}
+
+/**
+ * Encodes a single code point as an XML character reference, using XML's
+ * predefined entities unless `entities` is 'decimal' or 'hex'.
+ * @param {number} code the code point
+ * @param {string|null} entities
+ * @return {string}
+ * @private
+ */
+function xmlEntity(code, entities) {
+  if (entities !== 'decimal' && entities !== 'hex' &&
+      XML_ENTITY_NAMES.hasOwnProperty(code)) {
+    return '&'+XML_ENTITY_NAMES[code]+';';
+  }
+  // only the HTML entities XML predefines can be used
+  return htmlEntity(code, entities === 'named' ? null : entities);
+}
+
+/**
+ * Backslash-encoding for a single UTF-16 code unit in JavaScript contexts.
+ * @param {number} code the code unit
+ * @return {string} backslash escaped code unit.
+ * @private
+ */
+function jsCodeUnitEncoder(code) {
+  var hex = code.toString(16).toUpperCase();
+  if (code < 0x80) { // ASCII
+    if (hex.length === 1) {
+      return '\\x0'+hex;
+    } else {
+      return '\\x'+hex;
+    }
+  } else { // Unicode
+    switch(hex.length) {
+      case 2:
+        return '\\u00'+hex;
+      case 3:
+        return '\\u0'+hex;
+      default:
+        return '\\u'+hex;
+    }
+  }
+}
+
+/**
+ * Backslash-encoding for a single character in JavaScript contexts.
+ * @param {string} charStr single-character string, which may be a surrogate
+ * pair.
+ * @return {string} backslash escaped character.
+ * @private
+ */
+function jsSlashEncoder(charStr) {
+  var code = codePointOf(charStr);
+  if (code > 0xFFFF) {
+    // `\u{...}` escapes need ES2015, but escaping both halves of the
+    // surrogate pair works everywhere.
+    return jsCodeUnitEncoder(charStr.charCodeAt(0)) +
+      jsCodeUnitEncoder(charStr.charCodeAt(1));
+  }
+  // unpaired surrogates become REPLACEMENT CHARACTER U+FFFD
+  return jsCodeUnitEncoder(code);
+}
+
+/**
+ * Backslash-encoding for a single character in CSS contexts.
+ * @param {string} charStr single-character string, which may be a surrogate
+ * pair.
+ * @return {string} backslash escaped character.
+ * @private
+ */
+function cssSlashEncoder(charStr) {
+  var code = codePointOf(charStr);
+  if (code === 0) {
+    return '\\fffd '; // REPLACEMENT CHARACTER U+FFFD
+  }
+  // unpaired surrogates become U+FFFD via codePointOf()
+  return '\\'+code.toString(16).toLowerCase()+' ';
+}
+
+/**
+ * The default `encodeRun` for singlePassEncoder(), leaving input as-is.
+ * @param {string} str
+ * @return {string}
+ * @private
+ */
+function keepRun(str) {
+  return str;
+}
+
+/**
+ * Builds an encoder that makes a single pass over its input, looking up the
+ * encoding of each code unit below U+0100 in a table.  Characters from
+ * U+0100 up, including surrogate pairs, go to `encodeWide`.  Input with
+ * nothing to encode is returned as-is after one search.
+ * @param {Function} encodeChar encodes a single character below U+0100
+ * @param {Function} encodeWide encodes a character at U+0100 and up, which
+ * may be a surrogate pair; returns null to leave it as-is
+ * @param {string} wide character class contents: the code units at U+0100
+ * and up that encodeWide might encode
+ * @param {Function} [encodeRun] encodes the runs of input between the
+ * characters that the table and encodeWide encode; they're left as-is if
+ * omitted
+ * @return {Function} the encoder, taking and returning a string
+ * @private
+ */
+function singlePassEncoder(encodeChar, encodeWide, wide, encodeRun) {
+  var run = encodeRun || keepRun;
+  var table = [];
+  var unsafe = '';
+  for (var c = 0; c < 0x100; c++) {
+    var ch = String.fromCharCode(c);
+    var encoded = encodeChar(ch);
+    if (encoded === ch) {
+      table.push(null);
+    } else {
+      table.push(encoded);
+      unsafe += '\\x' + (c < 0x10 ? '0' : '') + c.toString(16);
+    }
+  }
+  var first = new RegExp('[' + unsafe + wide + ']');
+
+  return function(str) {
+    var i = str.search(first);
+    if (i === -1) {
+      return run(str);
+    }
+    var out = '';
+    var last = 0;
+    for (var len = str.length; i < len; i++) {
+      var code = str.charCodeAt(i);
+      if (code < 0x100) {
+        if (table[code] !== null) {
+          out += run(str.slice(last, i)) + table[code];
+          last = i + 1;
+        }
+        continue;
+      }
+      var size = 1;
+      if (code >= 0xD800 && code <= 0xDBFF && i + 1 < len) {
+        var next = str.charCodeAt(i + 1);
+        if (next >= 0xDC00 && next <= 0xDFFF) {
+          size = 2;
+        }
+      }
+      var rep = encodeWide(str.substr(i, size));
+      if (rep !== null) {
+        out += run(str.slice(last, i)) + rep;
+        last = i + size;
+      }
+      i += size - 1;
+    }
+    return out + run(str.slice(last));
+  };
+}
+
+/**
+ * Makes an encodeWide() for singlePassEncoder() that encodes every character
+ * from U+0100 up, unless the allow-list has it.
+ * @param {string} allowed character class contents of the allow-list
+ * @param {Function} encode encodes a single character
+ * @return {Function}
+ * @private
+ */
+function wideEncoder(allowed, encode) {
+  // only custom allow-lists have characters that high
+  var pattern = /[^\x00-\xFF]/.test(allowed) ?
+    new RegExp('^[' + allowed + ']$') : null;
+  return function(ch) {
+    return pattern && pattern.test(ch) ? null : encode(ch);
+  };
+}
+
+/**
+ * Builds the single-pass encoders for a set of filters.  Each one gives
+ * exactly the output of the pattern-based encoding it replaces, which is
+ * what fills its table.
+ * @param {Object} settings from filterSettings()
+ * @return {Object} encoders by filter name
+ * @private
+ */
+function makeEncoders(settings) {
+  var asciiOnly = settings.asciiOnly;
+  var entities = settings.entities;
+  var allWide = '\\u0100-\\uFFFF';
+  var encoders = {};
+
+  function htmlMatch(match) {
+    return htmlEntity(codePointOf(match), entities);
+  }
+
+  function xmlMatch(match) {
+    return xmlEntity(codePointOf(match), entities);
+  }
+
+  // Non-ASCII is allowed in HTML and XML unless `asciiOnly`, apart from
+  // unpaired surrogates (and U+FFFE and U+FFFF in XML).
+  function isLoneSurrogate(ch) {
+    var code = ch.charCodeAt(0);
+    return ch.length === 1 && code >= 0xD800 && code <= 0xDFFF;
+  }
+
+  function htmlWide(ch) {
+    if (asciiOnly) {
+      return htmlMatch(ch);
+    }
+    return isLoneSurrogate(ch) ? '\uFFFD' : ch;
+  }
+
+  function xmlWide(ch) {
+    if (ch === '\uFFFE' || ch === '\uFFFF') {
+      ch = '\uFFFD';
+    }
+    if (asciiOnly) {
+      return xmlMatch(ch);
+    }
+    return isLoneSurrogate(ch) ? '\uFFFD' : ch;
+  }
+
+  function keepUnchanged(encode) {
+    return function(ch) {
+      var encoded = encode(ch);
+      return encoded === ch ? null : encoded;
+    };
+  }
+
+  encoders.html = singlePassEncoder(function(ch) {
+    return ch.replace(HTML_CONTROL, ' ').replace(settings.html, htmlMatch);
+  }, keepUnchanged(htmlWide), asciiOnly ? allWide : '\\uD800-\\uDFFF');
+
+  encoders.js = singlePassEncoder(function(ch) {
+    return ch.replace(settings.js, jsSlashEncoder);
+  }, wideEncoder(settings.allow.js, jsSlashEncoder), allWide);
+
+  encoders.json = singlePassEncoder(function(ch) {
+    return ch.replace(settings.json, jsSlashEncoder);
+  }, wideEncoder(settings.allow.js, jsSlashEncoder), allWide);
+
+  encoders.css = singlePassEncoder(function(ch) {
+    return ch.replace(settings.css, cssSlashEncoder);
+  }, wideEncoder(settings.allow.css, cssSlashEncoder), allWide);
+
+  var xmlWideChars = asciiOnly ? allWide : '\\uD800-\\uDFFF\\uFFFE\\uFFFF';
+  encoders.xml = singlePassEncoder(function(ch) {
+    return ch.replace(XML_INVALID, '\uFFFD').replace(settings.xml, xmlMatch);
+  }, keepUnchanged(xmlWide), xmlWideChars);
+  encoders.xmlAttr = singlePassEncoder(function(ch) {
+    return ch.replace(XML_INVALID, '\uFFFD').replace(settings.xmlAttr, xmlMatch);
+  }, keepUnchanged(xmlWide), xmlWideChars);
+
+  // jsAttr and style, fused into one pass each: html() of the inner
+  // encoding of every character.
+  function fuse(inner) {
+    var innerWide = wideEncoder(settings.allow[inner], inner === 'js' ?
+      jsSlashEncoder : cssSlashEncoder);
+    return singlePassEncoder(function(ch) {
+      return encoders.html(encoders[inner](ch));
+    }, keepUnchanged(function(ch) {
+      var encoded = innerWide(ch);
+      return encoders.html(encoded === null ? ch : encoded);
+    }), allWide);
+  }
+  encoders.jsAttr = fuse('js');
+  encoders.style = fuse('css');
+
+  // encodeURIComponent() is well-standardized across browsers and it handles
+  // UTF-8 natively, so it encodes the runs between the characters it won't
+  // encode: "~!*()'".  It also won't encode ".-_", but those are known-safe.
+  //
+  // IE does not always encode '"' to '%27':
+  // http://blog.imperva.com/2012/01/ie-bug-exposes-its-users-to-xss-attacks-.html
+  //
+  // encodeURIComponent() throws on unpaired surrogates, so those are replaced
+  // with U+FFFD, encoded.
+  encoders.uri = singlePassEncoder(function(ch) {
+    return ch
+      .replace(BANG, '%21')
+      .replace(APOS, '%27')
+      .replace(LPAREN, '%28')
+      .replace(RPAREN, '%29')
+      .replace(AST, '%2A')
+      .replace(TILDE, '%7E');
+  }, function(ch) {
+    return isLoneSurrogate(ch) ? '%EF%BF%BD' : null;
+  }, '\\uD800-\\uDFFF', encodeURIComponent);
+
+  return encoders;
+}
+
+/**
+ * Decodes the character references that matter for finding the scheme of a
+ * URL.
+ * @param {string} str
+ * @return {string} the decoded string
+ * @private
+ */
+function decodeUrlCharRefs(str) {
+  return str.replace(CHAR_REF, function(match, dec, hex, name) {
+    if (name) {
+      name = name.toLowerCase();
+      return URL_NAMED_REFS.hasOwnProperty(name) ? URL_NAMED_REFS[name] : match;
+    }
+    var code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code < 0x80 ? String.fromCharCode(code) : match;
+  });
+}
+
+/**
+ * Finds the lower-cased scheme of a URL.
+ * @param {string} str
+ * @return {string|null} the scheme, or null for a relative URL
+ * @private
+ */
+function urlScheme(str) {
+  var match = URL_SCHEME.exec(str.replace(URL_IGNORED, ''));
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Listeners added by onEncode(), shared by every set of filters.
+var encodeListeners = [];
+// Non-zero while a filter runs, so filters that call other filters (e.g.
+// jsAttr) are reported once.
+var encodeDepth = 0;
+
+// Patterns that make encoded input worth reporting, by name.
+var DANGEROUS_PATTERNS = {
+  'script-tag': /<\/?script\b/i,
+  'html-tag': /<[A-Za-z\/!?]/,
+  'event-handler': /[\s"'\/]on[A-Za-z]+\s*=/i,
+  'cdata-close': /\]\](?:>|\\x3E|\\u003E)/i,
+  'css-expression': /expression\s*\(|behavior\s*:|-moz-binding/i
+};
+// Matched after removing URL_IGNORED characters, as browsers do.
+var SCRIPT_URL = /(?:java|vb)script:/i;
+
+/**
+ * Finds the string a filter encoded, for matching and sampling.
+ * @param {string} name of the filter
+ * @param {any} val the filter's input
+ * @return {string}
+ * @private
+ */
+function encodedInput(name, val) {
+  if (secureFilters.isTrusted(val)) {
+    return val.value;
+  } else if (name === 'jsObj' || name === 'attrs' ||
+             name === 'cssDeclarations') {
+    // Values JSON can't hold, e.g. circular objects, mustn't make the filter
+    // throw just because something is listening.
+    try {
+      return String(JSON.stringify(val));
+    } catch (err) {
+      return String(val);
+    }
+  }
+  return String(val);
+}
+
+/**
+ * Lists the dangerous patterns found in a filter's input.
+ * @param {string} name of the filter
+ * @param {string} input
+ * @param {string} output
+ * @return {Array} pattern names
+ * @private
+ */
+function dangerousPatterns(name, input, output) {
+  var found = [];
+  for (var pattern in DANGEROUS_PATTERNS) {
+    if (DANGEROUS_PATTERNS.hasOwnProperty(pattern) &&
+        DANGEROUS_PATTERNS[pattern].test(input)) {
+      found.push(pattern);
+    }
+  }
+  if (SCRIPT_URL.test(input.replace(URL_IGNORED, ''))) {
+    found.push('script-url');
+  }
+  if (name === 'safeUrl' && output === secureFilters.safeUrl.INVALID) {
+    found.push('blocked-url');
+  }
+  return found;
+}
+
+/**
+ * Passes an error thrown by a listener to its `onError` option, if any.
+ * Otherwise it's ignored: filters must return their output regardless, and
+ * throwing later would be an uncaught exception, which stops node.js.
+ * @param {Object} entry the listener's entry in encodeListeners
+ * @param {Error} err
+ * @param {Object} event the event the listener was called with
+ * @private
+ */
+function reportListenerError(entry, err, event) {
+  if (entry.onError) {
+    try {
+      entry.onError(err, event);
+    } catch (ignored) {}
+  }
+}
+
+/**
+ * Tells the onEncode() listeners that a filter changed dangerous input,
+ * subject to each listener's sampling and rate limit.
+ * @param {string} name of the filter
+ * @param {any} val the filter's input
+ * @param {string} output the filter's output
+ * @private
+ */
+function reportEncode(name, val, output) {
+  var listeners = encodeListeners.slice();
+  var input, patterns;
+  var now = new Date().getTime();
+
+  for (var i = 0; i < listeners.length; i++) {
+    var entry = listeners[i];
+    if (entry.sampleRate < 1 && Math.random() >= entry.sampleRate) {
+      continue;
+    }
+    if (!patterns) {
+      input = encodedInput(name, val);
+      if (output === input) {
+        return;
+      }
+      patterns = dangerousPatterns(name, input, output);
+    }
+    if (!patterns.length) {
+      return;
+    }
+
+    if (now - entry.windowStart >= entry.interval) {
+      entry.windowStart = now;
+      entry.count = 0;
+    }
+    if (entry.count >= entry.maxEvents) {
+      entry.dropped++;
+      continue;
+    }
+    entry.count++;
+
+    var event = {
+      filter: name,
+      sample: input.slice(0, entry.sampleLength),
+      length: input.length,
+      patterns: patterns.slice(),
+      dropped: entry.dropped
+    };
+    entry.dropped = 0;
+    try {
+      entry.listener(event);
+    } catch (err) {
+      reportListenerError(entry, err, event);
+    }
+  }
+}
 
 /**
- * Adds this module's filters to ejs.
+ * Adds a listener that's called when a filter encodes dangerous-looking
+ * input, e.g. `html()` encoding a `<script` tag or `safeUrl()` blocking a
+ * `javascript:` URL.  Filters behave the same either way.
+ *
+ * The listener gets an event with the `filter` name, a truncated `sample` of
+ * the input, its full `length`, the names of the `patterns` it matched and
+ * the number of events `dropped` by the rate limit since the last one.
  *
  * **USAGE**:
  *
  * ```js
- *   var secureFilters = require('secure-filters');
- *   var ejs = secureFilters.configure(require('ejs'));
+ *   var stop = secureFilters.onEncode(function(event) {
+ *     log.warn('encoded ' + event.patterns + ' in ' + event.filter);
+ *   }, {sampleRate: 0.1, maxEvents: 10, interval: 60000});
  * ```
  *
- * @param {Object} ejs the EJS package object
- * @return {Object} the same EJS object
+ * See onEncode(listener, options) in README.md for full documentation.
+ *
+ * @name onEncode
+ * @param {Function} listener
+ * @param {Object} [options] `sampleRate`, `maxEvents`, `interval`,
+ * `sampleLength` and `onError`, called with errors the listener throws
+ * @return {Function} removes the listener
  */
-secureFilters.configure = function(ejs) {
-  ejs.filters = ejs.filters || {};
-  for (var i = 0; i < TO_CONFIGURE.length; i++) {
-    var filterName = TO_CONFIGURE[i];
-    ejs.filters[filterName] = secureFilters[filterName];
+secureFilters.onEncode = function(listener, options) {
+  if (typeof listener !== 'function') {
+    throw new Error('secure-filters onEncode() needs a listener function');
   }
-  return ejs;
-};
+  options = options || {};
+  var entry = {
+    listener: listener,
+    sampleRate: options.sampleRate === undefined ? 1 : options.sampleRate,
+    maxEvents: options.maxEvents === undefined ? 100 : options.maxEvents,
+    interval: options.interval === undefined ? 60000 : options.interval,
+    sampleLength: options.sampleLength === undefined ?
+      100 : options.sampleLength,
+    onError: options.onError,
+    windowStart: 0,
+    count: 0,
+    dropped: 0
+  };
+  encodeListeners.push(entry);
 
-var QUOT = /\x22/g; // "
-var APOS = /\x27/g; // '
-var AST = /\*/g;
-var TILDE = /~/g;
-var BANG = /!/g;
-var LPAREN = /\(/g;
-var RPAREN = /\)/g;
-var CDATA_CLOSE = /\]\](?:>|\\x3E|\\u003E)/gi;
+  return function() {
+    for (var i = 0; i < encodeListeners.length; i++) {
+      if (encodeListeners[i] === entry) {
+        encodeListeners.splice(i, 1);
+        return;
+      }
+    }
+  };
+};
 
-// Matches alphanum plus ",._-" & unicode.
-// ESAPI doesn't consider "-" safe, but we do. It's both URI and HTML safe.
-var JS_NOT_WHITELISTED = /[^,\-\.0-9A-Z_a-z]/g;
+/**
+ * Splits a CSS value into the tokens cssValue() allows.
+ * @param {string} str
+ * @return {Array|null} the tokens, or null if there are others
+ * @private
+ */
+function cssTokens(str) {
+  var tokens = [];
+  var depth = 0;
+  var pos = 0;
 
-// add on '":\[]{}', which are necessary JSON metacharacters
-var JSON_NOT_WHITELISTED = /[^\x22,\-\.0-9:A-Z\[\x5C\]_a-z{}]/g;
+  while (pos < str.length) {
+    var rest = str.slice(pos);
+    var token = null;
+    for (var i = 0; i < CSS_TOKENS.length && !token; i++) {
+      var match = CSS_TOKENS[i][1].exec(rest);
+      if (match) {
+        token = {type: CSS_TOKENS[i][0], text: match[0], match: match,
+                 depth: depth};
+      }
+    }
+    if (!token) {
+      return null;
+    }
+    pos += token.text.length;
 
-// Control characters that get converted to spaces.
-var HTML_CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+    if (token.type === 'function') {
+      token.name = token.match[1].toLowerCase();
+      if (CSS_COLOR_FUNCTIONS.indexOf(token.name) === -1 &&
+          CSS_LENGTH_FUNCTIONS.indexOf(token.name) === -1) {
+        return null;
+      }
+      depth++;
+    } else if (token.type === 'close') {
+      if (!depth) {
+        return null;
+      }
+      token.depth = --depth;
+    } else if (token.type === 'number') {
+      var unit = token.match[1];
+      if (unit && CSS_UNITS.indexOf(unit.toLowerCase()) === -1) {
+        return null;
+      }
+    } else if (token.type === 'operator' && !depth) {
+      return null;
+    }
+    tokens.push(token);
+  }
+  return depth ? null : tokens;
+}
 
-// Matches alphanum plus allowable whitespace, ",._-", and unicode.
-// NO-BREAK SPACE U+00A0 is fine since it's "whitespace".
-var HTML_NOT_WHITELISTED = /[^\t\n\v\f\r ,\.0-9A-Z_a-z\-\u00A0-\uFFFF]/g;
+/**
+ * Quoted font names are output unquoted, so that values never contain
+ * quotes.  That keeps the meaning when every word is an identifier.
+ * @param {string} name the contents of the quotes
+ * @return {string|null} the unquoted name, or null if it can't be
+ * @private
+ */
+function unquoteFontName(name) {
+  var words = name.split(' ');
+  if (CSS_FONT_KEYWORDS.indexOf(name.toLowerCase()) !== -1) {
+    return null;
+  }
+  for (var i = 0; i < words.length; i++) {
+    if (!CSS_IDENT.test(words[i]) || words[i].slice(0, 2) === '--') {
+      return null;
+    }
+  }
+  return words.join(' ');
+}
 
-// Matches alphanum and UTF-16 surrogate pairs (i.e. U+10000 and higher). The
-// rest of Unicode is deliberately absent in order to prevent charset encoding
-// issues.
-var CSS_NOT_WHITELISTED = /[^a-zA-Z0-9\uD800-\uDFFF]/g;
+/**
+ * Checks a top-level token is allowed for a property.
+ * @param {Object} token from cssTokens()
+ * @param {string} property lower-cased
+ * @return {boolean}
+ * @private
+ */
+function cssTokenAllowed(token, property) {
+  var type = token.type;
+  if (type === 'string') {
+    return property === 'font-family';
+  } else if (type === 'function') {
+    if (CSS_COLOR_PROPS.indexOf(property) !== -1) {
+      return CSS_COLOR_FUNCTIONS.indexOf(token.name) !== -1;
+    } else if (CSS_LENGTH_PROPS.indexOf(property) !== -1) {
+      return CSS_LENGTH_FUNCTIONS.indexOf(token.name) !== -1;
+    }
+    return property !== 'font-family';
+  } else if (CSS_COLOR_PROPS.indexOf(property) !== -1) {
+    return type === 'hash' || type === 'ident' || type === 'space' ||
+      type === 'close';
+  } else if (CSS_LENGTH_PROPS.indexOf(property) !== -1) {
+    return type === 'number' || type === 'ident' || type === 'space' ||
+      type === 'close';
+  } else if (property === 'font-family') {
+    return type === 'ident' || type === 'comma' || type === 'space';
+  }
+  return true;
+}
 
 /**
- * Encodes values for safe embedding in HTML tags and attributes.
- *
- * See html(value) in README.md for full documentation.
- *
- * @name html
- * @param {any} val will be converted to a String prior to encoding
- * @return {string} the encoded string
+ * Checks a CSS value only has known-safe tokens for its property, and
+ * normalizes it.
+ * @param {string} str
+ * @param {string} [property]
+ * @return {string|null} the value, or null if it's not allowed
+ * @private
  */
-secureFilters.html = function(val) {
-  var str = String(val);
-  str = str.replace(HTML_CONTROL, ' ');
-  return str.replace(HTML_NOT_WHITELISTED, function(match) {
-    var code = match.charCodeAt(0);
-    switch(code) {
-    // folks expect these "nice" entities:
-    case 0x22:
-      return '&quot;';
-    case 0x26:
-      return '&amp;';
-    case 0x3C:
-      return '&lt;';
-    case 0x3E:
-      return '&gt;';
-
-    default:
-      // optimize for size:
-      if (code < 100) {
-        var dec = code.toString(10);
-        return '&#'+dec+';';
-      } else {
-        // XXX: this doesn't produce strictly valid entities for code-points
-        // requiring a UTF-16 surrogate pair. However, browsers are generally
-        // tolerant of this. Surrogate pairs are currently in the whitelist
-        // defined via HTML_NOT_WHITELISTED.
-        var hex = code.toString(16).toUpperCase();
-        return '&#x'+hex+';';
+function sanitizeCssValue(str, property) {
+  var tokens = cssTokens(str);
+  if (!tokens) {
+    return null;
+  }
+  property = property ? String(property).toLowerCase() : '';
+
+  var out = '';
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+    if (token.depth === 0 && !cssTokenAllowed(token, property)) {
+      return null;
+    } else if (token.type === 'string') {
+      if (token.depth) {
+        return null;
       }
+      var name = unquoteFontName(token.match[2]);
+      if (name === null) {
+        return null;
+      }
+      out += name;
+    } else if (token.type === 'space') {
+      out += ' ';
+    } else {
+      out += token.text;
     }
-  });
-};
+  }
+  return out.replace(/^ | $/g, '');
+}
 
 /**
- * Backslash-encoding for a single character in JavaScript contexts.
- * @param {string} charStr single-character string.
- * @return {string} backslash escaped character.
+ * Adds the filters to an object.  Used for both the default filters and the
+ * ones made by create().
+ * @param {Object} filters the object to add filters to
+ * @param {Object} settings from filterSettings()
  * @private
  */
-function jsSlashEncoder(charStr) {
-  var code = charStr.charCodeAt(0);
-  var hex = code.toString(16).toUpperCase();
-  if (code < 0x80) { // ASCII
-    if (hex.length === 1) {
-      return '\\x0'+hex;
-    } else {
-      return '\\x'+hex;
+function addFilters(filters, settings) {
+  // Filters in the order they're registered, for configure().
+  var names = [];
+  var encode = makeEncoders(settings);
+
+  /**
+   * Adds a filter to the set and registers it for configure().  The filter
+   * is wrapped to report to onEncode() listeners, when there are any.
+   * @param {string} name
+   * @param {Function} filter
+   * @private
+   */
+  function register(name, filter) {
+    filters[name] = function(val, options) {
+      if (!encodeListeners.length || encodeDepth) {
+        return filter(val, options);
+      }
+      var output;
+      encodeDepth++;
+      try {
+        output = filter(val, options);
+      } finally {
+        encodeDepth--;
+      }
+      reportEncode(name, val, output);
+      return output;
+    };
+    // Tells configure() the filter is ours to replace.
+    filters[name].secureFilters = true;
+    names.push(name);
+  }
+
+  /**
+   * Adds this module's filters to a template engine: EJS, Handlebars,
+   * Nunjucks, Pug or Mustache.  The engine is detected unless it's named.
+   * Named `'locals'`, the filters are added to a plain object of template
+   * variables instead.
+   *
+   * **USAGE**:
+   *
+   * ```js
+   *   var secureFilters = require('secure-filters');
+   *   var ejs = secureFilters.configure(require('ejs'));
+   * ```
+   *
+   * See "Other template engines" and "Configuration options" in README.md
+   * for full documentation.
+   *
+   * @param {Object} engine the engine's package object (a Nunjucks
+   * `Environment` for Nunjucks)
+   * @param {Object|string} [options] `engine`, `include`, `exclude`, `prefix`
+   * and `escape`; or just the engine name
+   * @return {Object} the same engine object
+   */
+  filters.configure = function(engine, options) {
+    if (typeof options === 'string') {
+      options = {engine: options};
     }
-  } else { // Unicode
-    switch(hex.length) {
-      case 2:
-        return '\\u00'+hex;
-      case 3:
-        return '\\u0'+hex;
-      case 4:
-        return '\\u'+hex;
-      default:
-        // charCodeAt() JS shouldn't return code > 0xFFFF, and only four hex
-        // digits can be encoded via `\u`-encoding, so return REPLACEMENT
-        // CHARACTER U+FFFD.
-        return '\\uFFFD';
+    options = options || {};
+
+    var name = options.engine ?
+      String(options.engine).toLowerCase() : detectEngine(engine);
+    if (!ENGINES.hasOwnProperty(name)) {
+      throw new Error('secure-filters cannot configure unknown template engine ' +
+        JSON.stringify(name));
+    }
+
+    var include = options.include || names;
+    var exclude = options.exclude || [];
+    var prefix = options.prefix || '';
+    var requested = include.concat(exclude);
+    for (var i = 0; i < requested.length; i++) {
+      if (names.indexOf(requested[i]) === -1) {
+        throw new Error('secure-filters has no filter named ' +
+          JSON.stringify(requested[i]));
+      }
+    }
+
+    var selected = {};
+    for (var j = 0; j < include.length; j++) {
+      if (exclude.indexOf(include[j]) === -1) {
+        selected[prefix + include[j]] = filters[include[j]];
+      }
+    }
+
+    var escape = options.escape === undefined ? ENGINE_ESCAPE[name] : options.escape;
+    ENGINES[name](engine, selected, escape ? filters.html : null,
+      !options.include && !options.prefix);
+    return engine;
+  };
+
+  // The names configure() knows, in order; also used by audit() and
+  // escapeDeep().
+  filters.configure.FILTER_NAMES = names;
+
+  /**
+   * Encodes values for safe embedding in HTML tags and attributes.
+   *
+   * See html(value) in README.md for full documentation.
+   *
+   * @name html
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('html', function(val) {
+    if (secureFilters.isTrusted(val, 'html')) {
+      return val.value;
+    }
+    return encode.html(String(val));
+  });
+
+  /**
+   * Encodes values for safe embedding in JavaScript string contexts.
+   *
+   * See js(value) in README.md for full documentation.
+   *
+   * @name js
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('js', function(val) {
+    if (secureFilters.isTrusted(val, 'js')) {
+      return val.value;
+    }
+    return encode.js(String(val));
+  });
+
+
+  /**
+   * Encodes values embedded in HTML scripting attributes.
+   *
+   * See jsAttr(value) in README.md for full documentation.
+   *
+   * @name jsAttr
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('jsAttr', function(val) {
+    if (secureFilters.isTrusted(val, 'js')) {
+      return filters.html(val.value);
+    }
+    // html(js(val)) in one pass
+    return encode.jsAttr(String(val));
+  });
+
+  /**
+   * Encodes values for safe embedding in JavaScript template literals.  The
+   * encoding is js()'s, which escapes "`", "$", "{" and "\" whatever the
+   * allow-list.
+   *
+   * See jsTemplate(value) in README.md for full documentation.
+   *
+   * @name jsTemplate
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('jsTemplate', function(val) {
+    return filters.js(val);
+  });
+
+  /**
+   * Encodes values to match literally in JavaScript regular expression
+   * literals.
+   *
+   * See jsRegex(value) in README.md for full documentation.
+   *
+   * @name jsRegex
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded pattern
+   */
+  register('jsRegex', function(val) {
+    var str = String(val);
+    if (str === '') {
+      return '(?:)'; // "//" would start a comment
+    }
+    return str.replace(JS_REGEX_UNSAFE, jsSlashEncoder);
+  });
+
+  /**
+   * Checks that a value is a plain ASCII JavaScript identifier, safe to use
+   * as a property name in script.
+   *
+   * See jsIdentifier(value) in README.md for full documentation.
+   *
+   * @name jsIdentifier
+   * @param {any} val will be converted to a String prior to checking
+   * @return {string} the identifier, or `jsIdentifier.INVALID`
+   */
+  register('jsIdentifier', function(val) {
+    var str = String(val);
+    if (!JS_IDENTIFIER.test(str) || JS_UNSAFE_PROPERTIES.indexOf(str) !== -1) {
+      return filters.jsIdentifier.INVALID;
+    }
+    return str;
+  });
+
+  filters.jsIdentifier.INVALID = 'invalid_secure_filters';
+
+  /**
+   * Percent-encodes unsafe characters in URIs.
+   *
+   * See uri(value) in README.md for full documentation.
+   *
+   * @name uri
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the percent-encoded string
+   */
+  register('uri', function(val) {
+    if (secureFilters.isTrusted(val, 'url')) {
+      return val.value;
+    }
+    return encode.uri(String(val));
+  });
+
+  /**
+   * Validates the scheme of a URL, then encodes it for safe embedding in HTML
+   * URL attributes like `href` and `src`.
+   *
+   * See safeUrl(value, options) in README.md for full documentation.
+   *
+   * @name safeUrl
+   * @param {any} val will be converted to a String prior to encoding
+   * @param {Object} [options] `schemes`: the allowed schemes
+   * @return {string} the encoded string, or `safeUrl.INVALID`
+   */
+  register('safeUrl', function(val, options) {
+    if (secureFilters.isTrusted(val, 'url')) {
+      return val.value;
+    }
+    var str = String(val);
+    var schemes = (options && options.schemes) || DEFAULT_URL_SCHEMES;
+    var candidates = [urlScheme(str), urlScheme(decodeUrlCharRefs(str))];
+
+    for (var i = 0; i < candidates.length; i++) {
+      var scheme = candidates[i];
+      if (scheme === null) {
+        continue;
+      }
+      var allowed = false;
+      for (var j = 0; j < schemes.length; j++) {
+        if (schemes[j].toLowerCase() === scheme) {
+          allowed = true;
+          break;
+        }
+      }
+      if (!allowed) {
+        return filters.safeUrl.INVALID;
+      }
+    }
+    return filters.html(str);
+  });
+
+  /**
+   * Replaces URLs with disallowed schemes.  It's HTML-safe and navigates
+   * nowhere.
+   */
+  filters.safeUrl.INVALID = 'about:invalid#secure-filters';
+
+  /**
+   * Encodes previously generated JSON ensuring unsafe characters in string
+   * literals are backslash-escaped.
+   *
+   * See json(value) in README.md for full documentation.
+   *
+   * @name json
+   * @param {string} val
+   * @return {string} the backslash-encoded string
+   */
+  register('json', function(val) {
+      if (secureFilters.isTrusted(val, 'js')) {
+        return val.value;
+      }
+      var str = encode.json(String(val));
+      // prevent breaking out of CDATA context.  Escaping < below is sufficient
+      // to prevent opening a CDATA context.
+      return str.indexOf(']]') === -1 ? str :
+        str.replace(CDATA_CLOSE, '\\x5D\\x5D\\x3E');
+  });
+
+  /**
+   * Encodes an object as JSON, but with unsafe characters in string literals
+   * backslash-escaped.
+   *
+   * See jsObj(value) in README.md for full documentation.
+   *
+   * @name jsObj
+   * @param {any} val
+   * @return {string} the JSON- and backslash-encoded string
+   */
+  register('jsObj', function(val) {
+    if (secureFilters.isTrusted(val, 'js')) {
+      return val.value;
+    }
+    return filters.json(JSON.stringify(val));
+  });
+
+  /**
+   * Encodes values for safe embedding in CSS context.
+   *
+   * See css(value) in README.md for full documentation.
+   *
+   * @name css
+   * @param {any} val
+   * @return {string} the backslash-encoded string
+   */
+  register('css', function(val) {
+    if (secureFilters.isTrusted(val, 'css')) {
+      return val.value;
+    }
+    return encode.css(String(val));
+  });
+
+  /**
+   * Encodes values for safe embedding in HTML style attribute context.
+   *
+   * See style(value) in README.md for full documentation.
+   *
+   * @name style
+   * @param {any} val
+   * @return {string} the entity- and backslash-encoded string
+   */
+  register('style', function(val) {
+    if (secureFilters.isTrusted(val, 'css')) {
+      return filters.html(val.value);
+    }
+    // html(css(val)) in one pass
+    return encode.style(String(val));
+  });
+
+  /**
+   * Checks that a CSS property value only has known-safe tokens for the
+   * property: colors, lengths, percentages, numbers, keywords, font names and
+   * a few functions like `rgb()` and `calc()`.
+   *
+   * See cssValue(value, property) in README.md for full documentation.
+   *
+   * @name cssValue
+   * @param {any} val will be converted to a String prior to checking
+   * @param {string} [property] e.g. `'color'`
+   * @return {string} the value, or `cssValue.INVALID`
+   */
+  register('cssValue', function(val, property) {
+    if (secureFilters.isTrusted(val, 'css')) {
+      return val.value;
+    }
+    var value = sanitizeCssValue(String(val), property);
+    return value === null ? filters.cssValue.INVALID : value;
+  });
+
+  filters.cssValue.INVALID = 'invalid';
+
+  /**
+   * Builds the value of a `style` attribute from an object of property
+   * values, checking each with cssValue().  Invalid properties and values are
+   * dropped.
+   *
+   * See cssDeclarations(object, options) in README.md for full documentation.
+   *
+   * @name cssDeclarations
+   * @param {Object} val the values by property name
+   * @param {Object} [options] `warn`: warn about dropped declarations
+   * @return {string} the declarations
+   */
+  register('cssDeclarations', function(val, options) {
+    if (secureFilters.isTrusted(val, 'css')) {
+      return filters.html(val.value);
+    } else if (!val || typeof val !== 'object') {
+      return '';
+    }
+    options = options || {};
+    var out = [];
+    for (var property in val) {
+      if (!val.hasOwnProperty(property) ||
+          val[property] === null || val[property] === undefined) {
+        continue;
+      }
+      var value = val[property];
+      var reason = null;
+      if (!CSS_PROPERTY.test(property) ||
+          CSS_UNSAFE_PROPS.indexOf(property.toLowerCase()) !== -1) {
+        reason = 'not an allowed property';
+      } else if (secureFilters.isTrusted(value, 'css')) {
+        value = filters.html(value.value);
+      } else {
+        value = sanitizeCssValue(String(value), property);
+        if (!value) {
+          reason = 'not an allowed value';
+        }
+      }
+
+      if (reason) {
+        if (options.warn) {
+          warn('cssDeclarations() dropped "' + property + '": ' + reason);
+        }
+      } else {
+        out.push(property + ': ' + value);
+      }
+    }
+    return out.join('; ');
+  });
+
+  /**
+   * Encodes one attribute for attrs().
+   * @param {string} name
+   * @param {any} val
+   * @param {Object} options
+   * @return {string|null} the attribute, or null to drop it
+   * @private
+   */
+  function encodeAttr(name, val, options) {
+    var lower = name.toLowerCase();
+    function drop(reason) {
+      if (options.warn) {
+        warn('attrs() dropped "' + name + '": ' + reason);
+      }
+      return null;
     }
+
+    if (!ATTR_NAME.test(name)) {
+      return drop('not a valid attribute name');
+    } else if (val === null || val === undefined) {
+      return null;
+    } else if (BOOLEAN_ATTRS.indexOf(lower) !== -1) {
+      return val ? name : null;
+    } else if (EVENT_HANDLER_ATTR.test(lower)) {
+      if (!secureFilters.isTrusted(val, 'js')) {
+        return drop('event handlers need a trusted.js() value');
+      }
+      val = filters.jsAttr(val);
+    } else if (HTML_ATTRS.indexOf(lower) !== -1) {
+      if (!secureFilters.isTrusted(val, 'html')) {
+        return drop('srcdoc needs a trusted.html() value');
+      }
+      val = filters.html(val.value);
+    } else if (URL_ATTRS.indexOf(lower) !== -1) {
+      val = filters.safeUrl(val, options);
+    } else if (lower === 'style') {
+      val = filters.style(val);
+    } else {
+      // Trusted HTML is only safe as element content.
+      val = filters.html(secureFilters.isTrusted(val, 'html') ? val.value : val);
+    }
+    return name + '="' + val + '"';
   }
 
+  /**
+   * Encodes an object of attributes for the inside of a start tag, e.g.
+   * `{type: 'checkbox', checked: true}` gives `type="checkbox" checked`.
+   * Each value is encoded for its attribute, and invalid names are dropped.
+   *
+   * See attrs(object, options) in README.md for full documentation.
+   *
+   * @name attrs
+   * @param {Object} val the attributes by name
+   * @param {Object} [options] `warn`: warn about dropped attributes;
+   * `schemes`: the URL schemes to allow, as for `safeUrl`
+   * @return {string} the attributes
+   */
+  register('attrs', function(val, options) {
+    if (secureFilters.isTrusted(val, 'html')) {
+      return val.value;
+    } else if (!val || typeof val !== 'object') {
+      return '';
+    }
+    options = options || {};
+    var out = [];
+    for (var name in val) {
+      if (val.hasOwnProperty(name)) {
+        var attr = encodeAttr(name, val[name], options);
+        if (attr !== null) {
+          out.push(attr);
+        }
+      }
+    }
+    return out.join(' ');
+  });
+
+  filters.attrs.URL_ATTRIBUTES = URL_ATTRS;
+
+  /**
+   * Encodes values for safe embedding in XML 1.0 text.
+   *
+   * See xml(value) in README.md for full documentation.
+   *
+   * @name xml
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('xml', function(val) {
+    return encode.xml(String(val));
+  });
+
+  /**
+   * Encodes values for safe embedding in XML 1.0 attribute values.
+   *
+   * See xmlAttr(value) in README.md for full documentation.
+   *
+   * @name xmlAttr
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('xmlAttr', function(val) {
+    return encode.xmlAttr(String(val));
+  });
+
+  /**
+   * Wraps values in an XML CDATA section, splitting any `]]>` across two
+   * sections.
+   *
+   * See cdata(value) in README.md for full documentation.
+   *
+   * @name cdata
+   * @param {any} val will be converted to a String prior to wrapping
+   * @return {string} the CDATA section(s)
+   */
+  register('cdata', function(val) {
+    var str = String(val).replace(XML_INVALID, '\uFFFD');
+    str = replaceLoneSurrogates(str).replace(CDATA_END, ']]]]><![CDATA[>');
+    return '<![CDATA['+str+']]>';
+  });
+
+  /**
+   * Encodes values as a quoted CSV field (RFC 4180), prefixing a `'` to
+   * values that a spreadsheet would run as a formula.
+   *
+   * See csvCell(value) in README.md for full documentation.
+   *
+   * @name csvCell
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the quoted field
+   */
+  register('csvCell', function(val) {
+    var str = replaceLoneSurrogates(String(val));
+    if (CSV_FORMULA.test(str) && !CSV_NUMBER.test(str)) {
+      str = '\'' + str;
+    }
+    return '"' + str.replace(QUOT, '""') + '"';
+  });
+
+  /**
+   * Encodes values for safe embedding in LDAP search filters (RFC 4515).
+   *
+   * See ldapFilter(value) in README.md for full documentation.
+   *
+   * @name ldapFilter
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('ldapFilter', function(val) {
+    var str = replaceLoneSurrogates(String(val));
+    return str.replace(LDAP_FILTER_META, function(match) {
+      return '\\' + ('0' + match.charCodeAt(0).toString(16)).slice(-2);
+    });
+  });
+
+  /**
+   * Encodes values for safe embedding in LDAP distinguished names (RFC 4514),
+   * as the value of one attribute.
+   *
+   * See ldapDn(value) in README.md for full documentation.
+   *
+   * @name ldapDn
+   * @param {any} val will be converted to a String prior to encoding
+   * @return {string} the encoded string
+   */
+  register('ldapDn', function(val) {
+    var str = replaceLoneSurrogates(String(val));
+    return str.replace(LDAP_DN_META, function(match) {
+      return match === '\x00' ? '\\00' : '\\' + match;
+    });
+  });
 }
 
+addFilters(secureFilters, filterSettings({}));
+
 /**
- * Encodes values for safe embedding in JavaScript string contexts.
+ * Creates an independent set of filters with different encoding options:
+ * `allow` (characters to leave as-is, per type of context), `entities` (the
+ * style of HTML character references) and `asciiOnly`.  The default filters
+ * aren't affected.
  *
- * See js(value) in README.md for full documentation.
+ * See create(options) in README.md for full documentation.
  *
- * @name js
- * @param {any} val will be converted to a String prior to encoding
- * @return {string} the encoded string
+ * @name create
+ * @param {Object} [options]
+ * @return {Object} the new filters, plus `trusted`, `isTrusted`, `decode` and
+ * `onEncode`
  */
-secureFilters.js = function(val) {
-  var str = String(val);
-  return str.replace(JS_NOT_WHITELISTED, jsSlashEncoder);
+secureFilters.create = function(options) {
+  var filters = {};
+  addFilters(filters, filterSettings(options || {}));
+  filters.isTrusted = secureFilters.isTrusted;
+  filters.trusted = secureFilters.trusted;
+  filters.decode = secureFilters.decode;
+  filters.onEncode = secureFilters.onEncode;
+  return filters;
 };
 
-
 /**
- * Encodes values embedded in HTML scripting attributes.
+ * Decoders that invert the filters above, e.g. for comparing rendered output
+ * in tests.  They must never be used to produce output.
  *
- * See jsAttr(value) in README.md for full documentation.
+ * See "Decoding" in README.md for full documentation.
+ */
+secureFilters.decode = {};
+
+var HTML_CHAR_REF = /&(?:#([0-9]+)|#[xX]([0-9A-Fa-f]+)|([A-Za-z][A-Za-z0-9]*));/g;
+var HTML_NAMED_REFS = {
+  apos: '\''
+};
+for (var ref in HTML_ENTITY_NAMES) {
+  if (HTML_ENTITY_NAMES.hasOwnProperty(ref)) {
+    HTML_NAMED_REFS[HTML_ENTITY_NAMES[ref]] = String.fromCharCode(ref);
+  }
+}
+var JS_ESCAPE = /\\(?:x([0-9A-Fa-f]{2})|u([0-9A-Fa-f]{4})|u\{([0-9A-Fa-f]+)\}|(\r\n|[\s\S]))/g;
+var JS_SINGLE_ESCAPES = {
+  '0': '\0',
+  'b': '\b',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t',
+  'v': '\v'
+};
+var JSON_ESCAPE = /\\(?:x([0-9A-Fa-f]{2})|u([0-9A-Fa-f]{4})(?:\\u([Dd][C-Fc-f][0-9A-Fa-f]{2}))?|[\s\S])/g;
+var CSS_ESCAPE = /\\(?:([0-9A-Fa-f]{1,6})(?:\r\n|[\t\n\f\r ])?|([\s\S]))/g;
+
+/**
+ * String.fromCharCode() for any code point.  Invalid code points become
+ * REPLACEMENT CHARACTER U+FFFD.
+ * @param {number} code
+ * @return {string}
+ * @private
+ */
+function fromCodePoint(code) {
+  if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+    return '\uFFFD';
+  } else if (code > 0xFFFF) {
+    code -= 0x10000;
+    return String.fromCharCode(0xD800 + Math.floor(code / 0x400),
+      0xDC00 + code % 0x400);
+  }
+  return String.fromCharCode(code);
+}
+
+/**
+ * Decodes the output of `html()`: numeric character references, `&apos;`
+ * and the named references `html()` can produce (`&quot;`, `&amp;`, `&lt;`,
+ * `&gt;` and the Latin-1 ones like `&nbsp;`).  Other named references are left
+ * as-is.
  *
- * @name jsAttr
- * @param {any} val will be converted to a String prior to encoding
- * @return {string} the encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
  */
-secureFilters.jsAttr = function(val) {
-  return secureFilters.html(secureFilters.js(val));
+secureFilters.decode.html = function(val) {
+  return String(val).replace(HTML_CHAR_REF, function(match, dec, hex, name) {
+    if (name) {
+      return HTML_NAMED_REFS.hasOwnProperty(name) ? HTML_NAMED_REFS[name] : match;
+    }
+    // The NUL reference is decoded like browsers do; html() never emits it.
+    return fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16));
+  });
 };
 
 /**
- * Percent-encodes unsafe characters in URIs.
+ * Decodes the output of `js()`, or any other JavaScript string literal
+ * content: `\xHH`, `\uHHHH`, `\u{H...}` and single-character escapes.
  *
- * See uri(value) in README.md for full documentation.
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.js = function(val) {
+  return String(val).replace(JS_ESCAPE, function(match, hex, unicode, codePoint, other) {
+    if (hex || unicode) {
+      return String.fromCharCode(parseInt(hex || unicode, 16));
+    } else if (codePoint) {
+      return fromCodePoint(parseInt(codePoint, 16));
+    } else if (JS_SINGLE_ESCAPES.hasOwnProperty(other)) {
+      return JS_SINGLE_ESCAPES[other];
+    } else if (other === '\n' || other === '\r' || other === '\r\n' ||
+               other === '\u2028' || other === '\u2029') {
+      return ''; // line continuation
+    }
+    return other;
+  });
+};
+
+/**
+ * Decodes the output of `jsTemplate()`.
  *
- * @name uri
- * @param {any} val will be converted to a String prior to encoding
- * @return {string} the percent-encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
  */
-secureFilters.uri = function(val) {
-  // encodeURIComponent() is well-standardized across browsers and it handles
-  // UTF-8 natively.  It will not encode "~!*()'", so need to replace those here.
-  // encodeURIComponent also won't encode ".-_", but those are known-safe.
-  //
-  // IE does not always encode '"' to '%27':
-  // http://blog.imperva.com/2012/01/ie-bug-exposes-its-users-to-xss-attacks-.html
-  var encode = encodeURIComponent(String(val));
-  return encode
-    .replace(BANG, '%21')
-    .replace(QUOT, '%27')
-    .replace(APOS, '%27')
-    .replace(LPAREN, '%28')
-    .replace(RPAREN, '%29')
-    .replace(AST, '%2A')
-    .replace(TILDE, '%7E');
+secureFilters.decode.jsTemplate = function(val) {
+  return secureFilters.decode.js(val);
 };
 
 /**
- * Encodes previously generated JSON ensuring unsafe characters in string
- * literals are backslash-escaped.
+ * Decodes the output of `jsRegex()`.
  *
- * See json(value) in README.md for full documentation.
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.jsRegex = function(val) {
+  var str = String(val);
+  return str === '(?:)' ? '' : secureFilters.decode.js(str);
+};
+
+/**
+ * Decodes the output of `jsAttr()`.
  *
- * @name json
- * @param {string} val
- * @return {string} the backslash-encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
  */
-secureFilters.json = function(val) {
-    var str = String(val);
-    return str.replace(JSON_NOT_WHITELISTED, jsSlashEncoder)
-    // prevent breaking out of CDATA context.  Escaping < below is sufficient
-    // to prevent opening a CDATA context.
-    .replace(CDATA_CLOSE, '\\x5D\\x5D\\x3E');
+secureFilters.decode.jsAttr = function(val) {
+  return secureFilters.decode.js(secureFilters.decode.html(val));
 };
 
 /**
- * Encodes an object as JSON, but with unsafe characters in string literals
- * backslash-escaped.
+ * Decodes the output of `uri()`.  Throws a `URIError` for malformed
+ * percent-encoding.
  *
- * See jsObj(value) in README.md for full documentation.
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.uri = function(val) {
+  return decodeURIComponent(String(val));
+};
+
+/**
+ * Decodes one `\uHHHH` escape in JSON, if `json()` could have produced it.
+ * @param {string} hex four hex digits
+ * @return {string}
+ * @private
+ */
+function decodeJsonUnicodeEscape(hex) {
+  var code = parseInt(hex, 16);
+  // JSON.stringify() itself escapes control characters and lone surrogates
+  if (code < 0x80 || (code >= 0xD800 && code <= 0xDFFF)) {
+    return '\\u' + hex;
+  }
+  return String.fromCharCode(code);
+}
+
+/**
+ * Decodes the output of `json()`, giving back the original JSON string.  Only
+ * the escapes added by `json()` are decoded; JSON's own escapes are left for a
+ * JSON parser.
  *
- * @name jsObj
- * @param {any} val
- * @return {string} the JSON- and backslash-encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the JSON string
  */
-secureFilters.jsObj = function(val) {
-  return secureFilters.json(JSON.stringify(val));
+secureFilters.decode.json = function(val) {
+  return String(val).replace(JSON_ESCAPE, function(match, hex, unicode, low) {
+    if (hex) {
+      return String.fromCharCode(parseInt(hex, 16));
+    } else if (!unicode) {
+      return match;
+    }
+    var code = parseInt(unicode, 16);
+    var lowCode = low ? parseInt(low, 16) : 0;
+    if (code >= 0xD800 && code <= 0xDBFF && lowCode >= 0xDC00 && lowCode <= 0xDFFF) {
+      return String.fromCharCode(code, lowCode);
+    }
+    return decodeJsonUnicodeEscape(unicode) + (low ? decodeJsonUnicodeEscape(low) : '');
+  });
 };
 
 /**
- * Encodes values for safe embedding in CSS context.
+ * Decodes the output of `jsObj()`, giving back the value.
  *
- * See css(value) in README.md for full documentation.
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {any} the parsed value
+ */
+secureFilters.decode.jsObj = function(val) {
+  return JSON.parse(secureFilters.decode.json(val));
+};
+
+/**
+ * Decodes the output of `css()`, or any other CSS escapes: `\h ` (one to six
+ * hex digits and an optional whitespace character) and `\c`.
  *
- * @name css
- * @param {any} val
- * @return {string} the backslash-encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
  */
-secureFilters.css = function(val) {
-  var str = String(val);
-  return str.replace(CSS_NOT_WHITELISTED, function(match) {
-    var code = match.charCodeAt(0);
-    if (code === 0) {
-      return '\\fffd '; // REPLACEMENT CHARACTER U+FFFD
-    } else {
-      var hex = code.toString(16).toLowerCase();
-      return '\\'+hex+' ';
+secureFilters.decode.css = function(val) {
+  return String(val).replace(CSS_ESCAPE, function(match, hex, other) {
+    if (hex) {
+      return fromCodePoint(parseInt(hex, 16));
     }
+    return (other === '\n' || other === '\r' || other === '\f') ? '' : other;
   });
 };
 
 /**
- * Encodes values for safe embedding in HTML style attribute context.
+ * Decodes the output of `style()`.
+ *
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.style = function(val) {
+  return secureFilters.decode.css(secureFilters.decode.html(val));
+};
+
+/**
+ * Decodes the output of `xml()`.  XML's predefined entities are all decoded by
+ * `decode.html()`.
+ *
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.xml = function(val) {
+  return secureFilters.decode.html(val);
+};
+
+/**
+ * Decodes the output of `xmlAttr()`.
  *
- * See style(value) in README.md for full documentation.
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
+ */
+secureFilters.decode.xmlAttr = function(val) {
+  return secureFilters.decode.html(val);
+};
+
+/**
+ * Decodes the output of `cdata()`: unwraps the section and joins any `]]>`
+ * that was split across two sections.
  *
- * @name style
- * @param {any} val
- * @return {string} the entity- and backslash-encoded string
+ * @param {any} val will be converted to a String prior to decoding
+ * @return {string} the decoded string
  */
-secureFilters.style = function(val) {
-  return secureFilters.html(secureFilters.css(val));
+secureFilters.decode.cdata = function(val) {
+  var str = String(val);
+  if (str.slice(0, 9) === '<![CDATA[' && str.slice(-3) === ']]>') {
+    str = str.slice(9, -3);
+  }
+  return str.split(']]]]><![CDATA[>').join(']]>');
 };
 
 
@@ -0,0 +1,65 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+// ES module entry for the filters under node.js.  Unlike the built
+// lib/secure-filters.mjs, it shares the filters with require(), so values
+// from trusted() and onEncode() listeners work with both.
+import secureFilters from './secure-filters.js';
+
+export default secureFilters;
+
+export var html = secureFilters.html;
+export var js = secureFilters.js;
+export var jsAttr = secureFilters.jsAttr;
+export var jsTemplate = secureFilters.jsTemplate;
+export var jsRegex = secureFilters.jsRegex;
+export var jsIdentifier = secureFilters.jsIdentifier;
+export var uri = secureFilters.uri;
+export var safeUrl = secureFilters.safeUrl;
+export var json = secureFilters.json;
+export var jsObj = secureFilters.jsObj;
+export var css = secureFilters.css;
+export var style = secureFilters.style;
+export var cssValue = secureFilters.cssValue;
+export var cssDeclarations = secureFilters.cssDeclarations;
+export var attrs = secureFilters.attrs;
+export var xml = secureFilters.xml;
+export var xmlAttr = secureFilters.xmlAttr;
+export var cdata = secureFilters.cdata;
+export var csvCell = secureFilters.csvCell;
+export var ldapFilter = secureFilters.ldapFilter;
+export var ldapDn = secureFilters.ldapDn;
+export var configure = secureFilters.configure;
+export var create = secureFilters.create;
+export var isTrusted = secureFilters.isTrusted;
+export var trusted = secureFilters.trusted;
+export var decode = secureFilters.decode;
+export var onEncode = secureFilters.onEncode;
@@ -0,0 +1,258 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Quoting for arguments of shell commands: POSIX shells, Windows `cmd.exe`
+ * and PowerShell.
+ *
+ * See shellArg(value, options) in README.md for full documentation.
+ */
+
+var SHELLS = ['posix', 'cmd', 'powershell'];
+
+var NUL = /\x00/;
+var LINE_BREAK = /[\r\n]/;
+var APOS = /'/g;
+// PowerShell treats these as single quotes too.
+var POWERSHELL_QUOTES = /['\u2018\u2019\u201A\u201B]/g;
+// Backslashes before a double quote or the end, for CommandLineToArgvW().
+var ARGV_BACKSLASHES = /(\\*)("|$)/g;
+// Characters that cmd.exe interprets, escaped with `^`.
+var CMD_META = /[()\][%!^"`<>&|;, *?]/g;
+
+// Where a `${}` value can start or end in a template: whitespace and
+// operators separate arguments.
+var ARG_BOUNDARY = /[\s;&|()<>]/;
+// How each shell escapes the next character outside single quotes.
+var ESCAPE_CHAR = {posix: '\\', cmd: '^', powershell: '`'};
+// Characters that open a quoted string, mapped to the quote that closes it.
+// PowerShell also accepts typographic quotes.
+var OPEN_QUOTES = {
+  posix: {'\'': '\'', '"': '"'},
+  cmd: {'"': '"'},
+  powershell: {'\'': '\'', '"': '"', '\u2018': '\'', '\u2019': '\'',
+    '\u201A': '\'', '\u201B': '\'', '\u201C': '"', '\u201D': '"',
+    '\u201E': '"'}
+};
+
+/**
+ * Quotes a string for POSIX shells.  Everything between single quotes is
+ * literal, so only single quotes themselves need care.
+ * @private
+ */
+function posixQuote(str) {
+  return '\'' + str.replace(APOS, '\'\\\'\'') + '\'';
+}
+
+/**
+ * Quotes a string for a program run by cmd.exe: first for the program's
+ * argument parsing, then escaping cmd.exe's own special characters.
+ * @private
+ */
+function cmdQuote(str) {
+  if (LINE_BREAK.test(str)) {
+    throw new Error('secure-filters shellArg() cannot quote line breaks ' +
+      'for cmd');
+  }
+  var quoted = '"' + str.replace(ARGV_BACKSLASHES, function(match, slashes, end) {
+    return slashes + slashes + (end ? '\\"' : '');
+  }) + '"';
+  return quoted.replace(CMD_META, '^$&');
+}
+
+/**
+ * Quotes a string for PowerShell, where single-quoted strings are literal.
+ * @private
+ */
+function powershellQuote(str) {
+  return '\'' + str.replace(POWERSHELL_QUOTES, '$&$&') + '\'';
+}
+
+var QUOTE = {
+  posix: posixQuote,
+  cmd: cmdQuote,
+  powershell: powershellQuote
+};
+
+/**
+ * Quotes a value as a single argument of a shell command.
+ *
+ * Throws an `Error` for values containing NUL, which can't be passed in an
+ * argument, and for values starting with `-`, which the command could read as
+ * an option, unless `options.allowDash` is set.
+ *
+ * **USAGE**:
+ *
+ * ```js
+ *   var shellArg = require('secure-filters').shellArg;
+ *   exec('git log ' + shellArg(branch));
+ * ```
+ *
+ * @param {any} val will be converted to a String prior to quoting
+ * @param {Object} [options] `shell`: `'posix'` (the default), `'cmd'` or
+ * `'powershell'`; `allowDash`: allow a leading `-`
+ * @return {string} the quoted argument
+ */
+function shellArg(val, options) {
+  options = options || {};
+  var shell = options.shell || 'posix';
+  if (SHELLS.indexOf(shell) === -1) {
+    throw new Error('secure-filters shellArg() shell must be one of ' +
+      SHELLS.join(', '));
+  }
+
+  var str = String(val);
+  if (NUL.test(str)) {
+    throw new Error('secure-filters shellArg() cannot quote NUL characters');
+  } else if (str.charAt(0) === '-' && !options.allowDash) {
+    throw new Error('secure-filters shellArg() refuses "' + str + '", ' +
+      'which could be read as an option');
+  }
+  return QUOTE[shell](str);
+}
+
+/**
+ * Builds a command line from a template literal, quoting each `${}` value
+ * with `shellArg()`.  Arrays become one argument per element.  Values must
+ * be whole arguments or follow an `=`, outside any quotes; anything else
+ * throws an `Error`.  A leading `-` is only refused where the value starts an
+ * argument, so `--name=${value}` is fine.
+ *
+ * Call it with options to get a tag for another shell:
+ *
+ * ```js
+ *   var shellCommand = require('secure-filters').shellCommand;
+ *   exec(shellCommand`git checkout ${branch} -- ${files}`);
+ *   exec(shellCommand({shell: 'cmd'})`dir ${folder}`);
+ * ```
+ *
+ * @param {Array|Object} strings the literal parts of the template, or the
+ * options for `shellArg()`
+ * @param {...any} values the interpolated values
+ * @return {string|Function} the command, or a tag using the options
+ */
+function shellCommand(strings) {
+  if (!Array.isArray(strings)) {
+    var options = strings || {};
+    return function(strings) {
+      return buildCommand(strings, Array.prototype.slice.call(arguments, 1),
+        options);
+    };
+  }
+  return buildCommand(strings, Array.prototype.slice.call(arguments, 1), {});
+}
+
+/**
+ * Quotes an interpolated value; arrays become one argument per element.
+ * @param {any} val
+ * @param {Object} options for shellArg()
+ * @param {boolean} startsArg whether the value starts an argument
+ * @return {string}
+ * @private
+ */
+function quoteValue(val, options, startsArg) {
+  var values = [].concat(val);
+  var out = [];
+  for (var i = 0; i < values.length; i++) {
+    out.push(shellArg(values[i], {
+      shell: options.shell,
+      allowDash: options.allowDash || (i === 0 && !startsArg)
+    }));
+  }
+  return out.join(' ');
+}
+
+/**
+ * Reads a literal part of a template, updating the quote state: `quote` is
+ * the closing quote of an open quoted string, `boundary` whether the next
+ * character starts an argument and `equals` whether it follows an `=`.
+ * @param {string} str
+ * @param {string} shell
+ * @param {Object} state
+ * @private
+ */
+function scanLiteral(str, shell, state) {
+  var opens = OPEN_QUOTES[shell];
+  for (var i = 0; i < str.length; i++) {
+    var ch = str.charAt(i);
+    // Single-quoted strings are entirely literal, and so are cmd.exe's
+    // double-quoted ones.
+    var literal = state.quote === '\'' || (state.quote && shell === 'cmd');
+    if (ch === ESCAPE_CHAR[shell] && !literal) {
+      i++;
+      state.boundary = state.equals = false;
+      continue;
+    }
+    if (state.quote) {
+      if (opens[ch] === state.quote) {
+        state.quote = '';
+      }
+    } else if (opens.hasOwnProperty(ch)) {
+      state.quote = opens[ch];
+    }
+    state.boundary = !state.quote && ARG_BOUNDARY.test(ch);
+    state.equals = !state.quote && ch === '=';
+  }
+}
+
+/**
+ * Joins the literal parts of a template with the quoted values.  Each value
+ * must be a whole argument or follow an `=`, outside any quotes: a quoted
+ * value inside quotes would be unquoted, and an escape or other characters
+ * run together with it could change how it's read.
+ * @private
+ */
+function buildCommand(strings, values, options) {
+  var shell = options.shell || 'posix';
+  var state = {quote: '', boundary: true, equals: false};
+  var out = strings[0];
+  for (var i = 0; i < values.length; i++) {
+    scanLiteral(strings[i], shell, state);
+    var next = strings[i + 1];
+    if (state.quote) {
+      throw new Error('secure-filters shellCommand values cannot be ' +
+        'inside quotes');
+    } else if (!(state.boundary || state.equals) ||
+        (next !== '' && !ARG_BOUNDARY.test(next.charAt(0)))) {
+      throw new Error('secure-filters shellCommand values must be a whole ' +
+        'argument or follow an "="');
+    }
+    out += quoteValue(values[i], options, state.boundary);
+    out += next;
+    state.boundary = state.equals = false;
+  }
+  return out;
+}
+
+exports.shellArg = shellArg;
+exports.shellCommand = shellCommand;
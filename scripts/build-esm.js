@@ -0,0 +1,85 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+/**
+ * @fileOverview
+ * Builds lib/secure-filters.mjs, the filters as an ES module, from
+ * lib/secure-filters.js.  The ES module is the same code without the UMD
+ * wrapper, so it imports nothing and works in browsers as-is.
+ *
+ * The ES module isn't committed; `npm test` and `npm publish` run
+ * `npm run build` first, and tests/esm.js checks it's up to date.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var SOURCE = path.join(__dirname, '..', 'lib', 'secure-filters.js');
+var TARGET = path.join(__dirname, '..', 'lib', 'secure-filters.mjs');
+
+var UMD_START = '(function(root) {\n/*global define,module */\n';
+var UMD_END = '\n// AMD / RequireJS\n';
+
+/**
+ * Makes the ES module from the source of lib/secure-filters.js.
+ * @param {string} source
+ * @return {string}
+ */
+function build(source) {
+  var start = source.indexOf(UMD_START);
+  var end = source.lastIndexOf(UMD_END);
+  if (start === -1 || end === -1) {
+    throw new Error('lib/secure-filters.js has no UMD wrapper to replace');
+  }
+
+  // index.js adds the node.js-only functions to the same object, so list
+  // the filters from a new set.
+  var names = Object.keys(require(SOURCE).create()).concat('create');
+  var exports = names.map(function(name) {
+    return 'export var ' + name + ' = secureFilters.' + name + ';\n';
+  });
+
+  return source.slice(0, start) +
+    '// Generated from lib/secure-filters.js by scripts/build-esm.js.  Edit\n' +
+    '// that file instead, then run `npm run build`.\n' +
+    source.slice(start + UMD_START.length, end).replace(/\n+$/, '\n') +
+    '\nexport default secureFilters;\n\n' +
+    exports.join('');
+}
+
+exports.build = build;
+exports.SOURCE = SOURCE;
+exports.TARGET = TARGET;
+
+if (require.main === module) {
+  fs.writeFileSync(TARGET, build(fs.readFileSync(SOURCE, 'utf8')));
+}
@@ -49,6 +49,9 @@ if (typeof module !== 'undefined' && module.exports) {
 var SNOWMAN = "\u2603";
 // Test character outside of the Unicode BMP:
 var FACE_WITHOUT_MOUTH = "\uD83D\uDE36"; // U+1F636, UTF-16: D83D DE36, UTF-8: F0 9F 98 B6
+var GRINNING_FACE = "\uD83D\uDE00"; // U+1F600
+// Invalid UTF-16, which gets replaced with U+FFFD:
+var UNPAIRED_SURROGATES = 'a\uD83Db\uDE36c\uDE36\uD83D';
 
 var ASCII = "\0";
 for (var i = 1; i <= 0x7F; i++) {
@@ -200,8 +203,29 @@ var ALL_CASES = [
     js: "\\u00E9,\\x20\\u00DF,\\x20\\u2603,\\x20\\uD83D\\uDE36",
     jsAttr: "&#92;u00E9,&#92;x20&#92;u00DF,&#92;x20&#92;u2603,&#92;x20&#92;uD83D&#92;uDE36",
     uri: '%C3%A9%2C%20%C3%9F%2C%20%E2%98%83%2C%20%F0%9F%98%B6',
-    css: '\\e9 \\2c \\20 \\df \\2c \\20 \\2603 \\2c \\20 '+FACE_WITHOUT_MOUTH, // U+10000 and up are preserved
-    style: '&#92;e9 &#92;2c &#92;20 &#92;df &#92;2c &#92;20 &#92;2603 &#92;2c &#92;20 '+FACE_WITHOUT_MOUTH
+    css: '\\e9 \\2c \\20 \\df \\2c \\20 \\2603 \\2c \\20 \\1f636 ',
+    style: '&#92;e9 &#92;2c &#92;20 &#92;df &#92;2c &#92;20 &#92;2603 &#92;2c &#92;20 &#92;1f636 '
+  },
+  {
+    label: 'characters outside of the BMP',
+    input: GRINNING_FACE+FACE_WITHOUT_MOUTH,
+    html: GRINNING_FACE+FACE_WITHOUT_MOUTH,
+    js: '\\uD83D\\uDE00\\uD83D\\uDE36',
+    jsAttr: '&#92;uD83D&#92;uDE00&#92;uD83D&#92;uDE36',
+    uri: '%F0%9F%98%80%F0%9F%98%B6',
+    jsObj: '"\\uD83D\\uDE00\\uD83D\\uDE36"',
+    css: '\\1f600 \\1f636 ',
+    style: '&#92;1f600 &#92;1f636 '
+  },
+  {
+    label: 'unpaired surrogates',
+    input: UNPAIRED_SURROGATES,
+    html: 'a\uFFFDb\uFFFDc\uFFFD\uFFFD',
+    js: 'a\\uFFFDb\\uFFFDc\\uFFFD\\uFFFD',
+    jsAttr: 'a&#92;uFFFDb&#92;uFFFDc&#92;uFFFD&#92;uFFFD',
+    uri: 'a%EF%BF%BDb%EF%BF%BDc%EF%BF%BD%EF%BF%BD',
+    css: 'a\\fffd b\\fffd c\\fffd \\fffd ',
+    style: 'a&#92;fffd b&#92;fffd c&#92;fffd &#92;fffd '
   },
   {
     label: 'CDATA',
@@ -323,19 +347,998 @@ describe('secure filters', function() {
   });
 });
 
+var SAFE_URL_CASES = [
+  {
+    label: 'an http URL',
+    input: 'http://example.com/?a=1&b="2"',
+    output: 'http&#58;&#47;&#47;example.com&#47;&#63;a&#61;1&amp;b&#61;&quot;2&quot;'
+  },
+  {
+    label: 'an https URL',
+    input: 'HTTPS://example.com',
+    output: 'HTTPS&#58;&#47;&#47;example.com'
+  },
+  {
+    label: 'a mailto URL',
+    input: 'mailto:a@example.com',
+    output: 'mailto&#58;a&#64;example.com'
+  },
+  { label: 'a relative path', input: '/a/b.html', output: '&#47;a&#47;b.html' },
+  { label: 'a relative file', input: 'a/b:c', output: 'a&#47;b&#58;c' },
+  { label: 'a fragment', input: '#a:b', output: '&#35;a&#58;b' },
+  {
+    label: 'a protocol-relative URL',
+    input: '//example.com',
+    output: '&#47;&#47;example.com'
+  },
+  { label: 'a javascript URL', input: 'javascript:alert(1)' },
+  { label: 'a mixed-case javascript URL', input: 'JaVaScRiPt:alert(1)' },
+  { label: 'a data URL', input: 'data:text/html,<script>alert(1)</script>' },
+  { label: 'a vbscript URL', input: 'vbscript:msgbox(1)' },
+  { label: 'leading whitespace', input: ' \t\njavascript:alert(1)' },
+  { label: 'embedded whitespace', input: 'java\tscr\nipt:alert(1)' },
+  { label: 'control characters', input: '\x01java\x00script:alert(1)' },
+  { label: 'an entity-encoded colon', input: 'javascript&colon;alert(1)' },
+  { label: 'a decimal-encoded colon', input: 'javascript&#58;alert(1)' },
+  { label: 'a hex-encoded colon', input: 'javascript&#x3a;alert(1)' },
+  { label: 'an entity-encoded letter', input: '&#106;avascript:alert(1)' },
+  { label: 'an entity-encoded tab', input: 'java&Tab;script:alert(1)' },
+  { label: 'a disallowed scheme', input: 'tel:555-1234' }
+];
+
+describe('safeUrl', function() {
+  _.each(SAFE_URL_CASES, function(c) {
+    var expect = c.output || secureFilters.safeUrl.INVALID;
+    it('for '+c.label+' produces "'+expect+'"', function() {
+      assert.strictEqual(secureFilters.safeUrl(c.input), expect);
+    });
+  });
+
+  it('allows configured schemes', function() {
+    var options = {schemes: ['TEL', 'https']};
+    assert.strictEqual(secureFilters.safeUrl('tel:555', options), 'tel&#58;555');
+    assert.strictEqual(secureFilters.safeUrl('/a', options), '&#47;a');
+    assert.strictEqual(secureFilters.safeUrl('http://a', options),
+      secureFilters.safeUrl.INVALID);
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.safeUrl(1234), '1234');
+  });
+});
+
+describe('cssValue', function() {
+  var ALLOWED = [
+    ['color', '#ff0000'],
+    ['color', '#FFF'],
+    ['color', 'rgba(0,0,0,.5)'],
+    ['color', 'rgb(0 0 0 / 50%)'],
+    ['color', 'transparent'],
+    ['color', 'var(--brand)'],
+    ['background-color', 'hsl(120, 50%, 50%)'],
+    ['width', '10px'],
+    ['width', '-1.5em'],
+    ['width', 'calc(100% - 2px)'],
+    ['margin', '0 auto'],
+    ['line-height', '1.5'],
+    ['font-family', 'Arial, sans-serif'],
+    ['border', '1px solid #ccc'],
+    ['font', '12px/1.5 Arial'],
+    ['display', '-webkit-box'],
+    ['--gap', '4px']
+  ];
+
+  _.each(ALLOWED, function(c) {
+    it('allows ' + c[0] + ': ' + c[1], function() {
+      assert.strictEqual(secureFilters.cssValue(c[1], c[0]), c[1]);
+    });
+  });
+
+  var REJECTED = [
+    ['color', 'url(x)'],
+    ['background', 'url(javascript:alert(1))'],
+    ['width', 'expression(alert(1))'],
+    ['width', 'calc(url(x))'],
+    ['color', 'var(--x, url(x))'],
+    ['color', 'red /* comment */'],
+    ['color', '\\72 ed'],
+    ['color', 'red; background: url(x)'],
+    ['color', 'red !important'],
+    ['color', '@import "x"'],
+    ['color', '</style><script>'],
+    ['color', '"red"'],
+    ['color', '2px'],
+    ['color', 'calc(1px)'],
+    ['width', '#fff'],
+    ['width', '10zz'],
+    ['width', 'rgb(0,0,0)'],
+    ['width', 'calc(1px'],
+    ['width', '1px)'],
+    ['width', '1 - 2'],
+    ['font-family', 'f(x)'],
+    ['font-family', '"serif"'],
+    ['font-family', '"3D Font"'],
+    ['font-family', '"a\'b"']
+  ];
+
+  _.each(REJECTED, function(c) {
+    it('rejects ' + c[0] + ': ' + c[1], function() {
+      assert.strictEqual(secureFilters.cssValue(c[1], c[0]),
+        secureFilters.cssValue.INVALID);
+    });
+  });
+
+  it('unquotes font names', function() {
+    assert.strictEqual(secureFilters.cssValue(
+      '"Times New Roman", \'Segoe UI\', serif', 'font-family'),
+      'Times New Roman, Segoe UI, serif');
+  });
+
+  it('collapses whitespace', function() {
+    assert.strictEqual(secureFilters.cssValue(' 0\n\tauto ', 'margin'), '0 auto');
+  });
+
+  it('allows any safe token for other properties', function() {
+    assert.strictEqual(secureFilters.cssValue('1px solid rgb(1,2,3)'),
+      '1px solid rgb(1,2,3)');
+    assert.strictEqual(secureFilters.cssValue('url(x)'),
+      secureFilters.cssValue.INVALID);
+  });
+
+  it('outputs trusted CSS as-is', function() {
+    assert.strictEqual(secureFilters.cssValue(
+      secureFilters.trusted.css('url(a.png)'), 'background'), 'url(a.png)');
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.cssValue(0, 'margin'), '0');
+  });
+});
+
+describe('cssDeclarations', function() {
+  var warnings, originalWarn;
+
+  beforeEach(function() {
+    warnings = [];
+    originalWarn = console.warn;
+    console.warn = function(msg) {
+      warnings.push(msg);
+    };
+  });
+
+  afterEach(function() {
+    console.warn = originalWarn;
+  });
+
+  it('builds a style attribute value', function() {
+    assert.strictEqual(secureFilters.cssDeclarations({
+      color: '#ff0000',
+      'font-family': '"Segoe UI", sans-serif',
+      margin: 0,
+      padding: null
+    }), 'color: #ff0000; font-family: Segoe UI, sans-serif; margin: 0');
+  });
+
+  it('drops invalid properties and values', function() {
+    assert.strictEqual(secureFilters.cssDeclarations({
+      width: 'expression(alert(1))',
+      behavior: 'url(x.htc)',
+      'color;background': 'red',
+      '-moz-binding': 'none',
+      height: '',
+      top: '1px'
+    }), 'top: 1px');
+    assert.deepEqual(warnings, []);
+  });
+
+  it('warns about dropped declarations if asked to', function() {
+    secureFilters.cssDeclarations({'a b': 'red', color: 'url(x)'}, {warn: true});
+    assert.deepEqual(warnings, [
+      'secure-filters: cssDeclarations() dropped "a b": not an allowed property',
+      'secure-filters: cssDeclarations() dropped "color": not an allowed value'
+    ]);
+  });
+
+  it('encodes trusted CSS for the attribute', function() {
+    assert.strictEqual(secureFilters.cssDeclarations({
+      background: secureFilters.trusted.css('url("a.png")')
+    }), 'background: url&#40;&quot;a.png&quot;&#41;');
+    assert.strictEqual(secureFilters.cssDeclarations(
+      secureFilters.trusted.css('color: "x"')), 'color&#58; &quot;x&quot;');
+  });
+
+  it('outputs nothing for other values', function() {
+    _.each([null, undefined, 'color: red', 42], function(val) {
+      assert.strictEqual(secureFilters.cssDeclarations(val), '');
+    });
+  });
+});
+
+describe('attrs', function() {
+  var EVIL = '"><script>alert(1)</script>';
+  var warnings, originalWarn;
+
+  beforeEach(function() {
+    warnings = [];
+    originalWarn = console.warn;
+    console.warn = function(msg) {
+      warnings.push(msg);
+    };
+  });
+
+  afterEach(function() {
+    console.warn = originalWarn;
+  });
+
+  it('quotes and encodes each value', function() {
+    assert.strictEqual(secureFilters.attrs({
+      type: 'text',
+      name: 'q',
+      value: EVIL,
+      'data-id': 42,
+      'aria-hidden': false
+    }), 'type="text" name="q" value="' + secureFilters.html(EVIL) + '" ' +
+      'data-id="42" aria-hidden="false"');
+  });
+
+  it('outputs boolean attributes by name, if true', function() {
+    assert.strictEqual(secureFilters.attrs({
+      checked: true, disabled: false, Required: 'yes', hidden: null
+    }), 'checked Required');
+  });
+
+  it('skips null and undefined values', function() {
+    assert.strictEqual(secureFilters.attrs({title: null, alt: undefined}), '');
+  });
+
+  it('validates URL attributes', function() {
+    assert.strictEqual(secureFilters.attrs({
+      href: 'javascript:alert(1)',
+      src: '/a.png?x=1&y=2',
+      formAction: 'https://example.com/'
+    }), 'href="' + secureFilters.safeUrl.INVALID + '" ' +
+      'src="' + secureFilters.safeUrl('/a.png?x=1&y=2') + '" ' +
+      'formAction="' + secureFilters.safeUrl('https://example.com/') + '"');
+    assert.strictEqual(secureFilters.attrs({href: 'tel:555'}, {schemes: ['tel']}),
+      'href="tel&#58;555"');
+    assert.strictEqual(secureFilters.attrs({classid: 'javascript:x'}),
+      'classid="' + secureFilters.safeUrl.INVALID + '"');
+  });
+
+  it('shares its list of URL attributes', function() {
+    _.each(['data', 'xlink:href', 'codebase', 'classid', 'href', 'src'],
+      function(name) {
+        assert(_.contains(secureFilters.attrs.URL_ATTRIBUTES, name), name);
+      });
+    assert.strictEqual(secureFilters.create().attrs.URL_ATTRIBUTES,
+                       secureFilters.attrs.URL_ATTRIBUTES);
+  });
+
+  it('encodes style attributes with style()', function() {
+    assert.strictEqual(secureFilters.attrs({style: EVIL}),
+      'style="' + secureFilters.style(EVIL) + '"');
+    assert.strictEqual(secureFilters.attrs({
+      style: secureFilters.trusted.css('color: red')
+    }), 'style="color&#58; red"');
+  });
+
+  it('only allows trusted event handlers', function() {
+    assert.strictEqual(secureFilters.attrs({onclick: 'alert(1)', ONLOAD: EVIL}), '');
+    assert.strictEqual(secureFilters.attrs({
+      onClick: secureFilters.trusted.js('go("x")')
+    }), 'onClick="go&#40;&quot;x&quot;&#41;"');
+  });
+
+  it('only allows trusted srcdoc', function() {
+    assert.strictEqual(secureFilters.attrs({srcdoc: '<script>'}), '');
+    assert.strictEqual(secureFilters.attrs({
+      srcdoc: secureFilters.trusted.html('<b>"hi"</b>')
+    }), 'srcdoc="&lt;b&gt;&quot;hi&quot;&lt;&#47;b&gt;"');
+  });
+
+  it('encodes trusted HTML in other attributes', function() {
+    assert.strictEqual(secureFilters.attrs({
+      title: secureFilters.trusted.html(EVIL)
+    }), 'title="' + secureFilters.html(EVIL) + '"');
+  });
+
+  it('drops invalid names', function() {
+    assert.strictEqual(secureFilters.attrs({
+      'a b': 1, 'x"': 2, '>': 3, '': 4, '1st': 5, 'xlink:href': '/a'
+    }), 'xlink:href="&#47;a"');
+    assert.deepEqual(warnings, []);
+  });
+
+  it('warns about dropped attributes if asked to', function() {
+    secureFilters.attrs({'a b': 1, onclick: 'x', title: 'ok'}, {warn: true});
+    assert.deepEqual(warnings, [
+      'secure-filters: attrs() dropped "a b": not a valid attribute name',
+      'secure-filters: attrs() dropped "onclick": event handlers need a ' +
+        'trusted.js() value'
+    ]);
+  });
+
+  it('outputs trusted HTML as-is', function() {
+    assert.strictEqual(secureFilters.attrs(secureFilters.trusted.html('a="b"')),
+      'a="b"');
+  });
+
+  it('outputs nothing for other values', function() {
+    _.each([null, undefined, 'title', 42], function(val) {
+      assert.strictEqual(secureFilters.attrs(val), '');
+    });
+  });
+});
+
+var XML_CASES = [
+  {
+    label: 'markup',
+    input: '<a href="x">\'&amp;</a>',
+    xml: '&lt;a href&#61;&quot;x&quot;&gt;&apos;&amp;amp&#59;&lt;&#47;a&gt;',
+    xmlAttr: '&lt;a href&#61;&quot;x&quot;&gt;&apos;&amp;amp&#59;&lt;&#47;a&gt;',
+    cdata: '<![CDATA[<a href="x">\'&amp;</a>]]>'
+  },
+  {
+    label: 'whitespace',
+    input: 'a\tb\nc\rd e',
+    xml: 'a\tb\nc&#13;d e',
+    xmlAttr: 'a&#9;b&#10;c&#13;d e',
+    cdata: '<![CDATA[a\tb\nc\rd e]]>'
+  },
+  {
+    label: 'characters that are illegal in XML',
+    input: 'a\x00b\x1Fc\uFFFEd\uFFFF'+UNPAIRED_SURROGATES,
+    xml: 'a\uFFFDb\uFFFDc\uFFFDd\uFFFDa\uFFFDb\uFFFDc\uFFFD\uFFFD',
+    xmlAttr: 'a\uFFFDb\uFFFDc\uFFFDd\uFFFDa\uFFFDb\uFFFDc\uFFFD\uFFFD',
+    cdata: '<![CDATA[a\uFFFDb\uFFFDc\uFFFDd\uFFFDa\uFFFDb\uFFFDc\uFFFD\uFFFD]]>'
+  },
+  {
+    label: 'C1 controls and Unicode',
+    input: '\x7F\x85\u00A0\u00E9'+SNOWMAN+GRINNING_FACE,
+    xml: '&#x7F;&#x85;\u00A0\u00E9'+SNOWMAN+GRINNING_FACE,
+    xmlAttr: '&#x7F;&#x85;\u00A0\u00E9'+SNOWMAN+GRINNING_FACE,
+    cdata: '<![CDATA[\x7F\x85\u00A0\u00E9'+SNOWMAN+GRINNING_FACE+']]>'
+  },
+  {
+    label: 'the end of a CDATA section',
+    input: ']]>a]]]>b]]',
+    xml: '&#93;&#93;&gt;a&#93;&#93;&#93;&gt;b&#93;&#93;',
+    xmlAttr: '&#93;&#93;&gt;a&#93;&#93;&#93;&gt;b&#93;&#93;',
+    cdata: '<![CDATA[]]]]><![CDATA[>a]]]]]><![CDATA[>b]]]]>'
+  }
+];
+
+describe('xml filters', function() {
+  _.each(XML_CASES, function(c) {
+    _.each(['xml', 'xmlAttr', 'cdata'], function(filterName) {
+      it(filterName+' for '+c.label+' produces "'+c[filterName]+'"', function() {
+        assert.strictEqual(secureFilters[filterName](c.input), c[filterName]);
+      });
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.xml(1234), '1234');
+    assert.strictEqual(secureFilters.cdata(null), '<![CDATA[null]]>');
+  });
+
+  it('uses the entity style of created filters', function() {
+    var input = '<\'\u00E9>';
+    assert.strictEqual(secureFilters.create({entities: 'named', asciiOnly: true}).xml(input),
+                       '&lt;&apos;&#xE9;&gt;');
+    assert.strictEqual(secureFilters.create({entities: 'decimal'}).xmlAttr(input),
+                       '&#60;&#39;\u00E9&#62;');
+    assert.strictEqual(secureFilters.create({entities: 'hex', asciiOnly: true}).xml(input),
+                       '&#x3C;&#x27;&#xE9;&#x3E;');
+  });
+});
+
+describe('csvCell filter', function() {
+  var CASES = [
+    ['plain', '"plain"'],
+    ['', '""'],
+    ['say "hi", then\r\nleave', '"say ""hi"", then\r\nleave"'],
+    ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ['+1+cmd|\' /C calc\'!A0', '"\'+1+cmd|\' /C calc\'!A0"'],
+    ['-2+3', '"\'-2+3"'],
+    ['@SUM(A1:A2)', '"\'@SUM(A1:A2)"'],
+    ['\t=1', '"\'\t=1"'],
+    ['\r=1', '"\'\r=1"'],
+    ['\uFF1D1+1', '"\'\uFF1D1+1"'],
+    ['a=1', '"a=1"'],
+    ['-5', '"-5"'],
+    ['+1.5e3', '"+1.5e3"'],
+    ['-.5', '"-.5"']
+  ];
+
+  _.each(CASES, function(c) {
+    it('encodes '+JSON.stringify(c[0])+' as '+c[1], function() {
+      assert.strictEqual(secureFilters.csvCell(c[0]), c[1]);
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.csvCell(-42), '"-42"');
+    assert.strictEqual(secureFilters.csvCell(null), '"null"');
+  });
+
+  it('replaces unpaired surrogates', function() {
+    assert.strictEqual(secureFilters.csvCell('a\uD800'), '"a\uFFFD"');
+  });
+});
+
+describe('ldapFilter filter', function() {
+  var CASES = [
+    ['plain', 'plain'],
+    ['*', '\\2a'],
+    ['*)(uid=*))(|(uid=*', '\\2a\\29\\28uid=\\2a\\29\\29\\28|\\28uid=\\2a'],
+    ['back\\slash', 'back\\5cslash'],
+    ['nul\x00', 'nul\\00'],
+    ['Sm\u00EFth, J. <j@x>', 'Sm\u00EFth, J. <j@x>']
+  ];
+
+  _.each(CASES, function(c) {
+    it('encodes '+JSON.stringify(c[0])+' as '+JSON.stringify(c[1]), function() {
+      assert.strictEqual(secureFilters.ldapFilter(c[0]), c[1]);
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.ldapFilter(42), '42');
+    assert.strictEqual(secureFilters.ldapFilter(undefined), 'undefined');
+  });
+});
+
+describe('ldapDn filter', function() {
+  var CASES = [
+    ['plain', 'plain'],
+    ['Smith, John', 'Smith\\, John'],
+    ['a+b=c;d', 'a\\+b\\=c\\;d'],
+    ['<"quoted">', '\\<\\"quoted\\"\\>'],
+    ['back\\slash', 'back\\\\slash'],
+    ['nul\x00', 'nul\\00'],
+    [' padded ', '\\ padded\\ '],
+    ['  two  ', '\\  two \\ '],
+    [' ', '\\ '],
+    ['#hash#', '\\#hash#'],
+    ['', ''],
+    ['*(x)', '*(x)']
+  ];
+
+  _.each(CASES, function(c) {
+    it('encodes '+JSON.stringify(c[0])+' as '+JSON.stringify(c[1]), function() {
+      assert.strictEqual(secureFilters.ldapDn(c[0]), c[1]);
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.ldapDn(null), 'null');
+  });
+});
+
+describe('jsTemplate filter', function() {
+  var CASES = [
+    ['plain', 'plain'],
+    ['`${alert(1)}`', '\\x60\\x24\\x7Balert\\x281\\x29\\x7D\\x60'],
+    ['$ {', '\\x24\\x20\\x7B'],
+    ['</script>', '\\x3C\\x2Fscript\\x3E'],
+    ['back\\slash', 'back\\x5Cslash'],
+    ['line\nbreak', 'line\\x0Abreak']
+  ];
+
+  _.each(CASES, function(c) {
+    it('encodes '+JSON.stringify(c[0])+' as '+JSON.stringify(c[1]), function() {
+      assert.strictEqual(secureFilters.jsTemplate(c[0]), c[1]);
+    });
+  });
+
+  it('is the same as js', function() {
+    _.each(CASES, function(c) {
+      assert.strictEqual(secureFilters.jsTemplate(c[0]), secureFilters.js(c[0]));
+    });
+  });
+
+  it('escapes template syntax whatever the allow-list', function() {
+    var filters = secureFilters.create({allow: {js: ' #%:'}});
+    assert.strictEqual(filters.jsTemplate('# `${x}`'), '# \\x60\\x24\\x7Bx\\x7D\\x60');
+  });
+});
+
+describe('jsRegex filter', function() {
+  var CASES = [
+    ['plain_1', 'plain_1'],
+    ['a.b*c', 'a\\x2Eb\\x2Ac'],
+    ['^(x|y)+?$', '\\x5E\\x28x\\x7Cy\\x29\\x2B\\x3F\\x24'],
+    ['[a-z]{2,}', '\\x5Ba\\x2Dz\\x5D\\x7B2\\x2C\\x7D'],
+    ['/ends/i', '\\x2Fends\\x2Fi'],
+    ['back\\slash', 'back\\x5Cslash'],
+    ['</script>', '\\x3C\\x2Fscript\\x3E'],
+    ['line\u2028break', 'line\\u2028break'],
+    ['caf\u00E9', 'caf\\u00E9'],
+    ['\uD83D\uDE00', '\\uD83D\\uDE00'],
+    ['a\uD800', 'a\\uFFFD'],
+    ['', '(?:)']
+  ];
+
+  _.each(CASES, function(c) {
+    it('encodes '+JSON.stringify(c[0])+' as '+JSON.stringify(c[1]), function() {
+      assert.strictEqual(secureFilters.jsRegex(c[0]), c[1]);
+    });
+  });
+
+  it('matches the value literally', function() {
+    _.each(CASES, function(c) {
+      var input = c[0].replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/g, '\uFFFD');
+      var re = new RegExp('^' + secureFilters.jsRegex(c[0]) + '$');
+      assert(re.test(input), re + ' should match ' + JSON.stringify(input));
+      assert(!re.test(input + 'x'), re + ' should only match ' + JSON.stringify(input));
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.jsRegex(1.5), '1\\x2E5');
+    assert.strictEqual(secureFilters.jsRegex(null), 'null');
+  });
+});
+
+describe('jsIdentifier filter', function() {
+  var INVALID = secureFilters.jsIdentifier.INVALID;
+
+  _.each(['foo', '_bar', '$el', 'a1', 'class', 'Z'], function(name) {
+    it('allows '+JSON.stringify(name), function() {
+      assert.strictEqual(secureFilters.jsIdentifier(name), name);
+    });
+  });
+
+  _.each(['', '1a', 'a-b', 'a.b', 'a b', 'a;b', 'a[0]', '</script>',
+          'caf\u00E9', '__proto__', 'constructor', 'prototype'], function(name) {
+    it('rejects '+JSON.stringify(name), function() {
+      assert.strictEqual(secureFilters.jsIdentifier(name), INVALID);
+    });
+  });
+
+  it('replaces invalid names with a harmless identifier', function() {
+    assert.strictEqual(INVALID, 'invalid_secure_filters');
+    assert.strictEqual(secureFilters.jsIdentifier(INVALID), INVALID);
+  });
+
+  it('converts values to strings', function() {
+    assert.strictEqual(secureFilters.jsIdentifier(null), 'null');
+    assert.strictEqual(secureFilters.jsIdentifier(42), INVALID);
+  });
+});
+
+describe('trusted values', function() {
+  var trusted = secureFilters.trusted;
+  var EVIL = '<b>\'"</b>';
+
+  var PASS_THROUGH = {
+    html: ['html'],
+    js: ['js', 'json', 'jsObj'],
+    url: ['uri', 'safeUrl'],
+    css: ['css']
+  };
+
+  _.each(PASS_THROUGH, function(filterNames, type) {
+    _.each(filterNames, function(filterName) {
+      it('trusted.'+type+' passes through '+filterName, function() {
+        assert.strictEqual(secureFilters[filterName](trusted[type](EVIL)), EVIL);
+      });
+    });
+
+    _.each(PASS_THROUGH, function(otherNames, otherType) {
+      if (otherType === type) {
+        return;
+      }
+      _.each(otherNames, function(filterName) {
+        if (filterName === 'jsObj') {
+          return; // jsObj() encodes objects, not their string value
+        }
+        it('trusted.'+type+' is encoded by '+filterName, function() {
+          assert.strictEqual(secureFilters[filterName](trusted[type](EVIL)),
+                             secureFilters[filterName](EVIL));
+        });
+      });
+    });
+  });
+
+  it('only entity-encodes trusted JS in jsAttr', function() {
+    assert.strictEqual(secureFilters.jsAttr(trusted.js("go('x')")),
+                       'go&#40;&#39;x&#39;&#41;');
+  });
+
+  it('only entity-encodes trusted CSS in style', function() {
+    assert.strictEqual(secureFilters.style(trusted.css('color: red')),
+                       'color&#58; red');
+  });
+
+  it('converts wrapped values to strings', function() {
+    var wrapped = trusted.html(1234);
+    assert.strictEqual(wrapped.value, '1234');
+    assert.strictEqual(String(wrapped), '1234');
+    assert.strictEqual(secureFilters.html(wrapped), '1234');
+  });
+
+  it('can be detected', function() {
+    assert.strictEqual(secureFilters.isTrusted(trusted.url('/')), true);
+    assert.strictEqual(secureFilters.isTrusted(trusted.url('/'), 'url'), true);
+    assert.strictEqual(secureFilters.isTrusted(trusted.url('/'), 'html'), false);
+    assert.strictEqual(secureFilters.isTrusted('/'), false);
+    assert.strictEqual(secureFilters.isTrusted({type: 'html', value: '<b>'}), false);
+  });
+
+  it('ignores look-alike objects', function() {
+    var fake = {type: 'html', value: '<b>', toString: function() { return '<i>'; }};
+    assert.strictEqual(secureFilters.html(fake), '&lt;i&gt;');
+  });
+});
+
+// Characters that all of the encoders preserve (i.e. no control characters,
+// which html() converts to spaces, and no lone surrogates).
+var ROUND_TRIP_CHARS = [
+  'a', 'Z', '0', ' ', '\t', '\n', '-', '_', '.', ',', '<', '>', '&', '"', '\'',
+  '`', '\\', '/', '%', '#', ';', ':', '=', '(', ')', '!', '*', '~', ']', '{',
+  '\u00A0', '\u00E9', '\u2028', '\u2029', SNOWMAN, FACE_WITHOUT_MOUTH,
+  '&amp;', '&#60;', '\\x3C', '\\u2603', '\\3c ', '%3C', ']]>', '</script>'
+];
+
+// Simple deterministic pseudo-random strings, so failures are reproducible.
+function roundTripInputs() {
+  var inputs = [ROUND_TRIP_CHARS.join('')];
+  var seed = 42;
+  for (var n = 0; n < 100; n++) {
+    var str = '';
+    var len = n % 17;
+    for (var j = 0; j < len; j++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      str += ROUND_TRIP_CHARS[seed % ROUND_TRIP_CHARS.length];
+    }
+    inputs.push(str);
+  }
+  return inputs;
+}
+
+describe('decoders', function() {
+  var inputs = roundTripInputs();
+
+  _.each(['html','js','jsAttr','jsTemplate','jsRegex','uri','css','style','xml',
+          'xmlAttr','cdata'], function(filterName) {
+    it('decode.'+filterName+' inverts '+filterName, function() {
+      _.each(inputs, function(input) {
+        var encoded = secureFilters[filterName](input);
+        assert.strictEqual(secureFilters.decode[filterName](encoded), input);
+      });
+    });
+  });
+
+  it('decode.json inverts json', function() {
+    _.each(inputs, function(input) {
+      var json = JSON.stringify({key: input, list: [input, 1, null]});
+      assert.strictEqual(secureFilters.decode.json(secureFilters.json(json)), json);
+    });
+  });
+
+  it('decode.jsObj inverts jsObj', function() {
+    _.each(inputs, function(input) {
+      var obj = {key: input, list: [input, 1.5, true, null], nested: {}};
+      obj.nested[input] = input;
+      var decoded = secureFilters.decode.jsObj(secureFilters.jsObj(obj));
+      assert.strictEqual(JSON.stringify(decoded), JSON.stringify(obj));
+    });
+  });
+
+  _.each(ALL_CASES, function(c) {
+    // filters replace control characters and unpaired surrogates
+    if (typeof c.input !== 'string' || c.input === ASCII ||
+        c.input === UNPAIRED_SURROGATES) {
+      return;
+    }
+    _.each(['html','js','jsAttr','uri','css','style'], function(filterName) {
+      if (c[filterName] === undefined) {
+        return;
+      }
+      it('decode.'+filterName+' decodes "'+c[filterName]+'"', function() {
+        assert.strictEqual(secureFilters.decode[filterName](c[filterName]), c.input);
+      });
+    });
+  });
+
+  it('decode.html decodes other references', function() {
+    assert.strictEqual(secureFilters.decode.html('&apos;&nbsp;&#X41;&#x1F636;&eacute;&hellip;&#0;'),
+                       '\'\u00A0A'+FACE_WITHOUT_MOUTH+'\u00E9&hellip;\uFFFD');
+  });
+
+  it('decode.js decodes other escapes', function() {
+    assert.strictEqual(secureFilters.decode.js('\\n\\t\\0\\\\\\q\\u{1F636}a\\\nb'),
+                       '\n\t\0\\q'+FACE_WITHOUT_MOUTH+'ab');
+  });
+
+  it('decode.css decodes other escapes', function() {
+    assert.strictEqual(secureFilters.decode.css('\\41\\000042\\"\\1f636\n'),
+                       'AB"'+FACE_WITHOUT_MOUTH);
+  });
+
+  it('json replaces unpaired surrogates', function() {
+    assert.strictEqual(secureFilters.json('"\uD83D"'), '"\\uFFFD"');
+  });
+
+  it('decode.uri throws for malformed input', function() {
+    assert.throws(function() {
+      secureFilters.decode.uri('%E2%98');
+    });
+  });
+});
+
+describe('create', function() {
+  var INPUT = '<café " ☃'+FACE_WITHOUT_MOUTH+'>';
+
+  it("doesn't change the default filters", function() {
+    var filters = secureFilters.create({entities: 'hex', asciiOnly: true});
+    assert.strictEqual(filters.html(INPUT), '&#x3C;caf&#xE9; &#x22;&#xA0;&#x2603;&#x1F636;&#x3E;');
+    assert.strictEqual(secureFilters.html(INPUT), '&lt;café &quot; ☃'+FACE_WITHOUT_MOUTH+'&gt;');
+  });
+
+  it('has the same behavior as the defaults without options', function() {
+    var filters = secureFilters.create();
+    _.each(ALL_CASES, function(c) {
+      _.each(c, function(expect, filterName) {
+        if (filterName !== 'input' && filterName !== 'label') {
+          assert.strictEqual(filters[filterName](c.input), expect);
+        }
+      });
+    });
+  });
+
+  it('uses named entities', function() {
+    var filters = secureFilters.create({entities: 'named'});
+    assert.strictEqual(filters.html('<a & "b">\''), '&lt;a &amp; &quot;b&quot;&gt;&#39;');
+    assert.strictEqual(filters.html(INPUT), secureFilters.html(INPUT));
+  });
+
+  it('uses named entities with ASCII-only', function() {
+    var filters = secureFilters.create({entities: 'named', asciiOnly: true});
+    assert.strictEqual(filters.html(INPUT), '&lt;caf&eacute; &quot;&nbsp;&#x2603;&#x1F636;&gt;');
+    assert.strictEqual(secureFilters.decode.html(filters.html(INPUT)), INPUT);
+  });
+
+  it('uses decimal entities', function() {
+    var filters = secureFilters.create({entities: 'decimal'});
+    assert.strictEqual(filters.html(INPUT), '&#60;café &#34; ☃'+FACE_WITHOUT_MOUTH+'&#62;');
+    assert.strictEqual(filters.jsAttr('"'), '&#92;x22');
+  });
+
+  it('escapes non-ASCII characters everywhere with ASCII-only', function() {
+    var filters = secureFilters.create({asciiOnly: true});
+    assert.strictEqual(filters.html(INPUT), '&lt;caf&#xE9; &quot;&#xA0;&#x2603;&#x1F636;&gt;');
+    assert.strictEqual(filters.html('\uD83D'), '&#xFFFD;');
+    assert.strictEqual(filters.style('é'), '&#92;e9 ');
+    assert.strictEqual(filters.safeUrl('/café'), '&#47;caf&#xE9;');
+  });
+
+  it('uses the configured allow-lists', function() {
+    var filters = secureFilters.create({
+      allow: {html: ' :', js: ' ', css: '-_'}
+    });
+    assert.strictEqual(filters.html('a b:c.d'), 'a b:c&#46;d');
+    assert.strictEqual(filters.js('a b,c'), 'a b\\x2Cc');
+    assert.strictEqual(filters.jsObj({a: 'b c'}), '{"a":"b c"}');
+    assert.strictEqual(filters.css('a-b_c d'), 'a-b_c\\20 d');
+  });
+
+  it('refuses to allow syntax characters', function() {
+    _.each([
+      {html: '<'}, {html: '&'}, {html: '"'}, {html: '\''}, {html: '`'},
+      {js: '\\'}, {js: '\''}, {js: '"'}, {js: '<'}, {js: '\u2028'},
+      {css: ' '}, {css: ';'}, {css: '\\'}, {css: '('}, {css: '\u00A0'},
+      {html: '\uD83D'}
+    ], function(allow) {
+      assert.throws(function() {
+        secureFilters.create({allow: allow});
+      }, /secure-filters cannot allow/);
+    });
+  });
+
+  it('refuses to allow non-ASCII characters with ASCII-only', function() {
+    assert.throws(function() {
+      secureFilters.create({allow: {html: 'é'}, asciiOnly: true});
+    }, /secure-filters cannot allow/);
+  });
+
+  it('refuses unknown entity styles', function() {
+    assert.throws(function() {
+      secureFilters.create({entities: 'octal'});
+    }, /entities must be one of/);
+  });
+
+  it('.configure()s its own filters', function() {
+    var filters = secureFilters.create({entities: 'hex'});
+    var mockEjs = filters.configure({});
+    assert.strictEqual(mockEjs.filters.html('<'), '&#x3C;');
+    assert.strictEqual(mockEjs.filters.style('<'), '&#x5C;3c ');
+  });
+
+  it('respects trusted values', function() {
+    var filters = secureFilters.create({entities: 'hex'});
+    assert.strictEqual(filters.html(secureFilters.trusted.html('<b>')), '<b>');
+    assert(filters.isTrusted(filters.trusted.js('a'), 'js'));
+  });
+});
+
+describe('onEncode', function() {
+  var events, stop;
+
+  beforeEach(function() {
+    events = [];
+  });
+
+  afterEach(function() {
+    if (stop) {
+      stop();
+      stop = null;
+    }
+  });
+
+  function listen(options) {
+    stop = secureFilters.onEncode(function(event) {
+      events.push(event);
+    }, options);
+  }
+
+  it('reports dangerous input that a filter encodes', function() {
+    listen();
+    assert.equal(secureFilters.html('<script>alert(1)</script>'),
+      '&lt;script&gt;alert&#40;1&#41;&lt;&#47;script&gt;');
+    assert.deepEqual(events, [{
+      filter: 'html',
+      sample: '<script>alert(1)</script>',
+      length: 25,
+      patterns: ['script-tag', 'html-tag'],
+      dropped: 0
+    }]);
+  });
+
+  it('ignores input that is safe or left as-is', function() {
+    listen();
+    secureFilters.html('plain text');
+    secureFilters.html('a < b');
+    secureFilters.js('it\'s');
+    secureFilters.html(secureFilters.trusted.html('<b>bold</b>'));
+    secureFilters.safeUrl('/relative?onload=1');
+    assert.deepEqual(events, []);
+  });
+
+  it('reports blocked URLs and closed CDATA sections', function() {
+    listen();
+    secureFilters.safeUrl('java\tscript:alert(1)');
+    secureFilters.safeUrl('data:text/html,hi');
+    secureFilters.jsObj({x: ']]>'});
+    assert.deepEqual(_.pluck(events, 'filter'), ['safeUrl', 'safeUrl', 'jsObj']);
+    assert.deepEqual(events[0].patterns, ['script-url', 'blocked-url']);
+    assert.deepEqual(events[1].patterns, ['blocked-url']);
+    assert.deepEqual(events[2].patterns, ['cdata-close']);
+    assert.equal(events[2].sample, '{"x":"]]>"}');
+  });
+
+  it('reports the outer filter once', function() {
+    listen();
+    secureFilters.jsAttr('" onclick="alert(1)');
+    secureFilters.style('x:expression(alert(1))');
+    assert.deepEqual(_.pluck(events, 'filter'), ['jsAttr', 'style']);
+    assert.deepEqual(events[0].patterns, ['event-handler']);
+    assert.deepEqual(events[1].patterns, ['css-expression']);
+  });
+
+  it('truncates samples', function() {
+    listen({sampleLength: 8});
+    secureFilters.html('<script>' + new Array(200).join('x'));
+    assert.equal(events[0].sample, '<script>');
+    assert.equal(events[0].length, 207);
+  });
+
+  it('samples events', function() {
+    listen({sampleRate: 0});
+    secureFilters.html('<script>');
+    assert.deepEqual(events, []);
+  });
+
+  it('rate limits events, counting the ones dropped', function(done) {
+    listen({maxEvents: 1, interval: 50});
+    secureFilters.html('<b>');
+    secureFilters.html('<i>');
+    secureFilters.html('<u>');
+    assert.equal(events.length, 1);
+
+    setTimeout(function() {
+      secureFilters.html('<p>');
+      assert.equal(events.length, 2);
+      assert.equal(events[1].sample, '<p>');
+      assert.equal(events[1].dropped, 2);
+      done();
+    }, 60);
+  });
+
+  it('reports filters from created sets', function() {
+    listen();
+    secureFilters.create({entities: 'hex'}).html('<script>');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].filter, 'html');
+  });
+
+  it('stops reporting once removed', function() {
+    listen();
+    stop();
+    stop();
+    stop = null;
+    secureFilters.html('<script>');
+    assert.deepEqual(events, []);
+  });
+
+  it("doesn't change filters for values JSON can't hold", function() {
+    var cycle = {title: '<script>'};
+    cycle.self = cycle;
+    var attrs = secureFilters.attrs(cycle);
+    listen();
+    assert.strictEqual(secureFilters.attrs(cycle), attrs);
+    var unserializable = {
+      toJSON: function() { throw new Error('not JSON'); },
+      toString: function() { return '<script>'; }
+    };
+    assert.equal(secureFilters.html(unserializable), '&lt;script&gt;');
+    assert.deepEqual(_.pluck(events, 'sample'), ['<script>']);
+  });
+
+  it('ignores errors thrown by listeners', function(done) {
+    stop = secureFilters.onEncode(function() {
+      throw new Error('listener failed');
+    });
+    assert.equal(secureFilters.html('<script>'), '&lt;script&gt;');
+    // An error thrown later would fail this test as uncaught.
+    setTimeout(done, 10);
+  });
+
+  it('passes errors thrown by listeners to onError', function() {
+    var errors = [];
+    var failure = new Error('listener failed');
+    stop = secureFilters.onEncode(function() {
+      throw failure;
+    }, {
+      onError: function(err, event) {
+        errors.push([err, event.filter]);
+        throw new Error('onError failed too');
+      }
+    });
+    assert.equal(secureFilters.html('<script>'), '&lt;script&gt;');
+    assert.deepEqual(errors, [[failure, 'html']]);
+  });
+
+  it('needs a listener function', function() {
+    assert.throws(function() {
+      secureFilters.onEncode('nope');
+    }, /needs a listener function/);
+  });
+});
+
 describe('exporting to EJS', function() {
   function checkAllFilters(ejs) {
     assert(ejs.filters);
     assert(ejs.filters instanceof Object);
     var keys = _.keys(ejs.filters);
-    assert.equal(keys.length, 7);
+    assert.equal(keys.length, 21);
     assert('html' in ejs.filters);
     assert('js' in ejs.filters);
     assert('jsAttr' in ejs.filters);
     assert('uri' in ejs.filters);
+    assert('safeUrl' in ejs.filters);
+    assert('json' in ejs.filters);
     assert('jsObj' in ejs.filters);
     assert('css' in ejs.filters);
     assert('style' in ejs.filters);
+    assert('cssValue' in ejs.filters);
+    assert('cssDeclarations' in ejs.filters);
+    assert('attrs' in ejs.filters);
+    assert('xml' in ejs.filters);
+    assert('xmlAttr' in ejs.filters);
+    assert('cdata' in ejs.filters);
   }
 
   it('.configure()s an empty object', function() {
@@ -348,6 +1351,287 @@ describe('exporting to EJS', function() {
     secureFilters.configure(mockEjs);
     checkAllFilters(mockEjs);
   });
+
+  it('.configure()s only included filters', function() {
+    var mockEjs = secureFilters.configure({}, {include: ['html', 'json']});
+    assert.deepEqual(_.keys(mockEjs.filters), ['html', 'json']);
+    assert.strictEqual(mockEjs.filters.json, secureFilters.json);
+  });
+
+  it("doesn't .configure() excluded filters", function() {
+    var mockEjs = secureFilters.configure({}, {exclude: ['cdata', 'xml']});
+    assert.equal(_.keys(mockEjs.filters).length, 19);
+    assert(!('cdata' in mockEjs.filters));
+    assert(!('xml' in mockEjs.filters));
+    assert('xmlAttr' in mockEjs.filters);
+  });
+
+  it('.configure()s filters with a prefix', function() {
+    var mockEjs = { filters: { html: 'mine' } };
+    secureFilters.configure(mockEjs, {prefix: 'sf_', include: ['html', 'js']});
+    assert.deepEqual(_.keys(mockEjs.filters), ['html', 'sf_html', 'sf_js']);
+    assert.strictEqual(mockEjs.filters.html, 'mine');
+    assert.strictEqual(mockEjs.filters.sf_js, secureFilters.js);
+  });
+
+  it("keeps the engine's own json filter unless asked for ours", function() {
+    var json = function() {};
+    var mockEjs = secureFilters.configure({ filters: { json: json } });
+    assert.strictEqual(mockEjs.filters.json, json);
+    assert.strictEqual(mockEjs.filters.jsObj, secureFilters.jsObj);
+
+    mockEjs = secureFilters.configure({ filters: { json: json } },
+      {include: ['json']});
+    assert.strictEqual(mockEjs.filters.json, secureFilters.json);
+
+    mockEjs = secureFilters.configure({ filters: { json: json } },
+      {prefix: 'sf_'});
+    assert.strictEqual(mockEjs.filters.json, json);
+    assert.strictEqual(mockEjs.filters.sf_json, secureFilters.json);
+  });
+
+  it('replaces its own filters when configured again', function() {
+    var mockEjs = secureFilters.configure({});
+    mockEjs.filters.json = secureFilters.json;
+    secureFilters.configure(mockEjs);
+    checkAllFilters(mockEjs);
+    assert.strictEqual(mockEjs.filters.json, secureFilters.json);
+  });
+
+  it('lists the filter names', function() {
+    assert.deepEqual(secureFilters.configure.FILTER_NAMES,
+      _.keys(secureFilters.configure({}).filters));
+    assert.deepEqual(secureFilters.create().configure.FILTER_NAMES,
+      secureFilters.configure.FILTER_NAMES);
+  });
+
+  it('throws for unknown filter names', function() {
+    assert.throws(function() {
+      secureFilters.configure({}, {include: ['html', 'htlm']});
+    }, /no filter named "htlm"/);
+    assert.throws(function() {
+      secureFilters.configure({}, {exclude: ['configure']});
+    }, /no filter named "configure"/);
+  });
+
+  it("doesn't replace the escape function by default", function() {
+    var compile = function() {};
+    var mockEjs = secureFilters.configure({compile: compile});
+    assert.strictEqual(mockEjs.compile, compile);
+  });
+
+  it('replaces the escape function with the escape option', function() {
+    var calls = [];
+    var mockEjs = {
+      compile: function(str, options) {
+        calls.push(options);
+        return 'compiled';
+      },
+      render: function(str, options) {
+        calls.push(options);
+        return 'rendered';
+      }
+    };
+    var userOptions = {name: 'x'};
+    secureFilters.configure(mockEjs, {escape: true});
+    secureFilters.configure(mockEjs, {escape: true});
+    assert.strictEqual(mockEjs.compile('a'), 'compiled');
+    assert.strictEqual(mockEjs.render('a', userOptions), 'rendered');
+    assert.strictEqual(calls[0].escape, secureFilters.html);
+    assert.strictEqual(calls[1].escape, secureFilters.html);
+    assert.strictEqual(calls[1].name, 'x');
+    assert(!('escape' in userOptions));
+
+    var mine = function() {};
+    mockEjs.compile('a', {escape: mine});
+    assert.strictEqual(calls[2].escape, mine);
+    assert.equal(calls.length, 3);
+  });
+});
+
+describe('configuring other template engines', function() {
+  var EVIL = '<b>\'"</b>';
+  var warnings;
+  var originalWarn;
+
+  beforeEach(function() {
+    warnings = [];
+    originalWarn = console.warn;
+    console.warn = function(msg) {
+      warnings.push(msg);
+    };
+  });
+
+  afterEach(function() {
+    console.warn = originalWarn;
+  });
+
+  function MockSafeString(str) {
+    this.str = str;
+  }
+  MockSafeString.prototype.toHTML = function() {
+    return this.str;
+  };
+
+  function mockHandlebars() {
+    var handlebars = {
+      helpers: {},
+      SafeString: MockSafeString,
+      Utils: {escapeExpression: null},
+      registerHelper: function(name, fn) {
+        this.helpers[name] = fn;
+      },
+      compile: function(input) {
+        return 'compiled ' + input;
+      }
+    };
+    return handlebars;
+  }
+
+  function mockNunjucksEnv(autoescape) {
+    return {
+      opts: {autoescape: autoescape},
+      filters: {
+        safe: function(str) {
+          return new MockSafeString(str);
+        }
+      },
+      addFilter: function(name, fn) {
+        this.filters[name] = fn;
+      },
+      getFilter: function(name) {
+        return this.filters[name];
+      }
+    };
+  }
+
+  function mockPug() {
+    return {
+      filters: {},
+      runtime: {escape: null},
+      compile: function() {
+        var template = function(locals) {
+          return locals;
+        };
+        template.dependencies = ['a.pug'];
+        return template;
+      },
+      compileClient: function() {}
+    };
+  }
+
+  it('registers Handlebars helpers that return SafeStrings', function() {
+    var handlebars = secureFilters.configure(mockHandlebars());
+    assert.equal(_.keys(handlebars.helpers).length, 21);
+    var result = handlebars.helpers.js(EVIL, {hash: {}});
+    assert(result instanceof MockSafeString);
+    assert.strictEqual(result.toHTML(), secureFilters.js(EVIL));
+  });
+
+  it('makes html the Handlebars escape function', function() {
+    var handlebars = secureFilters.configure(mockHandlebars());
+    var escape = handlebars.Utils.escapeExpression;
+    assert.strictEqual(handlebars.escapeExpression, escape);
+    assert.strictEqual(escape(EVIL), secureFilters.html(EVIL));
+    assert.strictEqual(escape(new MockSafeString(EVIL)), EVIL);
+    assert.strictEqual(escape(null), '');
+    assert.strictEqual(escape(undefined), '');
+    assert.strictEqual(escape(0), '0');
+  });
+
+  it('warns about Handlebars templates compiled with noEscape', function() {
+    var handlebars = secureFilters.configure(mockHandlebars());
+    secureFilters.configure(handlebars);
+    assert.strictEqual(handlebars.compile('a'), 'compiled a');
+    assert.equal(warnings.length, 0);
+    handlebars.compile('a', {noEscape: true});
+    assert.equal(warnings.length, 1);
+    assert(/noEscape/.test(warnings[0]));
+  });
+
+  it('registers Nunjucks filters that return safe strings', function() {
+    var env = secureFilters.configure(mockNunjucksEnv(true));
+    assert.equal(_.keys(env.filters).length, 22); // plus 'safe'
+    var result = env.filters.safeUrl('tel:1', {schemes: ['tel']});
+    assert(result instanceof MockSafeString);
+    assert.strictEqual(result.toHTML(), 'tel&#58;1');
+    assert.equal(warnings.length, 0);
+  });
+
+  it('warns when Nunjucks autoescape is disabled', function() {
+    secureFilters.configure(mockNunjucksEnv(false));
+    assert.equal(warnings.length, 1);
+    assert(/autoescape/.test(warnings[0]));
+  });
+
+  it('adds the filters to Pug locals and sets the escape function', function() {
+    var pug = secureFilters.configure(mockPug());
+    var template = pug.compile('p= css(x)');
+    var locals = template({x: EVIL, html: 'mine'});
+    assert.equal(_.keys(locals).length, 22); // plus x
+    assert.strictEqual(locals.css, secureFilters.css);
+    assert.strictEqual(locals.html, 'mine');
+    assert.deepEqual(template.dependencies, ['a.pug']);
+    assert.deepEqual(pug.filters, {});
+    assert.strictEqual(pug.runtime.escape(EVIL), secureFilters.html(EVIL));
+  });
+
+  it('adds filters to Pug locals again when configured again', function() {
+    var pug = secureFilters.configure(mockPug(), {include: ['js']});
+    var compile = pug.compile;
+    secureFilters.configure(pug, {include: ['css'], prefix: 'sf_'});
+    assert.strictEqual(pug.compile, compile);
+    assert.deepEqual(_.keys(pug.compile('')()).sort(), ['js', 'sf_css']);
+  });
+
+  it('makes html the Mustache escape function', function() {
+    var mustache = secureFilters.configure({name: 'mustache.js', escape: null});
+    assert.strictEqual(mustache.escape(EVIL), secureFilters.html(EVIL));
+  });
+
+  it("doesn't replace the escape function if told not to", function() {
+    var handlebars = secureFilters.configure(mockHandlebars(), {escape: false});
+    assert.strictEqual(handlebars.Utils.escapeExpression, null);
+    var mustache = secureFilters.configure({name: 'mustache.js', escape: null},
+                                           {escape: false});
+    assert.strictEqual(mustache.escape, null);
+  });
+
+  it('registers prefixed Handlebars helpers', function() {
+    var handlebars = secureFilters.configure(mockHandlebars(),
+      {prefix: 'sf_', exclude: ['cdata']});
+    assert.equal(_.keys(handlebars.helpers).length, 20);
+    assert('sf_html' in handlebars.helpers);
+    assert(!('html' in handlebars.helpers));
+  });
+
+  it('uses the engine name if given', function() {
+    var pug = secureFilters.configure({runtime: {}}, 'Pug');
+    assert.strictEqual(pug.runtime.escape(EVIL), secureFilters.html(EVIL));
+    var ejs = secureFilters.configure(mockPug(), {engine: 'ejs'});
+    assert.strictEqual(ejs.filters.html, secureFilters.html);
+    assert.strictEqual(ejs.runtime.escape, null);
+  });
+
+  it('adds the filters to template variables', function() {
+    var locals = secureFilters.configure({user: 'x'},
+      {engine: 'locals', include: ['html', 'css'], prefix: 'sf_'});
+    assert.deepEqual(_.keys(locals), ['user', 'sf_html', 'sf_css']);
+    assert.strictEqual(locals.sf_css, secureFilters.css);
+  });
+
+  it('throws for unknown engine names', function() {
+    assert.throws(function() {
+      secureFilters.configure({}, 'smarty');
+    }, /unknown template engine "smarty"/);
+  });
+
+  it('uses the filters of a created filter set', function() {
+    var filters = secureFilters.create({entities: 'hex'});
+    var handlebars = filters.configure(mockHandlebars());
+    assert.strictEqual(handlebars.helpers.html('<').toHTML(), '&#x3C;');
+    assert.strictEqual(handlebars.Utils.escapeExpression('<'), '&#x3C;');
+  });
 });
 
 }(this));
@@ -0,0 +1,195 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var audit = secureFilters.audit;
+
+/**
+ * Audits a template, returning the problem codes of each interpolation.
+ */
+function problemCodes(template, options) {
+  return audit(template, options).interpolations.map(function(entry) {
+    return entry.problems.map(function(problem) {
+      return problem.code;
+    }).join(',');
+  });
+}
+
+describe('audit', function() {
+  it('reports each interpolation', function() {
+    var report = audit('<p>\n  <%= name %></p>', {filename: 'a.ejs'});
+    assert.deepEqual(report, {
+      filename: 'a.ejs',
+      ok: true,
+      problems: 0,
+      interpolations: [{
+        line: 2,
+        column: 3,
+        source: '<%= name %>',
+        kind: 'escaped',
+        expression: 'name',
+        filters: ['escape'],
+        context: 'text',
+        state: 'text',
+        element: null,
+        attribute: null,
+        expected: ['html'],
+        autoescaped: false,
+        problems: []
+      }]
+    });
+    assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+  });
+
+  it('accepts the right filters for each context', function() {
+    var template =
+      '<a href="<%- filters.safeUrl(u) %>?q=<%-: q | uri %>" ' +
+      'onclick="go(<%-: id | jsObj | html %>, \'<%=: s | js %>\')" ' +
+      'style="color: <%- filters.style(c) %>" title="<%= t %>">' +
+      '<%- secureFilters.html(name) %></a>' +
+      '<script>var d = <%- filters.json(JSON.stringify(d)) %>; ' +
+      'var s = "<%- filters.js(s) %>";</script>' +
+      '<style>p { color: <%- filters.css(c) %> }</style>';
+    var report = audit(template);
+    assert.equal(report.interpolations.length, 10);
+    assert(report.ok, JSON.stringify(report, null, 2));
+  });
+
+  it('accepts js or jsTemplate in template literals', function() {
+    var report = audit('<script>var a = `<%- filters.js(a) %>`, ' +
+      'b = `${c}<%- filters.jsTemplate(b) %>`;</script>');
+    assert(report.ok, JSON.stringify(report, null, 2));
+  });
+
+  it('expects jsRegex in regular expression literals', function() {
+    var report = audit('<script>var re = /<%- filters.js(a) %>/, ' +
+      're2 = /<%- filters.jsRegex(b) %>/;</script>');
+    assert.deepEqual(report.interpolations.map(function(entry) {
+      return entry.expected;
+    }), [['jsRegex'], ['jsRegex']]);
+    assert.deepEqual(problemCodes('<script>/<%- filters.js(a) %>/</script>'),
+      ['wrong-filter']);
+    assert.equal(report.problems, 1);
+  });
+
+  it('flags unfiltered output', function() {
+    assert.deepEqual(problemCodes('<p><%- name %></p><script>x = <%- y %></script>'),
+      ['unfiltered', 'unfiltered']);
+  });
+
+  it('flags filters that are wrong for the context', function() {
+    var report = audit(
+      '<a href="<%- filters.uri(u) %>" onclick="go(\'<%= x %>\')">' +
+      '<script>var a = "<%= b %>";</script><p><%=: c | html %></p>');
+    assert(!report.ok);
+    assert.equal(report.problems, 4);
+    var messages = report.interpolations.map(function(entry) {
+      assert.equal(entry.problems.length, 1);
+      assert.equal(entry.problems[0].code, 'wrong-filter');
+      return entry.problems[0].message;
+    });
+    assert.deepEqual(messages, [
+      'uri used in quoted href attribute of <a> (URL start); expected safeUrl',
+      'escape used in quoted onclick attribute of <a> (JavaScript string); ' +
+        'expected jsAttr',
+      'escape used in content of <script> (JavaScript string); expected js',
+      'html, escape used in text; expected html'
+    ]);
+  });
+
+  it("flags EJS's escape in single-quoted attributes", function() {
+    var template = '<p title=\'<%= t %>\'>';
+    assert.deepEqual(problemCodes(template), ['wrong-filter']);
+    assert.deepEqual(problemCodes(template, {escape: true}), ['']);
+  });
+
+  it('flags values where no filter is safe', function() {
+    assert.deepEqual(
+      problemCodes('<!-- <%- filters.html(a) %> --><p <%= b %>>' +
+        '<iframe srcdoc="<%= c %>"></iframe>'),
+      ['unsafe-context', 'unsafe-context', 'unsafe-context']);
+  });
+
+  it('flags values that start an unquoted attribute', function() {
+    assert.deepEqual(problemCodes('<p class=<%- filters.html(c) %>>'),
+      ['unquoted-attribute']);
+  });
+
+  it('flags unknown filters', function() {
+    var report = audit('<p><%=: a | upcase %></p>');
+    assert.deepEqual(report.interpolations[0].filters, ['upcase', 'escape']);
+    assert.equal(report.interpolations[0].problems[0].code, 'unknown-filter');
+  });
+
+  it('understands prefixed filter names', function() {
+    assert.deepEqual(
+      problemCodes('<p><%-: a | sf_html %><%- filters.sf_html(b) %></p>', {prefix: 'sf_'}),
+      ['', '']);
+  });
+
+  it('trusts auto-escaping, except where nothing is safe', function() {
+    var report = audit(
+      '<a href="<%= u %>" onclick="go(<%= id %>)" class=<%= c %>><%- raw %>' +
+      '<!-- <%= x %> -->', {autoescape: true});
+    assert.deepEqual(report.interpolations.map(function(entry) {
+      return entry.filters;
+    }), [['safeUrl'], ['jsObj', 'html'], ['html'], [], ['escape']]);
+    assert.deepEqual(report.interpolations.map(function(entry) {
+      return entry.problems.length ? entry.problems[0].code : '';
+    }), ['', '', '', 'unfiltered', 'unsafe-context']);
+  });
+
+  it('ignores scriptlets and handles custom delimiters', function() {
+    var report = audit('{{ if (a) { }}<b>{{= a -}}</b>{{ } }}',
+      {open: '{{', close: '}}'});
+    assert.equal(report.interpolations.length, 1);
+    assert.equal(report.interpolations[0].expression, 'a');
+    assert(report.ok);
+  });
+
+  it('reads -%> tags like EJS and auto-escaping do', function() {
+    var report = audit('<p><%= a -%>\n<%=: b | html -%>\n</p>');
+    assert.deepEqual(report.interpolations.map(function(entry) {
+      return [entry.expression, entry.filters.join(',')];
+    }), [['a', 'escape'], ['b', 'html,escape']]);
+    // EJS drops the two characters before `-%>`, not just the `-`.
+    report = audit('<p><%= a + 1-%>\n</p>');
+    assert.equal(report.interpolations[0].expression, 'a +');
+  });
+
+  it('throws for unclosed tags', function() {
+    assert.throws(function() {
+      audit('<p><%= a </p>');
+    }, /Could not find matching close tag "%>"/);
+  });
+});
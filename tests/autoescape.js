@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+var ejs = require('ejs');
+var secureFilters = require('../index');
+var autoescape = secureFilters.autoescape;
+
+var EVIL = '"\'><script>alert(1)</script>';
+
+describe('autoescape', function() {
+  describe('.transform()', function() {
+    it('rewrites <%= %> with the filter chain for the context', function() {
+      assert.equal(
+        autoescape.transform('<a href="/u/<%= id %>" onclick="go(<%= id %>)">'),
+        '<a href="/u/<%- filters.uri( id ) %>" ' +
+        'onclick="go(<%- filters.html(filters.jsObj( id )) %>)">');
+    });
+
+    it('leaves raw, filtered and scriptlet tags alone', function() {
+      var template = '<% if (x) { %><%- raw %><%=: v | js %><% } %>';
+      assert.equal(autoescape.transform(template), template);
+    });
+
+    it('validates whole URLs', function() {
+      assert.equal(autoescape.transform('<a href="<%= url %>">'),
+        '<a href="<%- filters.safeUrl( url ) %>">');
+    });
+
+    it('quotes values that start an unquoted attribute', function() {
+      assert.equal(autoescape.transform('<p class=<%= c %>>'),
+        '<p class="<%- filters.html( c ) %>">');
+    });
+
+    it('keeps the -%> newline-slurping form', function() {
+      assert.equal(autoescape.transform('<p><%= a -%>\n</p>'),
+        '<p><%- filters.html( a) -%>\n</p>');
+    });
+
+    it('tracks the context after raw and filtered output', function() {
+      assert.equal(
+        autoescape.transform('<script>var a = <%- n %> / 2, b = <%= b %>;'),
+        '<script>var a = <%- n %> / 2, b = <%- filters.jsObj( b ) %>;');
+    });
+
+    it('supports custom delimiters', function() {
+      assert.equal(autoescape.transform('<p>{{= a }}</p>', {open: '{{', close: '}}'}),
+        '<p>{{- filters.html( a ) }}</p>');
+    });
+
+    it('rejects values where no filter is safe', function() {
+      assert.throws(function() {
+        autoescape.transform('<p>\n<!-- <%= a %> -->');
+      }, /in HTML comment at line 2, column 6/);
+      assert.throws(function() {
+        autoescape.transform('<input <%= attrs %>>');
+      }, /in tag of <input>/);
+    });
+
+    it('rejects values in srcdoc, which is rendered as a document', function() {
+      assert.throws(function() {
+        autoescape.transform('<iframe srcdoc="<%= a %>"></iframe>');
+      }, /cannot auto-escape a value in quoted srcdoc attribute of <iframe>/);
+      assert.throws(function() {
+        autoescape.transform('<iframe srcdoc=<%= a %>></iframe>');
+      }, /in unquoted srcdoc attribute of <iframe>/);
+    });
+
+    it('rejects unterminated tags', function() {
+      assert.throws(function() {
+        autoescape.transform('<p><%= a </p>');
+      }, /Could not find matching close tag/);
+    });
+  });
+
+  describe('.configure()', function() {
+    before(function() {
+      autoescape.configure(ejs);
+    });
+
+    it('registers the filters', function() {
+      assert.strictEqual(ejs.filters.jsAttr, secureFilters.jsAttr);
+    });
+
+    it('can be applied more than once', function() {
+      var parse = ejs.parse;
+      autoescape.configure(ejs);
+      assert.strictEqual(ejs.parse, parse);
+    });
+
+    it('escapes each value for its context', function() {
+      var template =
+        '<a href="/u/<%= v %>" title=<%= v %> ' +
+          'onclick="show(\'<%= v %>\')"><%= v %></a>\n' +
+        '<img src="<%= url %>">' +
+        '<script>var v = <%= v %>;</script>';
+      assert.equal(ejs.render(template, {v: EVIL, url: 'javascript:alert(1)'}),
+        '<a href="/u/' + secureFilters.uri(EVIL) + '" ' +
+          'title="' + secureFilters.html(EVIL) + '" ' +
+          'onclick="show(\'' + secureFilters.jsAttr(EVIL) + '\')">' +
+          secureFilters.html(EVIL) + '</a>\n' +
+        '<img src="about:invalid#secure-filters">' +
+        '<script>var v = ' + secureFilters.jsObj(EVIL) + ';</script>');
+    });
+
+    it('escapes values in template and regular expression literals', function() {
+      var html = ejs.render(
+        '<script>var t = `<%= v %>`, re = /^<%= v %>$/;</script>', {v: EVIL});
+      assert.equal(html, '<script>var t = `' + secureFilters.jsTemplate(EVIL) +
+        '`, re = /^' + secureFilters.jsRegex(EVIL) + '$/;</script>');
+      var script = html.slice(8, -9) + '; [t, re.test(' + JSON.stringify(EVIL) + ')]';
+      assert.deepEqual(vm.runInNewContext(script), [EVIL, true]);
+    });
+
+    it('still renders raw output', function() {
+      assert.equal(ejs.render('<%- v %>', {v: '<b>'}), '<b>');
+    });
+
+    it('compiles templates', function() {
+      var fn = ejs.compile('<style>p { color: <%= color %> }</style>');
+      assert.equal(fn({color: 'red;}'}),
+        '<style>p { color: red\\3b \\7d  }</style>');
+    });
+  });
+});
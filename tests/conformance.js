@@ -0,0 +1,489 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+// Puts each filter's output for random and adversarial input into a page,
+// parses the page with spec-compliant tokenizers (parse5 for HTML, acorn for
+// JavaScript, @csstools/css-tokenizer for CSS) and checks that the value
+// stayed inside its context and decodes back to the input.  This is what a
+// browser would do, without needing one.
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var fuzz = require('./support/fuzz');
+var node = require('./support/node');
+
+// The parsers need node.js 14 or later; before that the suite is skipped.
+var SUPPORTED = node.since(14);
+var parse5 = SUPPORTED && require('parse5');
+var acorn = SUPPORTED && require('acorn');
+var cssTokenizer = SUPPORTED && require('@csstools/css-tokenizer');
+
+var forEachInput = fuzz.forEachInput;
+var wellFormed = fuzz.wellFormed;
+
+var BASE_URL = 'https://example.com/page';
+var SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+var HTML_CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+
+// CSS tokens that can't end a value or start a new rule or declaration.
+var CSS_VALUE_TOKENS = ['ident-token', 'number-token', 'percentage-token',
+  'dimension-token', 'hash-token', 'whitespace-token', 'comma-token',
+  'delim-token', 'function-token', ')-token', 'EOF-token'];
+var CSS_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'var', 'calc', 'min', 'max',
+  'clamp'];
+
+/**
+ * Parses HTML as the content of `<body>`, and returns the only element.
+ */
+function parseElement(html) {
+  var fragment = parse5.parseFragment(html);
+  assert.equal(fragment.childNodes.length, 1,
+    'expected one element in ' + JSON.stringify(html));
+  return fragment.childNodes[0];
+}
+
+/**
+ * The text content of an element, which must only contain text.
+ */
+function textOf(element) {
+  return element.childNodes.map(function(node) {
+    assert.equal(node.nodeName, '#text', 'unexpected ' + node.nodeName);
+    return node.value;
+  }).join('');
+}
+
+function attrsOf(element) {
+  var attrs = {};
+  element.attrs.forEach(function(attr) {
+    attrs[attr.name] = attr.value;
+  });
+  return attrs;
+}
+
+/**
+ * What html() output should parse to: control characters become spaces, and
+ * the parser normalizes line breaks.
+ */
+function htmlExpected(str) {
+  return wellFormed(str).replace(HTML_CONTROL, ' ').replace(/\r\n?/g, '\n');
+}
+
+function cssExpected(str) {
+  return wellFormed(str).replace(/\x00/g, '\uFFFD');
+}
+
+/**
+ * Parses JavaScript source and returns the arguments of the only call.
+ */
+function callArguments(source) {
+  var program = acorn.parse(source, {ecmaVersion: 2020});
+  assert.equal(program.body.length, 1, 'expected one statement');
+  assert.equal(program.body[0].expression.type, 'CallExpression');
+  return program.body[0].expression.arguments;
+}
+
+/**
+ * The value of a JSON-like JavaScript literal.
+ */
+function literalValue(node) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'UnaryExpression':
+      assert.equal(node.operator, '-');
+      return -literalValue(node.argument);
+    case 'ArrayExpression':
+      return node.elements.map(literalValue);
+    case 'ObjectExpression':
+      var obj = {};
+      node.properties.forEach(function(prop) {
+        assert.equal(prop.key.type, 'Literal');
+        Object.defineProperty(obj, prop.key.value, {
+          value: literalValue(prop.value),
+          enumerable: true,
+          writable: true,
+          configurable: true
+        });
+      });
+      return obj;
+    default:
+      throw new Error('unexpected ' + node.type);
+  }
+}
+
+function cssTokens(css) {
+  return cssTokenizer.tokenize({css: css});
+}
+
+function cssStrings(css) {
+  return cssTokens(css).filter(function(token) {
+    assert.notEqual(token[0], 'bad-string-token', 'bad string in ' + css);
+    return token[0] === 'string-token';
+  }).map(function(token) {
+    return token[4].value;
+  });
+}
+
+/**
+ * Asserts that CSS tokens could only be part of one declaration's value.
+ */
+function assertCssValueTokens(tokens, css) {
+  tokens.forEach(function(token) {
+    assert(CSS_VALUE_TOKENS.indexOf(token[0]) !== -1,
+      'unexpected ' + token[0] + ' in ' + JSON.stringify(css));
+    if (token[0] === 'function-token') {
+      assert(CSS_FUNCTIONS.indexOf(token[4].value.toLowerCase()) !== -1,
+        'unexpected function ' + token[1] + ' in ' + JSON.stringify(css));
+    } else if (token[0] === 'delim-token') {
+      assert('+-*/.'.indexOf(token[4].value) !== -1,
+        'unexpected ' + token[1] + ' in ' + JSON.stringify(css));
+    }
+  });
+}
+
+/**
+ * Whether a browser could navigate to a URL attribute's value.
+ */
+function assertSafeUrl(href) {
+  var url;
+  try {
+    url = new URL(href, BASE_URL);
+  } catch (err) {
+    return; // browsers don't navigate to invalid URLs either
+  }
+  assert(SAFE_PROTOCOLS.indexOf(url.protocol) !== -1 ||
+         href === secureFilters.safeUrl.INVALID,
+    'navigates to ' + url.protocol + ' for ' + JSON.stringify(href));
+}
+
+node.describeSince(14)('parser conformance', function() {
+  var strings = fuzz.inputs();
+
+  describe('html', function() {
+    it('stays text in elements', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.html(input);
+        var p = parseElement('<p>' + output + '</p>');
+        assert.strictEqual(textOf(p), htmlExpected(input));
+      });
+    });
+
+    it('stays text in RCDATA elements', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.html(input);
+        var textarea = parseElement('<textarea>' + output + '</textarea>');
+        // The parser drops a newline at the start of a <textarea>.
+        assert.strictEqual(textOf(textarea),
+          htmlExpected(input).replace(/^\n/, ''));
+      });
+    });
+
+    it('stays in quoted attribute values', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.html(input);
+        var p = parseElement('<p title="' + output + '" class=\'' + output +
+          '\'></p>');
+        assert.deepEqual(attrsOf(p), {
+          title: htmlExpected(input),
+          'class': htmlExpected(input)
+        });
+      });
+    });
+  });
+
+  describe('js', function() {
+    it('stays in string literals in a script', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.js(input);
+        var source = 'f(\'' + output + '\', "' + output + '", `' + output + '`)';
+        var script = parseElement('<script>' + source + '</script>');
+        assert.strictEqual(textOf(script), source);
+
+        var args = callArguments(source);
+        assert.equal(args.length, 3);
+        assert.strictEqual(args[0].value, wellFormed(input));
+        assert.strictEqual(args[1].value, wellFormed(input));
+        assert.equal(args[2].expressions.length, 0);
+        assert.strictEqual(args[2].quasis[0].value.cooked, wellFormed(input));
+      });
+    });
+  });
+
+  describe('jsTemplate', function() {
+    it('stays in one part of a template literal', function() {
+      forEachInput(strings, function(input) {
+        var source = 'f(`${a}' + secureFilters.jsTemplate(input) + '${b}`)';
+        var script = parseElement('<script>' + source + '</script>');
+        assert.strictEqual(textOf(script), source);
+
+        var args = callArguments(source);
+        assert.equal(args.length, 1);
+        assert.equal(args[0].expressions.length, 2);
+        assert.strictEqual(args[0].quasis[1].value.cooked, wellFormed(input));
+      });
+    });
+  });
+
+  describe('jsRegex', function() {
+    it('stays in a regular expression literal, matching the input', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.jsRegex(input);
+        var source = 'f(/^' + output + '$/, /^' + output + '$/iu)';
+        var script = parseElement('<script>' + source + '</script>');
+        assert.strictEqual(textOf(script), source);
+
+        var args = callArguments(source);
+        assert.equal(args.length, 2);
+        args.forEach(function(arg) {
+          var re = new RegExp(arg.regex.pattern, arg.regex.flags);
+          assert(re.test(wellFormed(input)), re + ' does not match');
+        });
+      });
+    });
+
+    it('matches the input as a RegExp string, encoded with js', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.js(secureFilters.jsRegex(input));
+        var args = callArguments('f(\'^' + output + '$\')');
+        assert(new RegExp(args[0].value).test(wellFormed(input)), args[0].value);
+      });
+    });
+  });
+
+  describe('jsIdentifier', function() {
+    var names = fuzz.inputs().concat(['a', '_', '$', 'a1', 'class']);
+
+    it('is one property name, or INVALID', function() {
+      forEachInput(names, function(input) {
+        var output = secureFilters.jsIdentifier(input);
+        assert(output === input || output === secureFilters.jsIdentifier.INVALID);
+        var args = callArguments('f(o.' + output + ', {' + output + ': 1})');
+        assert.equal(args[0].type, 'MemberExpression');
+        assert.strictEqual(args[0].computed, false);
+        assert.strictEqual(args[0].property.name, output);
+        assert.strictEqual(args[1].properties[0].key.name, output);
+      });
+    });
+  });
+
+  describe('jsAttr', function() {
+    it('stays in string literals in an event handler', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.jsAttr(input);
+        var p = parseElement('<p onclick="f(\'' + output + '\')" ' +
+          'onmouseover=\'f("' + output + '")\'></p>');
+        var attrs = attrsOf(p);
+        [attrs.onclick, attrs.onmouseover].forEach(function(handler) {
+          var args = callArguments(handler);
+          assert.equal(args.length, 1);
+          assert.strictEqual(args[0].value, wellFormed(input));
+        });
+      });
+    });
+  });
+
+  describe('json and jsObj', function() {
+    var values = fuzz.inputs(function(rand) {
+      return rand.value();
+    });
+
+    it('stay one value in a script', function() {
+      forEachInput(values, function(value) {
+        var json = JSON.stringify(value);
+        [secureFilters.json(json), secureFilters.jsObj(value)].forEach(function(output) {
+          var source = 'f(' + output + ')';
+          var script = parseElement('<script>' + source + '</script>');
+          assert.strictEqual(textOf(script), source);
+
+          var args = callArguments(source);
+          assert.equal(args.length, 1);
+          assert.deepEqual(literalValue(args[0]), JSON.parse(json));
+        });
+      });
+    });
+  });
+
+  describe('uri', function() {
+    it('stays one query parameter', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.uri(input);
+        var a = parseElement('<a href="/search?q=' + output + '&amp;x=1"></a>');
+        var url = new URL(attrsOf(a).href, BASE_URL);
+        assert.strictEqual(url.searchParams.get('q'), wellFormed(input));
+        assert.strictEqual(url.searchParams.get('x'), '1');
+      });
+    });
+  });
+
+  describe('safeUrl', function() {
+    var URL_STARTS = ['', 'javascript:', 'JAVASCRIPT:', ' java\nscript:',
+      '\x01javascript:', 'jav&#x09;ascript:', '&#106;avascript:',
+      '&#x6A;avascript:', '&#0000106avascript:', 'javascript&colon;',
+      'vbscript:', 'data:', 'http://', 'https://', 'mailto:', '//', '/', '?',
+      '#', 'x:', 'ht\ttp:'];
+    var urls = fuzz.inputs(function(rand) {
+      return rand.pick(URL_STARTS) + rand.string(4);
+    });
+
+    it('only navigates to allowed schemes', function() {
+      forEachInput(urls, function(input) {
+        var output = secureFilters.safeUrl(input);
+        var a = parseElement('<a href="' + output + '"></a>');
+        assertSafeUrl(attrsOf(a).href);
+      });
+    });
+  });
+
+  describe('css', function() {
+    it('stays in strings in a style element', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.css(input);
+        var css = 'p { content: "' + output + '"; quotes: \'' + output + '\' }';
+        var style = parseElement('<style>' + css + '</style>');
+        assert.strictEqual(textOf(style), css);
+        assert.deepEqual(cssStrings(css),
+          [cssExpected(input), cssExpected(input)]);
+      });
+    });
+  });
+
+  describe('style', function() {
+    it('stays in strings in a style attribute', function() {
+      forEachInput(strings, function(input) {
+        var output = secureFilters.style(input);
+        var p = parseElement('<p style="content: \'' + output + '\'"></p>');
+        assert.deepEqual(cssStrings(attrsOf(p).style), [cssExpected(input)]);
+      });
+    });
+  });
+
+  describe('cssValue and cssDeclarations', function() {
+    var PROPERTIES = ['color', 'background-color', 'width', 'margin',
+      'font-family', 'display', 'behavior', 'x'];
+    var values = fuzz.inputs(function(rand) {
+      return rand.cssValue();
+    });
+
+    it('cssValue stays one value in a style attribute', function() {
+      forEachInput(values, function(input) {
+        PROPERTIES.forEach(function(property) {
+          var output = secureFilters.cssValue(input, property);
+          var p = parseElement('<p style="' + property + ': ' + output + '"></p>');
+          var tokens = cssTokens(attrsOf(p).style);
+          assertCssValueTokens(tokens.slice(3), output);
+        });
+      });
+    });
+
+    it('cssDeclarations stays declarations in a style attribute', function() {
+      var objects = fuzz.inputs(function(rand) {
+        var obj = {};
+        for (var i = rand.below(4); i > 0; i--) {
+          obj[rand.next() < 0.8 ? rand.pick(PROPERTIES) : rand.string(3)] =
+            rand.cssValue();
+        }
+        return obj;
+      });
+      forEachInput(objects, function(obj) {
+        var output = secureFilters.cssDeclarations(obj);
+        var p = parseElement('<p style="' + output + '"></p>');
+        var style = attrsOf(p).style || '';
+        style.split(';').forEach(function(declaration) {
+          if (!declaration) {
+            return;
+          }
+          var tokens = cssTokens(declaration).filter(function(token) {
+            return token[0] !== 'whitespace-token';
+          });
+          assert.equal(tokens[0][0], 'ident-token', declaration);
+          assert(obj.hasOwnProperty(tokens[0][4].value), declaration);
+          assert.equal(tokens[1][0], 'colon-token', declaration);
+          assertCssValueTokens(tokens.slice(2), declaration);
+        });
+      });
+    });
+  });
+
+  describe('attrs', function() {
+    var NAMES = ['title', 'class', 'data-x', 'href', 'src', 'action',
+      'onclick', 'ONERROR', 'style', 'srcdoc', 'checked', 'disabled', 'a b',
+      'x"', 'x>', '<p', '/', '=', 'Href'];
+    var TRUSTED = [
+      secureFilters.trusted.js('go()'),
+      secureFilters.trusted.html('<b>hi</b>'),
+      secureFilters.trusted.url('javascript:ok()')
+    ];
+    var objects = fuzz.inputs(function(rand) {
+      var obj = {};
+      for (var i = rand.below(5); i > 0; i--) {
+        var kind = rand.below(8);
+        obj[rand.next() < 0.8 ? rand.pick(NAMES) : rand.string(3)] =
+          kind < 4 ? rand.string() :
+          kind < 6 ? rand.pick([true, false, null, 0, 42]) :
+          rand.pick(TRUSTED);
+      }
+      return obj;
+    });
+
+    it('only adds the attributes given, and only safe ones', function() {
+      forEachInput(objects, function(obj) {
+        var output = secureFilters.attrs(obj);
+        var p = parseElement('<p ' + output + '>x</p>');
+        assert.strictEqual(textOf(p), 'x');
+
+        // Parsers keep the first of attributes that differ only in case.
+        var given = {};
+        Object.keys(obj).forEach(function(name) {
+          if (!given.hasOwnProperty(name.toLowerCase())) {
+            given[name.toLowerCase()] = obj[name];
+          }
+        });
+        p.attrs.forEach(function(attr) {
+          assert(given.hasOwnProperty(attr.name), 'unexpected ' + attr.name);
+          var val = given[attr.name];
+          if (/^on/.test(attr.name)) {
+            assert(secureFilters.isTrusted(val, 'js'), attr.name);
+          } else if (attr.name === 'srcdoc') {
+            assert(secureFilters.isTrusted(val, 'html'), attr.name);
+          } else if (/^(?:href|src|action)$/.test(attr.name)) {
+            if (!secureFilters.isTrusted(val, 'url')) {
+              assertSafeUrl(attr.value);
+            }
+          } else if (/^(?:title|class|data-x)$/.test(attr.name) &&
+                     typeof val === 'string') {
+            assert.strictEqual(attr.value, htmlExpected(val));
+          }
+        });
+      });
+    });
+  });
+});
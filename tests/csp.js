@@ -0,0 +1,192 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+
+var NONCE = 'rAnd0m+/nonce==';
+
+describe('Content-Security-Policy helpers', function() {
+  describe('createNonce', function() {
+    it('makes a new base64 nonce each time', function() {
+      var nonce = secureFilters.createNonce();
+      assert(/^[A-Za-z0-9+\/]{22}==$/.test(nonce), nonce);
+      assert.notEqual(secureFilters.createNonce(), nonce);
+      assert.equal(new Buffer(secureFilters.createNonce(32), 'base64').length,
+        32);
+    });
+  });
+
+  describe('scriptTag', function() {
+    it('wraps code in a script element with the nonce', function() {
+      var tag = secureFilters.scriptTag('var a = ' +
+        secureFilters.jsObj({x: '</script>'}) + ';', NONCE);
+      assert(secureFilters.isTrusted(tag, 'html'));
+      assert.equal(String(tag), '<script nonce="' + NONCE + '">var a = ' +
+        '{"x":"\\x3C\\x2Fscript\\x3E"};</script>');
+      assert.equal(String(secureFilters.scriptTag('go()')),
+        '<script>go()</script>');
+    });
+
+    it('refuses code that would end the element', function() {
+      ['</script>', '</SCRIPT ', '<!--', '<script>'].forEach(function(code) {
+        assert.throws(function() {
+          secureFilters.scriptTag('a = "' + code + '";', NONCE);
+        }, /cannot put "<\/script", "<script" or "<!--" in an inline script/);
+      });
+    });
+
+    it('refuses nonces that are not base64', function() {
+      assert.throws(function() {
+        secureFilters.scriptTag('go()', '"><script>');
+      }, /nonces must be base64-encoded/);
+    });
+  });
+
+  describe('styleTag', function() {
+    it('wraps CSS in a style element with the nonce', function() {
+      assert.equal(String(secureFilters.styleTag('p { color: red }', NONCE)),
+        '<style nonce="' + NONCE + '">p { color: red }</style>');
+    });
+
+    it('refuses CSS that would end the element', function() {
+      assert.throws(function() {
+        secureFilters.styleTag('p {} </style><script>', NONCE);
+      }, /cannot put "<\/style" in an inline style/);
+    });
+  });
+
+  describe('jsonScript', function() {
+    var DATA = {
+      name: '</script><script>alert(1)</script>',
+      comment: '<!-- ]]> \u2028 & \'',
+      list: [1, 2.5, null, true]
+    };
+
+    it('embeds data that parses back as JSON', function() {
+      var html = String(secureFilters.jsonScript('config', DATA));
+      var match = /^<script type="application\/json" id="config">(.*)<\/script>$/
+        .exec(html);
+      assert(match, html);
+      assert(!/[<>&]/.test(match[1]), match[1]);
+      assert.deepEqual(JSON.parse(match[1]), DATA);
+    });
+
+    it('encodes the id', function() {
+      assert.equal(String(secureFilters.jsonScript('a"b', 1)),
+        '<script type="application/json" id="a&quot;b">1</script>');
+      assert.equal(String(secureFilters.jsonScript(null, 'x')),
+        '<script type="application/json">"x"</script>');
+    });
+
+    it('keeps escaped backslashes', function() {
+      var html = String(secureFilters.jsonScript(null, '\\x41'));
+      assert.equal(JSON.parse(/>(.*)</.exec(html)[1]), '\\x41');
+    });
+  });
+
+  describe('cspHeader', function() {
+    it('builds a strict policy by default', function() {
+      assert.equal(secureFilters.cspHeader(NONCE),
+        'script-src \'nonce-' + NONCE + '\' \'strict-dynamic\'; ' +
+        'style-src \'nonce-' + NONCE + '\' \'self\'; ' +
+        'object-src \'none\'; base-uri \'none\'');
+    });
+
+    it('adds, replaces and removes directives', function() {
+      assert.equal(secureFilters.cspHeader(NONCE, {
+        'style-src': [],
+        'base-uri': false,
+        'img-src': ['\'self\'', 'https://img.example.com'],
+        'report-uri': '/csp-report'
+      }),
+        'script-src \'nonce-' + NONCE + '\' \'strict-dynamic\'; ' +
+        'style-src \'nonce-' + NONCE + '\'; object-src \'none\'; ' +
+        'img-src \'self\' https://img.example.com; report-uri /csp-report');
+    });
+
+    it('refuses sources that would change the policy', function() {
+      ['a;b', 'a b', 'a,b', 'a\nb', ''].forEach(function(source) {
+        assert.throws(function() {
+          secureFilters.cspHeader(NONCE, {'img-src': source});
+        }, /in a Content-Security-Policy/);
+      });
+      assert.throws(function() {
+        secureFilters.cspHeader('x; script-src *');
+      }, /nonces must be base64-encoded/);
+    });
+  });
+
+  describe('cspNonce', function() {
+    function run(middleware, res) {
+      var headers = {};
+      res.setHeader = function(name, value) {
+        headers[name] = value;
+      };
+      var called = false;
+      middleware({}, res, function() {
+        called = true;
+      });
+      assert(called);
+      return headers;
+    }
+
+    it('stores a nonce in res.locals and sets the header', function() {
+      var res = {locals: {user: 'x'}};
+      var headers = run(secureFilters.cspNonce(), res);
+      assert.equal(res.locals.user, 'x');
+      assert.equal(headers['Content-Security-Policy'],
+        secureFilters.cspHeader(res.locals.nonce));
+
+      var next = {};
+      run(secureFilters.cspNonce(), next);
+      assert.notEqual(next.locals.nonce, res.locals.nonce);
+    });
+
+    it('takes options', function() {
+      var res = {};
+      var headers = run(secureFilters.cspNonce({
+        reportOnly: true,
+        local: 'cspNonce',
+        directives: {'object-src': false}
+      }), res);
+      assert.deepEqual(Object.keys(headers),
+        ['Content-Security-Policy-Report-Only']);
+      assert.equal(headers['Content-Security-Policy-Report-Only'],
+        secureFilters.cspHeader(res.locals.cspNonce, {'object-src': false}));
+
+      headers = run(secureFilters.cspNonce({header: false}), res);
+      assert.deepEqual(headers, {});
+      assert(res.locals.nonce);
+    });
+  });
+});
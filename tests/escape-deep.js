@@ -0,0 +1,273 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var escapeDeep = secureFilters.escapeDeep;
+
+var EVIL = '<b onclick="x(\'y\')">';
+
+function model() {
+  return {
+    title: EVIL,
+    onClick: EVIL,
+    link: EVIL,
+    theme: EVIL,
+    count: 3,
+    visible: true,
+    missing: null,
+    author: {name: EVIL, homepage: 'javascript:alert(1)'},
+    tags: [EVIL, EVIL],
+    comments: [{body: EVIL, by: EVIL}]
+  };
+}
+
+var SCHEMA = {
+  title: 'html',
+  onClick: 'jsAttr',
+  link: 'uri',
+  theme: 'css',
+  author: {homepage: 'safeUrl'},
+  tags: 'uri',
+  comments: {by: 'js'}
+};
+
+function expected() {
+  return {
+    title: secureFilters.html(EVIL),
+    onClick: secureFilters.jsAttr(EVIL),
+    link: secureFilters.uri(EVIL),
+    theme: secureFilters.css(EVIL),
+    count: 3,
+    visible: true,
+    missing: null,
+    author: {
+      name: secureFilters.html(EVIL),
+      homepage: secureFilters.safeUrl('javascript:alert(1)')
+    },
+    tags: [secureFilters.uri(EVIL), secureFilters.uri(EVIL)],
+    comments: [{body: secureFilters.html(EVIL), by: secureFilters.js(EVIL)}]
+  };
+}
+
+describe('escapeDeep', function() {
+  it('encodes each string with the filter the schema names', function() {
+    assert.deepEqual(escapeDeep(model(), SCHEMA), expected());
+  });
+
+  it('returns a copy', function() {
+    var original = model();
+    escapeDeep(original, SCHEMA);
+    assert.deepEqual(original, model());
+  });
+
+  it('encodes everything with html by default', function() {
+    assert.deepEqual(escapeDeep({a: [EVIL, {b: EVIL}]}),
+      {a: [secureFilters.html(EVIL), {b: secureFilters.html(EVIL)}]});
+    assert.equal(escapeDeep(EVIL), secureFilters.html(EVIL));
+    assert.equal(escapeDeep(EVIL, 'js'), secureFilters.js(EVIL));
+  });
+
+  it('doesn\'t take schema properties from Object.prototype', function() {
+    assert.deepEqual(escapeDeep({constructor: EVIL}, {}),
+      {constructor: secureFilters.html(EVIL)});
+  });
+
+  it('passes whole objects to jsObj, attrs and cssDeclarations', function() {
+    var data = {list: [EVIL], n: 1};
+    var result = escapeDeep({data: data, attrs: {title: EVIL}, css: {color: 'red'}},
+      {data: 'jsObj', attrs: 'attrs', css: 'cssDeclarations'});
+    assert.deepEqual(result, {
+      data: secureFilters.jsObj(data),
+      attrs: secureFilters.attrs({title: EVIL}),
+      css: secureFilters.cssDeclarations({color: 'red'})
+    });
+  });
+
+  it('encodes trusted values and other objects as leaves', function() {
+    var date = new Date(0);
+    var result = escapeDeep({
+      safe: secureFilters.trusted.html('<i>ok</i>'),
+      date: date,
+      fn: escapeDeep
+    });
+    assert.deepEqual(result, {
+      safe: '<i>ok</i>',
+      date: secureFilters.html(date),
+      fn: escapeDeep
+    });
+  });
+
+  it('copies __proto__ as an own property', function() {
+    var result = escapeDeep(JSON.parse('{"__proto__": {"polluted": "<"}}'));
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    assert.deepEqual(Object.keys(result), ['__proto__']);
+    assert.strictEqual({}.polluted, undefined);
+  });
+
+  it('uses the filters of a created set', function() {
+    var filters = secureFilters.create({entities: 'hex'});
+    assert.deepEqual(escapeDeep({a: '<'}, null, {filters: filters}),
+      {a: '&#x3C;'});
+  });
+
+  it('refuses circular references', function() {
+    var obj = {list: [{}]};
+    obj.list[0].parent = obj;
+    assert.throws(function() {
+      escapeDeep(obj);
+    }, /found a circular reference at list\[0\]\.parent/);
+  });
+
+  it('allows repeated references', function() {
+    var shared = {a: '<'};
+    assert.deepEqual(escapeDeep({x: shared, y: [shared]}),
+      {x: {a: '&lt;'}, y: [{a: '&lt;'}]});
+  });
+
+  it('refuses objects nested too deeply', function() {
+    var deep = {};
+    var obj = deep;
+    for (var i = 0; i < 100; i++) {
+      obj = obj.next = {};
+    }
+    assert.throws(function() {
+      escapeDeep(deep);
+    }, /went deeper than 100 levels at next\.next/);
+    escapeDeep(deep, null, {maxDepth: 101});
+    assert.throws(function() {
+      escapeDeep({a: {b: {}}}, null, {maxDepth: 2});
+    }, /went deeper than 2 levels at a\.b/);
+  });
+
+  it('refuses unknown filters and bad schemas', function() {
+    assert.throws(function() {
+      escapeDeep({}, {a: {b: 'htlm'}});
+    }, /has no filter named "htlm" \(at a\.b\)/);
+    assert.throws(function() {
+      escapeDeep({}, {a: 'configure'});
+    }, /has no filter named "configure"/);
+    assert.throws(function() {
+      escapeDeep({}, {a: 42});
+    }, /schemas must be filter names or objects \(at a\)/);
+  });
+});
+
+describe('escapeDeep.lazy', function() {
+  it('encodes each string with the filter the schema names', function() {
+    var view = escapeDeep.lazy(model(), SCHEMA);
+    assert.equal(view.title, secureFilters.html(EVIL));
+    assert.equal(view.comments[0].by, secureFilters.js(EVIL));
+    assert.deepEqual(JSON.parse(JSON.stringify(view)), expected());
+  });
+
+  it('looks like the model', function() {
+    var view = escapeDeep.lazy(model(), SCHEMA);
+    assert.deepEqual(Object.keys(view), Object.keys(model()));
+    assert(Array.isArray(view.tags));
+    assert.equal(view.tags.length, 2);
+    assert('title' in view);
+    assert(!('nope' in view));
+    assert.deepEqual(view.tags.map(function(tag) {
+      return tag.length;
+    }), [secureFilters.uri(EVIL).length, secureFilters.uri(EVIL).length]);
+  });
+
+  it('only encodes values that are read', function() {
+    var calls = [];
+    var filters = {
+      html: function(val) {
+        calls.push(val);
+        return secureFilters.html(val);
+      }
+    };
+    var view = escapeDeep.lazy({a: '<a>', b: {c: '<c>'}}, null,
+      {filters: filters});
+    assert.deepEqual(calls, []);
+    assert.equal(view.b.c, '&lt;c&gt;');
+    assert.deepEqual(calls, ['<c>']);
+  });
+
+  it('gives the same view of an object each time', function() {
+    var view = escapeDeep.lazy(model());
+    assert.strictEqual(view.author, view.author);
+    assert.strictEqual(view.tags, view.tags);
+  });
+
+  it('sees changes to the model', function() {
+    var obj = {a: {b: '<'}};
+    var view = escapeDeep.lazy(obj);
+    assert.equal(view.a.b, '&lt;');
+    obj.a = {b: '>'};
+    assert.equal(view.a.b, '&gt;');
+  });
+
+  it('is read-only', function() {
+    var view = escapeDeep.lazy({a: '<', list: []});
+    assert.throws(function() {
+      view.a = 'x';
+    }, TypeError);
+    assert.throws(function() {
+      delete view.a;
+    }, TypeError);
+    assert.throws(function() {
+      view.list.push('x');
+    }, TypeError);
+    assert.equal(view.a, '&lt;');
+  });
+
+  it('works for frozen models', function() {
+    var view = escapeDeep.lazy(Object.freeze({list: Object.freeze(['<'])}));
+    assert.deepEqual(Object.keys(view.list), ['0']);
+    assert.equal(JSON.stringify(view), '{"list":["&lt;"]}');
+  });
+
+  it('allows circular references', function() {
+    var obj = {a: '<'};
+    obj.self = obj;
+    assert.equal(escapeDeep.lazy(obj).self.self.a, '&lt;');
+  });
+
+  it('refuses objects nested too deeply when they\'re read', function() {
+    var view = escapeDeep.lazy({a: {b: {}}}, null, {maxDepth: 2});
+    assert.equal(typeof view.a, 'object');
+    assert.throws(function() {
+      return view.a.b;
+    }, /went deeper than 2 levels at a\.b/);
+  });
+
+  it('refuses unknown filters', function() {
+    assert.throws(function() {
+      escapeDeep.lazy({}, {a: 'nope'});
+    }, /has no filter named "nope"/);
+  });
+});
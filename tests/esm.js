@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+/*global Promise */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var buildEsm = require('../scripts/build-esm');
+var node = require('./support/node');
+
+// `import()` and the `exports` map need node.js 14 or later; before that the
+// suite is skipped.  import() is kept out of this file's syntax so that older
+// versions can still load it.
+var SUPPORTED = node.since(14);
+var acorn = SUPPORTED && require('acorn');
+var dynamicImport = SUPPORTED &&
+  new Function('specifier', 'return import(specifier);'); // jshint ignore:line
+
+/**
+ * Loads an ES module entry, for comparing with the CommonJS one.
+ */
+function load(file, callback) {
+  var href = url.pathToFileURL(path.join(__dirname, '..', file)).href;
+  dynamicImport(href).then(function(esm) {
+    callback(null, esm);
+  }, callback);
+}
+
+/**
+ * Checks the ES module exports exactly these properties of the CommonJS
+ * module.
+ */
+function checkExports(esm, cjs, expected) {
+  assert.strictEqual(esm['default'], cjs);
+  var names = Object.keys(esm).filter(function(name) {
+    return name !== 'default';
+  }).sort();
+  assert.deepEqual(names, expected.sort());
+  names.forEach(function(name) {
+    assert.strictEqual(esm[name], cjs[name], name);
+  });
+}
+
+node.describeSince(14)('ES modules', function() {
+  it('index.mjs exports everything in index.js', function(done) {
+    load('index.mjs', function(err, esm) {
+      if (err) {
+        return done(err);
+      }
+      var cjs = require('../index');
+      checkExports(esm, cjs, Object.keys(cjs).filter(function(name) {
+        return name !== 'constructor';
+      }));
+      assert.equal(esm.html('<b>'), '&lt;b&gt;');
+      done();
+    });
+  });
+
+  it('lib/secure-filters.node.mjs exports the filters alone', function(done) {
+    load('lib/secure-filters.node.mjs', function(err, esm) {
+      if (err) {
+        return done(err);
+      }
+      var cjs = require('../lib/secure-filters');
+      checkExports(esm, cjs, Object.keys(cjs.create()).concat('create'));
+      assert(!('safeHtml' in esm));
+      done();
+    });
+  });
+
+  it('lib/secure-filters.mjs is built from lib/secure-filters.js', function() {
+    assert(fs.existsSync(buildEsm.TARGET),
+      'lib/secure-filters.mjs is missing; run `npm run build`');
+    var built = fs.readFileSync(buildEsm.TARGET, 'utf8');
+    assert(built === buildEsm.build(fs.readFileSync(buildEsm.SOURCE, 'utf8')),
+      'lib/secure-filters.mjs is out of date; run `npm run build`');
+  });
+
+  it('lib/secure-filters.mjs imports nothing', function() {
+    var ast = acorn.parse(fs.readFileSync(buildEsm.TARGET, 'utf8'),
+      {ecmaVersion: 2020, sourceType: 'module'});
+    ast.body.forEach(function(node) {
+      assert.notEqual(node.type, 'ImportDeclaration');
+    });
+    assert(!/\b(?:require|module|define)\b/.test(
+      fs.readFileSync(buildEsm.TARGET, 'utf8').replace(/\/\*[\s\S]*?\*\//g, '')));
+  });
+
+  it('imports a filter by name from lib/secure-filters.mjs', function(done) {
+    var href = url.pathToFileURL(buildEsm.TARGET).href;
+    var source = 'import { html } from ' + JSON.stringify(href) + ';\n' +
+      'export default html;';
+    dynamicImport('data:text/javascript,' + encodeURIComponent(source))
+      .then(function(esm) {
+        assert.equal(esm['default']('<b>'), '&lt;b&gt;');
+        done();
+      }, done);
+  });
+
+  it('lib/secure-filters.mjs has the same filters as lib/secure-filters.js',
+     function(done) {
+    load('lib/secure-filters.mjs', function(err, esm) {
+      if (err) {
+        return done(err);
+      }
+      var cjs = require('../lib/secure-filters');
+      var names = Object.keys(cjs.create()).concat('create');
+      assert.deepEqual(Object.keys(esm).sort(),
+        names.concat('default').sort());
+      assert.notStrictEqual(esm['default'], cjs);
+      assert(!('safeHtml' in esm['default']));
+      assert.equal(esm.jsObj({a: '</script>'}), cjs.jsObj({a: '</script>'}));
+      assert.equal(esm.html(esm.trusted.html('<b>')), '<b>');
+      done();
+    });
+  });
+
+  describe('deep imports', function() {
+    it('require()s files by path', function() {
+      assert.strictEqual(require('secure-filters/index.js'),
+        require('../index'));
+      assert.strictEqual(require('secure-filters/lib/secure-filters.js'),
+        require('../lib/secure-filters'));
+      assert.strictEqual(require('secure-filters/lib/secure-filters'),
+        require('../lib/secure-filters'));
+      assert.strictEqual(require('secure-filters/package.json').name,
+        'secure-filters');
+    });
+
+    it('imports ES modules by path', function(done) {
+      Promise.all([
+        dynamicImport('secure-filters/lib/secure-filters.mjs'),
+        dynamicImport('secure-filters/lib/secure-filters.node.mjs'),
+        dynamicImport('secure-filters/index.mjs')
+      ]).then(function(esms) {
+        assert.equal(esms[0].html('<b>'), '&lt;b&gt;');
+        assert.notStrictEqual(esms[0]['default'], require('../lib/secure-filters'));
+        assert.strictEqual(esms[1]['default'], require('../lib/secure-filters'));
+        assert.strictEqual(esms[2]['default'], require('../index'));
+        done();
+      }, done);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+
+var TEXT = '<p class="x">caf\u00E9 \u2603 \uD83D\uDE00 \'a\' & "b"\u0000</p>\n';
+
+var STREAMS = {
+  html: 'createHtmlStream',
+  js: 'createJsStream',
+  css: 'createCssStream',
+  uri: 'createUriStream'
+};
+
+/**
+ * Writes the chunks to a stream and collects everything it outputs.
+ */
+function pipeChunks(stream, chunks, callback) {
+  var output = '';
+  stream.setEncoding('utf8');
+  stream.on('data', function(data) {
+    output += data;
+  });
+  stream.on('end', function() {
+    callback(output);
+  });
+  chunks.forEach(function(chunk) {
+    stream.write(chunk);
+  });
+  stream.end();
+}
+
+/**
+ * Splits a string or Buffer into chunks of the given size.
+ */
+function split(data, size) {
+  var chunks = [];
+  for (var i = 0; i < data.length; i += size) {
+    chunks.push(data.slice(i, i + size));
+  }
+  return chunks;
+}
+
+describe('filter streams', function() {
+  Object.keys(STREAMS).forEach(function(filterName) {
+    var create = secureFilters[STREAMS[filterName]];
+    var expected = secureFilters[filterName](TEXT);
+
+    describe(STREAMS[filterName], function() {
+      [1, 2, 3, 7].forEach(function(size) {
+        it('matches ' + filterName + '() for strings in chunks of ' + size, function(done) {
+          pipeChunks(create(), split(TEXT, size), function(output) {
+            assert.strictEqual(output, expected);
+            done();
+          });
+        });
+
+        it('matches ' + filterName + '() for UTF-8 in chunks of ' + size, function(done) {
+          pipeChunks(create(), split(new Buffer(TEXT, 'utf8'), size), function(output) {
+            assert.strictEqual(output, expected);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('replaces an unpaired surrogate at the end', function(done) {
+    pipeChunks(secureFilters.createJsStream(), ['a', '\uD83D'], function(output) {
+      assert.strictEqual(output, 'a\\uFFFD');
+      done();
+    });
+  });
+
+  it('replaces incomplete UTF-8 at the end', function(done) {
+    var bytes = new Buffer('a\u2603', 'utf8').slice(0, 3);
+    pipeChunks(secureFilters.createHtmlStream(), [bytes], function(output) {
+      assert.strictEqual(output, secureFilters.html(bytes.toString('utf8')));
+      done();
+    });
+  });
+
+  it('outputs nothing for no input', function(done) {
+    pipeChunks(secureFilters.createCssStream(), [], function(output) {
+      assert.strictEqual(output, '');
+      done();
+    });
+  });
+
+  it('uses the filters option', function(done) {
+    var filters = secureFilters.create({entities: 'hex'});
+    pipeChunks(secureFilters.createHtmlStream({filters: filters}), split('<\u00E9>', 1),
+      function(output) {
+        assert.strictEqual(output, '&#x3C;\u00E9&#x3E;');
+        done();
+      });
+  });
+
+  it('works with any filter', function(done) {
+    var stream = new secureFilters.FilterStream(secureFilters.style);
+    pipeChunks(stream, ['<a', 'b>'], function(output) {
+      assert.strictEqual(output, secureFilters.style('<ab>'));
+      done();
+    });
+  });
+});
@@ -0,0 +1,312 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+// Checks properties of each filter's output for random and adversarial
+// input: the syntax characters of its context only appear encoded, and the
+// encoding decodes back to the input.  tests/conformance.js checks the
+// output with real HTML, JavaScript and CSS parsers.
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var fuzz = require('./support/fuzz');
+
+var forEachInput = fuzz.forEachInput;
+var wellFormed = fuzz.wellFormed;
+
+var LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF]/;
+var HTML_REF = /&(?:#[0-9]+|#x[0-9A-Fa-f]+|[A-Za-z][A-Za-z0-9]*);/g;
+var HTML_UNSAFE = /[\x00-\x08\x0E-\x1F\x7F-\x9F"&'\/<=>`]/;
+var HTML_CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+var JS_ESCAPE = /\\(?:x[0-9A-F]{2}|u[0-9A-F]{4})/g;
+var JS_UNSAFE = /[\x00-\x1F\x7F-\x9F"$&'\/<=>\\`{}\u2028\u2029]/;
+var JSON_UNSAFE = /[\x00-\x1F\x7F-\x9F$&'\/<=>`\u2028\u2029]|\]\]>/;
+var URI_ENCODED = /^(?:[A-Za-z0-9\-_.]|%[0-9A-F]{2})*$/;
+var CSS_ESCAPE = /\\[0-9a-f]{1,6} /g;
+var XML_REF = /&(?:#[0-9]+|#x[0-9A-F]+|quot|amp|apos|lt|gt);/g;
+var XML_INVALID = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/;
+var CSV_FORMULA = /^[=+\-@\t\r\uFF1D\uFF0B\uFF0D\uFF20]/;
+var CSV_NUMBER = /^[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?$/;
+var LDAP_FILTER_ESCAPE = /\\[0-9a-f]{2}/g;
+var LDAP_DN_SPECIAL = /[\\"+,;<>=\x00]/;
+
+/**
+ * Asserts that the only syntax in a string is the given escapes.
+ */
+function assertOnly(str, escapes, unsafe) {
+  var rest = str.replace(escapes, '');
+  var bad = unsafe.exec(rest);
+  assert(!bad, 'unescaped ' + JSON.stringify(bad && bad[0]) + ' in ' +
+    JSON.stringify(str));
+}
+
+function assertWellFormed(str) {
+  assert(!LONE_SURROGATE.test(str), 'unpaired surrogate in ' +
+    JSON.stringify(str));
+}
+
+/**
+ * Asserts that DN syntax only appears escaped, reading the escapes in order.
+ */
+function assertDnEscaped(str) {
+  for (var i = 0; i < str.length; i++) {
+    var ch = str.charAt(i);
+    if (ch === '\\') {
+      i += str.substr(i + 1, 2) === '00' ? 2 : 1;
+      continue;
+    }
+    assert(!LDAP_DN_SPECIAL.test(ch) &&
+      !(i === 0 && (ch === ' ' || ch === '#')) &&
+      !(i === str.length - 1 && ch === ' '),
+      'unescaped ' + JSON.stringify(ch) + ' in ' + JSON.stringify(str));
+  }
+}
+
+function htmlExpected(str) {
+  return wellFormed(str).replace(HTML_CONTROL, ' ');
+}
+
+describe('fuzzing', function() {
+  var strings = fuzz.inputs();
+  var values = fuzz.inputs(function(rand) {
+    return rand.value();
+  });
+
+  it('every string filter outputs well-formed strings', function() {
+    var names = ['html', 'js', 'jsAttr', 'jsTemplate', 'jsRegex',
+      'jsIdentifier', 'uri', 'safeUrl', 'css', 'style', 'cssValue', 'xml',
+      'xmlAttr', 'cdata', 'csvCell', 'ldapFilter', 'ldapDn'];
+    forEachInput(strings, function(input) {
+      names.forEach(function(name) {
+        var output = secureFilters[name](input);
+        assert.equal(typeof output, 'string', name);
+        assertWellFormed(output);
+      });
+    });
+  });
+
+  it('html only outputs markup as character references', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.html(input);
+      assertOnly(output, HTML_REF, HTML_UNSAFE);
+      assert.strictEqual(secureFilters.decode.html(output), htmlExpected(input));
+    });
+  });
+
+  it('html does the same with any entity style', function() {
+    ['named', 'decimal', 'hex'].forEach(function(entities) {
+      var filters = secureFilters.create({entities: entities, asciiOnly: true});
+      forEachInput(strings, function(input) {
+        var output = filters.html(input);
+        assertOnly(output, HTML_REF, HTML_UNSAFE);
+        assert(/^[\x00-\x7F]*$/.test(output), 'not ASCII: ' + output);
+        assert.strictEqual(filters.decode.html(output), htmlExpected(input));
+      });
+    });
+  });
+
+  it('js only outputs syntax and line terminators as escapes', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.js(input);
+      assertOnly(output, JS_ESCAPE, JS_UNSAFE);
+      assert.strictEqual(secureFilters.decode.js(output), wellFormed(input));
+    });
+  });
+
+  it('jsAttr is js, then html', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.jsAttr(input);
+      assertOnly(output, HTML_REF, HTML_UNSAFE);
+      assertOnly(secureFilters.decode.html(output), JS_ESCAPE, JS_UNSAFE);
+    });
+  });
+
+  it('jsTemplate only outputs syntax and line terminators as escapes', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.jsTemplate(input);
+      assertOnly(output, JS_ESCAPE, JS_UNSAFE);
+      assert.strictEqual(secureFilters.decode.jsTemplate(output), wellFormed(input));
+    });
+  });
+
+  it('jsRegex only outputs letters, digits, "_" and escapes', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.jsRegex(input);
+      if (input !== '') {
+        assertOnly(output, JS_ESCAPE, /[^0-9A-Za-z_]/);
+      }
+      assert.strictEqual(secureFilters.decode.jsRegex(output), wellFormed(input));
+    });
+  });
+
+  it('jsIdentifier only outputs identifiers', function() {
+    forEachInput(strings, function(input) {
+      assert(/^[A-Za-z_$][0-9A-Za-z_$]*$/.test(secureFilters.jsIdentifier(input)));
+    });
+  });
+
+  it('json and jsObj can\'t end a script or CDATA section', function() {
+    forEachInput(values, function(value) {
+      var json = JSON.stringify(value);
+      assertOnly(secureFilters.json(json), /(?:)/g, JSON_UNSAFE);
+      assertOnly(secureFilters.jsObj(value), /(?:)/g, JSON_UNSAFE);
+      // Before node.js 12, JSON.stringify() leaves unpaired surrogates as-is.
+      assert.strictEqual(secureFilters.decode.json(secureFilters.json(json)),
+        wellFormed(json));
+    });
+  });
+
+  it('uri only outputs unreserved characters and percent-escapes', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.uri(input);
+      assert(URI_ENCODED.test(output), output);
+      assert.strictEqual(decodeURIComponent(output), wellFormed(input));
+    });
+  });
+
+  it('safeUrl is html, or INVALID', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.safeUrl(input);
+      assertOnly(output, HTML_REF, HTML_UNSAFE);
+    });
+  });
+
+  it('css only outputs letters, digits and escapes', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.css(input);
+      assertOnly(output, CSS_ESCAPE, /[^A-Za-z0-9]/);
+      assert.strictEqual(secureFilters.decode.css(output),
+        wellFormed(input).replace(/\x00/g, '\uFFFD'));
+    });
+  });
+
+  it('style is css, then html', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.style(input);
+      assertOnly(output, HTML_REF, HTML_UNSAFE);
+      assertOnly(secureFilters.decode.html(output), CSS_ESCAPE, /[^A-Za-z0-9]/);
+    });
+  });
+
+  it('cssValue outputs no CSS or HTML syntax', function() {
+    var cssInputs = fuzz.inputs(function(rand) {
+      return rand.cssValue();
+    });
+    forEachInput(cssInputs, function(input) {
+      ['color', 'width', 'font-family', 'display', undefined].forEach(function(prop) {
+        var output = secureFilters.cssValue(input, prop);
+        assert(!/[;{}<>"'\\`&!@]|\/\*|url\(|expression/i.test(output),
+          JSON.stringify(output) + ' for ' + prop);
+      });
+    });
+  });
+
+  it('xml and xmlAttr only output markup as character references', function() {
+    forEachInput(strings, function(input) {
+      var xml = secureFilters.xml(input);
+      var xmlAttr = secureFilters.xmlAttr(input);
+      assertOnly(xml, XML_REF, /[<>&"'\r]/);
+      assertOnly(xmlAttr, XML_REF, /[<>&"'\t\n\r]/);
+      assert(!XML_INVALID.test(xml) && !XML_INVALID.test(xmlAttr));
+    });
+  });
+
+  it('cdata never ends a section early', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.cdata(input);
+      assert(/^<!\[CDATA\[[\s\S]*\]\]>$/.test(output), output);
+      var sections = output.slice(9, -3).split(']]><![CDATA[');
+      sections.forEach(function(section) {
+        assert.equal(section.indexOf(']]>'), -1, output);
+      });
+      assert(!XML_INVALID.test(output));
+    });
+  });
+
+  it('csvCell quotes the field and defuses formulas', function() {
+    forEachInput(strings, function(input) {
+      var output = secureFilters.csvCell(input);
+      assert(/^"(?:[^"]|"")*"$/.test(output), output);
+      var field = output.slice(1, -1).replace(/""/g, '"');
+      assert(!CSV_FORMULA.test(field) || CSV_NUMBER.test(field), field);
+      var formula = CSV_FORMULA.test(input) && !CSV_NUMBER.test(input);
+      assert.strictEqual(field, (formula ? '\'' : '') + wellFormed(input));
+    });
+  });
+
+  it('ldapFilter only outputs filter syntax as escapes', function() {
+    forEachInput(strings, function(input) {
+      assertOnly(secureFilters.ldapFilter(input), LDAP_FILTER_ESCAPE,
+        /[*()\\\x00]/);
+    });
+  });
+
+  it('ldapDn only outputs DN syntax as escapes', function() {
+    forEachInput(strings, function(input) {
+      assertDnEscaped(secureFilters.ldapDn(input));
+    });
+  });
+});
+
+describe('single-pass encoders', function() {
+  var reference = require('./support/reference');
+  var OPTIONS = [
+    {},
+    {asciiOnly: true},
+    {entities: 'named'},
+    {entities: 'decimal'},
+    {entities: 'hex', asciiOnly: true},
+    {allow: {html: ' :', js: ' #\u00E9\u4E2D', css: '-_\u00E9\u4E2D'}}
+  ];
+  var NAMES = ['html', 'js', 'jsAttr', 'uri', 'json', 'css', 'style', 'xml',
+    'xmlAttr'];
+  var strings = fuzz.inputs().concat(['\u4E2D\u00E9 a\uD83D\uDE00',
+    ']]\\x3E', '\uFFFE\uFFFF\uD800']);
+  var values = fuzz.inputs(function(rand) {
+    return rand.value();
+  });
+
+  OPTIONS.forEach(function(options) {
+    it('match the pattern-based ones for create(' + JSON.stringify(options) + ')',
+      function() {
+        var filters = secureFilters.create(options);
+        var expected = reference.create(options);
+        forEachInput(strings, function(input) {
+          NAMES.forEach(function(name) {
+            assert.strictEqual(filters[name](input), expected[name](input), name);
+          });
+        });
+        forEachInput(values, function(value) {
+          assert.strictEqual(filters.jsObj(value), expected.jsObj(value));
+        });
+      });
+  });
+});
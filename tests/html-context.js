@@ -0,0 +1,150 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var htmlContext = require('../lib/html-context');
+
+function contextAt(markup) {
+  return new htmlContext.HtmlContext().write(markup).context();
+}
+
+function chainAt(markup) {
+  return htmlContext.filterChain(contextAt(markup));
+}
+
+var CHAIN_CASES = [
+  { label: 'text', markup: '<p>Hello, ', chain: ['html'] },
+  { label: 'text after a comment', markup: '<!-- x --><p>', chain: ['html'] },
+  { label: 'double-quoted attribute', markup: '<div class="', chain: ['html'] },
+  { label: 'single-quoted attribute', markup: '<div class=\'a ', chain: ['html'] },
+  { label: 'unquoted attribute', markup: '<div class=', chain: ['html'] },
+  { label: '<title>', markup: '<title>', chain: ['html'] },
+  { label: '<textarea>', markup: '<textarea>a<b>', chain: ['html'] },
+  { label: 'text after </textarea>', markup: '<textarea></textarea >', chain: ['html'] },
+
+  { label: 'script code', markup: '<script>var x = ', chain: ['jsObj'] },
+  { label: 'script string', markup: '<script>var x = "a', chain: ['js'] },
+  { label: 'script single-quoted string', markup: '<script>var x = \'', chain: ['js'] },
+  { label: 'script after string', markup: '<script>var x = "a\\"b" + ', chain: ['jsObj'] },
+  { label: 'script template literal', markup: '<script>var x = `a', chain: ['jsTemplate'] },
+  { label: 'script template substitution', markup: '<script>`a${', chain: ['jsObj'] },
+  { label: 'script after template substitution', markup: '<script>`a${ {b:1}.b }', chain: ['jsTemplate'] },
+  { label: 'script after division', markup: '<script>var x = a / 2 + "', chain: ['js'] },
+  { label: 'script regex', markup: '<script>var re = /', chain: ['jsRegex'] },
+  { label: 'script regex after a character class', markup: '<script>/[/]', chain: ['jsRegex'] },
+  { label: 'script after regex', markup: '<script>var x = /"/g, y = ', chain: ['jsObj'] },
+  { label: 'script after line comment', markup: '<script>// "\nvar x = ', chain: ['jsObj'] },
+  { label: 'script after block comment', markup: '<script>/* " */ var x = ', chain: ['jsObj'] },
+  { label: 'script with "</script" in a string', markup: '<script>"</scripty>', chain: ['js'] },
+  { label: 'text after </script>', markup: '<script>var x = "</script><p>', chain: ['html'] },
+
+  { label: 'style', markup: '<style>p { color: ', chain: ['css'] },
+  { label: 'style string', markup: '<style>p { font-family: "', chain: ['css'] },
+
+  { label: 'event handler code', markup: '<a onclick="go(', chain: ['jsObj', 'html'] },
+  { label: 'event handler string', markup: '<a onclick="go(\'', chain: ['jsAttr'] },
+  { label: 'event handler template literal', markup: '<a onclick="go(`', chain: ['jsTemplate', 'html'] },
+  { label: 'event handler regex', markup: '<a onclick="x.match(/', chain: ['jsRegex', 'html'] },
+  { label: 'unquoted event handler', markup: '<a onclick=', chain: ['jsObj', 'html'] },
+  { label: 'style attribute', markup: '<p style="color: ', chain: ['style'] },
+  { label: 'URL attribute', markup: '<a href="', chain: ['safeUrl'] },
+  { label: 'URL attribute after whitespace', markup: '<a href=" ', chain: ['safeUrl'] },
+  { label: 'URL path', markup: '<a href="/user/', chain: ['uri'] },
+  { label: 'URL query', markup: '<img src="/a?b=', chain: ['uri'] },
+  { label: 'attribute after a URL attribute', markup: '<a href="/" title="', chain: ['html'] },
+  { label: 'object data', markup: '<object data="', chain: ['safeUrl'] },
+  { label: 'SVG xlink:href', markup: '<svg><a xlink:href="', chain: ['safeUrl'] },
+
+  { label: 'HTML comment', markup: '<!-- ', chain: null },
+  { label: 'doctype', markup: '<!DOCTYPE ', chain: null },
+  { label: 'tag name', markup: '<', chain: null },
+  { label: 'between attributes', markup: '<input ', chain: null },
+  { label: 'attribute name', markup: '<input data-', chain: null },
+  { label: 'inside an unquoted attribute', markup: '<div class=a', chain: null },
+  { label: 'script comment', markup: '<script>// ', chain: null },
+  { label: 'style comment', markup: '<style>/* ', chain: null },
+  { label: 'event handler comment', markup: '<a onclick="/* ', chain: null },
+  { label: 'srcdoc attribute', markup: '<iframe srcdoc="', chain: null },
+  { label: 'unquoted srcdoc attribute', markup: '<iframe SRCDOC=', chain: null },
+  { label: '<xmp>', markup: '<xmp>', chain: null }
+];
+
+describe('html context', function() {
+  describe('filter chains', function() {
+    CHAIN_CASES.forEach(function(c) {
+      it('for ' + c.label + ' is ' + JSON.stringify(c.chain), function() {
+        assert.deepEqual(chainAt(c.markup), c.chain);
+      });
+    });
+  });
+
+  it('reports attribute details', function() {
+    var ctx = contextAt('<A HREF=\'/x?y=');
+    assert.equal(ctx.state, 'attr');
+    assert.equal(ctx.element, 'a');
+    assert.equal(ctx.attr, 'href');
+    assert.equal(ctx.attrType, 'url');
+    assert.equal(ctx.quote, '\'');
+    assert.equal(ctx.url, 'query');
+  });
+
+  it('reports the start of unquoted values', function() {
+    assert.strictEqual(contextAt('<div id=').unquotedStart, true);
+    assert.strictEqual(contextAt('<div id="').unquotedStart, false);
+  });
+
+  it('treats a value at an unquoted start as a quoted value', function() {
+    var ctx = new htmlContext.HtmlContext();
+    ctx.write('<div id=').placeholder().write(' title="');
+    assert.deepEqual(htmlContext.filterChain(ctx.context()), ['html']);
+  });
+
+  it('treats a "/" after a value as division', function() {
+    var ctx = new htmlContext.HtmlContext();
+    ctx.write('<script>var x = ').placeholder().write(' / 2, y = "');
+    assert.equal(ctx.context().js, 'string');
+  });
+
+  it('can be written to in pieces', function() {
+    var ctx = new htmlContext.HtmlContext();
+    ctx.write('<scr').write('ipt>var x = "<').write('/script').write('>');
+    assert.equal(ctx.context().state, 'text');
+  });
+
+  it('describes contexts', function() {
+    assert.equal(htmlContext.describe(contextAt('<a onclick="/* ')),
+      'quoted onclick attribute of <a> (JavaScript comment)');
+    assert.equal(htmlContext.describe(contextAt('<!-- ')), 'HTML comment');
+    assert.equal(htmlContext.describe(contextAt('<style>')),
+      'content of <style> (CSS code)');
+  });
+});
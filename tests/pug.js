@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var secureFilters = require('../index');
+var node = require('./support/node');
+
+// Pug 3 needs node.js 10 or later; before that the suite is skipped.
+var pug = node.since(10) && require('pug');
+
+var EVIL = '\'</script><script>alert(1)//';
+
+node.describeSince(10)('Pug', function() {
+  before(function() {
+    secureFilters.configure(pug);
+  });
+
+  it('encodes runtime values with the filters', function() {
+    var html = pug.render('script.\n  var name = \'!{js(name)}\';', {
+      name: EVIL
+    });
+    assert.equal(html,
+      '<script>var name = \'' + secureFilters.js(EVIL) + '\';</script>');
+    assert.equal(html.indexOf('</script><script>'), -1);
+  });
+
+  it('adds the filters to compiled templates', function() {
+    var template = pug.compile('a(href=\'/u/\' + uri(id))= id');
+    assert.equal(template({id: 'a b&c'}),
+      '<a href="/u/a%20b%26c">a b&amp;c</a>');
+    assert.equal(template({id: EVIL}), pug.render(
+      'a(href=\'/u/\' + uri(id))= id', {id: EVIL}));
+  });
+
+  it('lets template values override the filters', function() {
+    assert.equal(pug.render('p= html', {html: 'mine'}), '<p>mine</p>');
+  });
+
+  it('adds the filters to files rendered for Express', function(done) {
+    var file = path.join(os.tmpdir(), 'secure-filters-' + process.pid + '.pug');
+    fs.writeFileSync(file, 'p(onclick!=\'go(\' + html(jsObj(data)) + \')\')');
+    pug.__express(file, {data: {x: EVIL}}, function(err, html) {
+      fs.unlinkSync(file);
+      if (err) {
+        return done(err);
+      }
+      assert.equal(html, '<p onclick="go(' +
+        secureFilters.html(secureFilters.jsObj({x: EVIL})) + ')"></p>');
+      done();
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+var secureFilters = require('../index');
+
+var DATA = {html: '</script><!--', line: '\u2028', n: 1.5, list: [true, null]};
+
+/**
+ * Runs a JSONP body, returning what the callback was called with.
+ */
+function runJsonp(body, callback) {
+  var calls = [];
+  var sandbox = {};
+  var target = sandbox;
+  var parts = callback.split('.');
+  for (var i = 0; i < parts.length - 1; i++) {
+    target = target[parts[i]] = {};
+  }
+  target[parts[parts.length - 1]] = function() {
+    calls.push([].slice.call(arguments));
+  };
+  vm.runInNewContext(body, sandbox);
+  return calls;
+}
+
+describe('response helpers', function() {
+  describe('safeJsonBody', function() {
+    it('is JSON that cannot be read as HTML', function() {
+      var body = secureFilters.safeJsonBody(DATA);
+      assert.deepEqual(JSON.parse(body), DATA);
+      assert(!/[<>&'\u2028]/.test(body), body);
+      assert.equal(body.indexOf('\\x'), -1);
+    });
+
+    it('adds the prefix if asked to', function() {
+      var body = secureFilters.safeJsonBody([1], {prefix: true});
+      assert.equal(body, ')]}\',\n[1]');
+      assert.deepEqual(JSON.parse(body.replace(/^\)\]\}',?\n/, '')), [1]);
+    });
+
+    it('sends undefined as null', function() {
+      assert.equal(secureFilters.safeJsonBody(undefined), 'null');
+    });
+  });
+
+  describe('safeJsonpBody', function() {
+    it('calls the callback with the data', function() {
+      ['cb', 'jQuery1102_1400', '$.x._y', 'a1.b2.c3'].forEach(function(name) {
+        var body = secureFilters.safeJsonpBody(name, DATA);
+        assert.deepEqual(runJsonp(body, name), [[DATA]]);
+        assert.equal(body.indexOf('/**/'), 0);
+        assert(!/[<>\u2028]/.test(body), body);
+      });
+    });
+
+    it('does nothing if the callback is not a function', function() {
+      assert.doesNotThrow(function() {
+        vm.runInNewContext(secureFilters.safeJsonpBody('cb', 1), {cb: 'x'});
+      });
+    });
+
+    it('refuses other callback names', function() {
+      ['', 'a b', 'alert(1)//', 'a.', '.a', 'a..b', '1a', 'a[0]', 'a-b',
+        'caf\u00E9', 'x\u2028', 'new', 'typeof', 'this.x', 'a.__proto__',
+        'constructor', 'a.prototype.b', new Array(130).join('a'), ['cb'],
+        {}, null, undefined].forEach(function(name) {
+        assert.throws(function() {
+          secureFilters.safeJsonpBody(name, 1);
+        }, function(err) {
+          return err.status === 400 &&
+            /only allows JSONP callbacks that are JavaScript identifiers/
+              .test(err.message);
+        }, JSON.stringify(name));
+      });
+    });
+  });
+
+  describe('expressHelpers', function() {
+    function run(middleware, req, res) {
+      res.headers = {};
+      res.setHeader = function(name, value) {
+        res.headers[name] = value;
+      };
+      res.end = function(body) {
+        res.body = body;
+      };
+      var called = false;
+      middleware(req, res, function() {
+        called = true;
+      });
+      assert(called);
+      return res;
+    }
+
+    it('adds the filters to res.locals', function() {
+      var res = run(secureFilters.expressHelpers(), {}, {locals: {user: 'x'}});
+      assert.equal(res.locals.user, 'x');
+      assert.strictEqual(res.locals.html, secureFilters.html);
+      assert.strictEqual(res.locals.jsObj, secureFilters.jsObj);
+      assert.strictEqual(res.locals.configure, undefined);
+    });
+
+    it('selects filters like configure()', function() {
+      var filters = secureFilters.create({entities: 'hex'});
+      var res = run(secureFilters.expressHelpers({
+        include: ['html', 'js'],
+        exclude: ['js'],
+        prefix: 'sf_',
+        filters: filters
+      }), {}, {});
+      assert.deepEqual(Object.keys(res.locals), ['sf_html']);
+      assert.equal(res.locals.sf_html('<'), '&#x3C;');
+
+      res = run(secureFilters.expressHelpers({locals: false}), {}, {});
+      assert.deepEqual(res.locals, {});
+
+      assert.throws(function() {
+        secureFilters.expressHelpers({include: ['htm']});
+      }, /no filter named "htm"/);
+    });
+
+    it('sends JSON with res.safeJson', function() {
+      var res = run(secureFilters.expressHelpers(), {}, {});
+      res.safeJson(DATA);
+      assert.equal(res.headers['Content-Type'],
+        'application/json; charset=utf-8');
+      assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+      assert.equal(res.body, secureFilters.safeJsonBody(DATA));
+
+      res.safeJson(DATA, {prefix: true});
+      assert.equal(res.body, secureFilters.safeJsonBody(DATA, {prefix: true}));
+    });
+
+    it('uses the JSON prefix option by default', function() {
+      var res = run(secureFilters.expressHelpers({jsonPrefix: true}), {}, {});
+      res.safeJson(1);
+      assert.equal(res.body, ')]}\',\n1');
+      res.safeJson(1, {prefix: false});
+      assert.equal(res.body, '1');
+    });
+
+    it('sends JSONP with res.safeJsonp', function() {
+      var res = run(secureFilters.expressHelpers(),
+        {query: {callback: 'app.done'}}, {});
+      res.safeJsonp(DATA);
+      assert.equal(res.headers['Content-Type'],
+        'text/javascript; charset=utf-8');
+      assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+      assert.deepEqual(runJsonp(res.body, 'app.done'), [[DATA]]);
+    });
+
+    it('reads the callback from the URL without req.query', function() {
+      var res = run(secureFilters.expressHelpers({callback: 'jsonp'}),
+        {url: '/data?callback=no&jsonp=yes'}, {});
+      res.safeJsonp(1);
+      assert.deepEqual(runJsonp(res.body, 'yes'), [[1]]);
+    });
+
+    it('sends JSON if there is no callback', function() {
+      var res = run(secureFilters.expressHelpers(), {query: {}}, {});
+      res.safeJsonp(DATA);
+      assert.equal(res.headers['Content-Type'],
+        'application/json; charset=utf-8');
+      assert.equal(res.body, secureFilters.safeJsonBody(DATA));
+    });
+
+    it('throws a 400 error for bad callbacks', function() {
+      ['alert(1);x', ['a', 'b']].forEach(function(callback) {
+        var res = run(secureFilters.expressHelpers(),
+          {query: {callback: callback}}, {});
+        assert.throws(function() {
+          res.safeJsonp(1);
+        }, function(err) {
+          return err.status === 400;
+        });
+        assert.strictEqual(res.body, undefined);
+      });
+    });
+
+    it("uses Express's res.send", function() {
+      var sent = [];
+      var res = run(secureFilters.expressHelpers(), {}, {
+        send: function(body) {
+          sent.push(body);
+          return this;
+        }
+      });
+      assert.strictEqual(res.safeJson([1]), res);
+      assert.deepEqual(sent, ['[1]']);
+    });
+  });
+
+  describe('koaHelpers', function() {
+    function run(middleware, query) {
+      var ctx = {query: query || {}, headers: {}};
+      ctx.set = function(name, value) {
+        ctx.headers[name] = value;
+      };
+      var called = false;
+      var result = middleware(ctx, function() {
+        called = true;
+        return 'next';
+      });
+      assert(called);
+      assert.equal(result, 'next');
+      return ctx;
+    }
+
+    it('adds the filters to ctx.state', function() {
+      var ctx = run(secureFilters.koaHelpers({include: ['css']}));
+      assert.deepEqual(Object.keys(ctx.state), ['css']);
+      assert.strictEqual(ctx.state.css, secureFilters.css);
+    });
+
+    it('sends JSON with ctx.safeJson', function() {
+      var ctx = run(secureFilters.koaHelpers({jsonPrefix: true}));
+      ctx.safeJson(DATA);
+      assert.equal(ctx.headers['Content-Type'],
+        'application/json; charset=utf-8');
+      assert.equal(ctx.headers['X-Content-Type-Options'], 'nosniff');
+      assert.equal(ctx.body, secureFilters.safeJsonBody(DATA, {prefix: true}));
+    });
+
+    it('sends JSONP with ctx.safeJsonp', function() {
+      var ctx = run(secureFilters.koaHelpers(), {callback: 'cb'});
+      ctx.safeJsonp(DATA);
+      assert.equal(ctx.headers['Content-Type'],
+        'text/javascript; charset=utf-8');
+      assert.deepEqual(runJsonp(ctx.body, 'cb'), [[DATA]]);
+
+      ctx = run(secureFilters.koaHelpers(), {callback: 'eval("x")'});
+      assert.throws(function() {
+        ctx.safeJsonp(DATA);
+      }, function(err) {
+        return err.status === 400;
+      });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var safeHtml = secureFilters.safeHtml;
+
+var EVIL = '"\'><script>alert(1)</script>';
+
+// Tests call the tag as a function, since template literals aren't supported
+// by all the node.js versions we support:
+//   safeHtml(['<p>', '</p>'], x)  is the same as  safeHtml`<p>${x}</p>`
+describe('safeHtml', function() {
+  it('returns trusted HTML', function() {
+    var result = safeHtml(['<p>hi</p>']);
+    assert(secureFilters.isTrusted(result, 'html'));
+    assert.equal(String(result), '<p>hi</p>');
+  });
+
+  it('escapes values for their context', function() {
+    var result = safeHtml(
+      ['<a href="', '?q=', '" title="', '" onclick="go(\'', '\')" ' +
+       'style="color: ', '">', '</a>'],
+      'javascript:alert(1)', EVIL, EVIL, EVIL, EVIL, EVIL);
+    assert.equal(String(result),
+      '<a href="about:invalid#secure-filters?q=' + secureFilters.uri(EVIL) +
+      '" title="' + secureFilters.html(EVIL) +
+      '" onclick="go(\'' + secureFilters.jsAttr(EVIL) +
+      '\')" style="color: ' + secureFilters.style(EVIL) + '">' +
+      secureFilters.html(EVIL) + '</a>');
+  });
+
+  it('escapes script values', function() {
+    assert.equal(String(safeHtml(['<script>var a = ', ', b = "', '";</script>'],
+                                 {x: EVIL}, EVIL)),
+      '<script>var a = ' + secureFilters.jsObj({x: EVIL}) +
+      ', b = "' + secureFilters.js(EVIL) + '";</script>');
+  });
+
+  it('quotes values that start an unquoted attribute', function() {
+    assert.equal(String(safeHtml(['<p class=', '>'], 'a b')),
+      '<p class="a b">');
+  });
+
+  it('nests without double encoding', function() {
+    var inner = safeHtml(['<b>', '</b>'], '<i>');
+    assert.equal(String(safeHtml(['<p>', '</p>'], inner)),
+      '<p><b>&lt;i&gt;</b></p>');
+  });
+
+  it('encodes nested HTML outside of text', function() {
+    var inner = safeHtml(['<b class="x">', '</b>'], 'y');
+    assert.equal(String(safeHtml(['<p title="', '">'], inner)),
+      '<p title="&lt;b class&#61;&quot;x&quot;&gt;y&lt;&#47;b&gt;">');
+    assert.equal(String(safeHtml(['<textarea>', '</textarea>'], inner)),
+      '<textarea>&lt;b class&#61;&quot;x&quot;&gt;y&lt;&#47;b&gt;</textarea>');
+  });
+
+  it('joins arrays, escaping each element', function() {
+    var items = ['<a>', '<b>'].map(function(item) {
+      return safeHtml(['<li>', '</li>'], item);
+    });
+    assert.equal(String(safeHtml(['<ul>', '</ul>'], items)),
+      '<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>');
+    assert.equal(String(safeHtml(['<p class="', '">'], ['a ', '<b>'])),
+      '<p class="a &lt;b&gt;">');
+  });
+
+  it('joins arrays before escaping them outside text', function() {
+    assert.equal(String(safeHtml(['<a href="', '">'],
+      ['javascript', ':alert(1)'])), '<a href="about:invalid#secure-filters">');
+    assert.equal(String(safeHtml(['<a href="', '">'], ['/a', ['/b', '?c']])),
+      '<a href="&#47;a&#47;b&#63;c">');
+    assert.equal(String(safeHtml(['<script>var a = ', ';</script>'],
+      ['1', '2'])), '<script>var a = "12";</script>');
+  });
+
+  it('converts values to strings', function() {
+    assert.equal(String(safeHtml(['<p>', ' ', '</p>'], 1234, null)),
+      '<p>1234 null</p>');
+  });
+
+  it('rejects values where no filter is safe', function() {
+    assert.throws(function() {
+      safeHtml(['<p>', '<!-- ', ' -->'], 'a', 'b');
+    }, /cannot escape value 2 in HTML comment/);
+    assert.throws(function() {
+      safeHtml(['<input ', '>'], 'disabled');
+    }, /in tag of <input>/);
+    assert.throws(function() {
+      safeHtml(['<iframe srcdoc="', '"></iframe>'], '<script>alert(1)</script>');
+    }, /cannot escape value 1 in quoted srcdoc attribute of <iframe>/);
+  });
+});
@@ -0,0 +1,193 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var secureFilters = require('../index');
+var sanitizeHtml = secureFilters.sanitizeHtml;
+
+var COMMENT_POLICY = {
+  elements: { a: ['href'], b: [], br: [], p: [] },
+  attributes: ['title']
+};
+
+var CASES = [
+  {
+    label: 'plain text',
+    input: 'a < b & "c"',
+    output: 'a &lt; b &amp; &quot;c&quot;'
+  },
+  {
+    label: 'allowed elements',
+    input: '<p>Hello, <b>world</b>!<br/></p>',
+    output: '<p>Hello, <b>world</b>&#33;<br></p>'
+  },
+  {
+    label: 'disallowed elements',
+    input: '<div><marquee>hi</marquee></div>',
+    output: 'hi'
+  },
+  {
+    label: 'scripts',
+    input: '<p>x<script>alert(1)</script></p><style>p{}</style>',
+    output: '<p>x</p>'
+  },
+  {
+    label: 'comments',
+    input: 'a<!-- <p> -->b<!doctype html>c<?xml?>d',
+    output: 'abcd'
+  },
+  {
+    label: 'event handlers and disallowed attributes',
+    input: '<p onclick="alert(1)" class="x" TITLE="t">hi</p>',
+    output: '<p title="t">hi</p>'
+  },
+  {
+    label: 'attribute values',
+    input: '<p title=\'"><script>\'>x</p>',
+    output: '<p title="&quot;&gt;&lt;script&gt;">x</p>'
+  },
+  {
+    label: 'duplicate attributes',
+    input: '<p title="a" title="b">x</p>',
+    output: '<p title="a">x</p>'
+  },
+  {
+    label: 'allowed URLs',
+    input: '<a href="https://example.com/?a=1&amp;b=2">x</a>',
+    output: '<a href="https&#58;&#47;&#47;example.com&#47;&#63;a&#61;1&amp;b&#61;2">x</a>'
+  },
+  {
+    label: 'relative URLs',
+    input: '<a href="/help">x</a>',
+    output: '<a href="&#47;help">x</a>'
+  },
+  {
+    label: 'javascript: URLs',
+    input: '<a href="javascript:alert(1)">x</a>',
+    output: '<a>x</a>'
+  },
+  {
+    label: 'obfuscated javascript: URLs',
+    input: '<a href=" JaVa&#x09;Script&#58;alert(1)">x</a>' +
+      '<a href="&#x6A;avascript:alert(1)">y</a>',
+    output: '<a>x</a><a>y</a>'
+  },
+  {
+    label: 'data: URLs',
+    input: '<a href="data:text/html,<script>">x</a>',
+    output: '<a>x</a>'
+  },
+  {
+    label: 'unclosed elements',
+    input: '<p><b>x',
+    output: '<p><b>x</b></p>'
+  },
+  {
+    label: 'mis-nested elements',
+    input: '<p><b>x</p>y</b>',
+    output: '<p><b>x</b></p>y'
+  },
+  {
+    label: 'stray end tags',
+    input: '</p>x</b>',
+    output: 'x'
+  },
+  {
+    label: 'unterminated tags',
+    input: 'x <b title="y',
+    output: 'x &lt;b title&#61;&quot;y'
+  },
+  {
+    label: 'character references',
+    input: '&eacute; &#233; &#xE9; &lt;b&gt; &bogus &#0;',
+    output: '&eacute; é é &lt;b&gt; &amp;bogus �'
+  }
+];
+
+describe('sanitizeHtml', function() {
+  CASES.forEach(function(c) {
+    it('handles ' + c.label, function() {
+      assert.equal(sanitizeHtml(c.input, COMMENT_POLICY), c.output);
+    });
+  });
+
+  it('converts values to strings', function() {
+    assert.equal(sanitizeHtml(1234), '1234');
+  });
+
+  it('uses the default policy', function() {
+    assert.equal(sanitizeHtml('<ul><li><i>x</i></li></ul><img src=x>'),
+      '<ul><li><i>x</i></li></ul>');
+  });
+
+  it('can encode disallowed markup', function() {
+    assert.equal(
+      sanitizeHtml('<b>x</b><img src=x><script>y</script><!-- z -->', {
+        elements: { b: [] },
+        disallowed: 'encode'
+      }),
+      '<b>x</b>&lt;img src&#61;x&gt;&lt;script&gt;y&lt;&#47;script&gt;');
+  });
+
+  it('never allows scripts, even when listed', function() {
+    assert.equal(sanitizeHtml('<script>x</script><b onclick="x">y</b>', {
+      elements: { script: [], b: ['onclick'] }
+    }), '<b>y</b>');
+  });
+
+  it('supports custom URL schemes', function() {
+    var policy = { elements: { a: ['href'] }, urlSchemes: ['HTTPS', 'tel'] };
+    assert.equal(
+      sanitizeHtml('<a href="tel:555">x</a><a href="http://x">y</a>', policy),
+      '<a href="tel&#58;555">x</a><a>y</a>');
+  });
+
+  it('validates every URL attribute', function() {
+    var policy = {
+      elements: { svg: [], a: ['xlink:href'],
+        object: ['data', 'codebase', 'classid', 'title'] }
+    };
+    assert.equal(sanitizeHtml(
+      '<svg><a xlink:href="javascript&#58;alert(1)">x</a></svg>' +
+      '<object data="javascript:alert(2)" codebase="javascript:x" ' +
+      'classid="vbscript:y" title="t"></object>' +
+      '<a xlink:href="https://example.com/">y</a>', policy),
+      '<svg><a>x</a></svg><object title="t"></object>' +
+      '<a xlink:href="https&#58;&#47;&#47;example.com&#47;">y</a>');
+  });
+
+  it('rejects unknown "disallowed" modes', function() {
+    assert.throws(function() {
+      sanitizeHtml('x', { disallowed: 'ignore' });
+    }, /"drop" or "encode"/);
+  });
+});
@@ -0,0 +1,224 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var secureFilters = require('../index');
+var shellArg = secureFilters.shellArg;
+var shellCommand = secureFilters.shellCommand;
+
+var TRICKY = [
+  'plain',
+  '',
+  'two words',
+  'it\'s',
+  '"double"',
+  '$(touch pwned)',
+  '`touch pwned`',
+  '${HOME}',
+  'a;b|c&d>e<f',
+  'line\nbreak',
+  'back\\slash\\',
+  '*.js ~ ?',
+  '!event',
+  '%PATH%',
+  'caf\u00e9 \u2603'
+];
+
+describe('shellArg', function() {
+  describe('for POSIX shells', function() {
+    it('quotes arguments so the shell passes them through as-is', function() {
+      this.timeout(10000);
+      TRICKY.forEach(function(arg) {
+        var output = childProcess.execFileSync('/bin/sh',
+          ['-c', 'printf "%s|" ' + shellArg(arg) + ' ' + shellArg(arg, {})],
+          {encoding: 'utf8'});
+        assert.equal(output, arg + '|' + arg + '|');
+      });
+    });
+
+    it('uses single quotes', function() {
+      assert.equal(shellArg('a b'), '\'a b\'');
+      assert.equal(shellArg('it\'s'), '\'it\'\\\'\'s\'');
+      assert.equal(shellArg(''), '\'\'');
+      assert.equal(shellArg(42), '\'42\'');
+    });
+  });
+
+  describe('for cmd', function() {
+    var CASES = [
+      ['plain', '^"plain^"'],
+      ['two words', '^"two^ words^"'],
+      ['"double"', '^"\\^"double\\^"^"'],
+      ['a&b|c', '^"a^&b^|c^"'],
+      ['%PATH%', '^"^%PATH^%^"'],
+      ['!x!', '^"^!x^!^"'],
+      ['back\\slash\\', '^"back\\slash\\\\^"'],
+      ['a\\"b', '^"a\\\\\\^"b^"'],
+      ['', '^"^"']
+    ];
+    CASES.forEach(function(c) {
+      it('quotes ' + JSON.stringify(c[0]), function() {
+        assert.equal(shellArg(c[0], {shell: 'cmd'}), c[1]);
+      });
+    });
+
+    it('refuses line breaks', function() {
+      assert.throws(function() {
+        shellArg('a\nb', {shell: 'cmd'});
+      }, /cannot quote line breaks for cmd/);
+    });
+  });
+
+  describe('for PowerShell', function() {
+    it('uses single quotes', function() {
+      assert.equal(shellArg('$(x) `y` "z"', {shell: 'powershell'}),
+        '\'$(x) `y` "z"\'');
+      assert.equal(shellArg('line\nbreak', {shell: 'powershell'}),
+        '\'line\nbreak\'');
+    });
+
+    it('doubles every kind of single quote', function() {
+      assert.equal(shellArg('it\'s \u2018x\u2019', {shell: 'powershell'}),
+        '\'it\'\'s \u2018\u2018x\u2019\u2019\'');
+    });
+  });
+
+  it('refuses NUL characters', function() {
+    ['posix', 'cmd', 'powershell'].forEach(function(shell) {
+      assert.throws(function() {
+        shellArg('a\u0000b', {shell: shell});
+      }, /cannot quote NUL characters/);
+    });
+  });
+
+  it('refuses leading dashes unless allowed', function() {
+    assert.throws(function() {
+      shellArg('--upload-pack=touch pwned');
+    }, /refuses "--upload-pack=touch pwned", which could be read as an option/);
+    assert.throws(function() {
+      shellArg('-rf', {shell: 'cmd'});
+    }, /could be read as an option/);
+    assert.equal(shellArg('-n', {allowDash: true}), '\'-n\'');
+  });
+
+  it('refuses unknown shells', function() {
+    assert.throws(function() {
+      shellArg('x', {shell: 'fish'});
+    }, /shell must be one of posix, cmd, powershell/);
+  });
+});
+
+// Tests call the tag as a function, since template literals aren't supported
+// by all the node.js versions we support.
+describe('shellCommand', function() {
+  it('quotes each value', function() {
+    assert.equal(shellCommand(['git checkout ', ' -- ', ''],
+                              'my branch', '$(touch pwned)'),
+      'git checkout \'my branch\' -- \'$(touch pwned)\'');
+  });
+
+  it('makes one argument per array element', function() {
+    assert.equal(shellCommand(['rm -- ', ''], ['a b', 'c']),
+      'rm -- \'a b\' \'c\'');
+    assert.equal(shellCommand(['ls ', ''], []), 'ls ');
+  });
+
+  it('only refuses leading dashes that start an argument', function() {
+    assert.equal(shellCommand(['git log --author=', ''], '-x'),
+      'git log --author=\'-x\'');
+    assert.throws(function() {
+      shellCommand(['git log ', ''], '--output=x');
+    }, /could be read as an option/);
+    assert.throws(function() {
+      shellCommand(['', ' x'], '-x');
+    }, /could be read as an option/);
+    assert.throws(function() {
+      shellCommand(['ls --x=', ''], ['a', '-b']);
+    }, /refuses "-b"/);
+  });
+
+  it('takes options for another shell', function() {
+    var cmd = shellCommand({shell: 'cmd'});
+    assert.equal(cmd(['dir ', ''], 'a&b'), 'dir ^"a^&b^"');
+    var ps = shellCommand({shell: 'powershell', allowDash: true});
+    assert.equal(ps(['Get-Item ', ''], '-x'), 'Get-Item \'-x\'');
+  });
+
+  it('refuses values inside double quotes', function() {
+    assert.throws(function() {
+      shellCommand(['echo "', '"'], '$(id)');
+    }, /cannot be inside quotes/);
+    assert.throws(function() {
+      shellCommand(['echo "a b', ' c"'], 'x');
+    }, /cannot be inside quotes/);
+    assert.throws(function() {
+      shellCommand({shell: 'cmd'})(['dir "', '"'], 'x');
+    }, /cannot be inside quotes/);
+  });
+
+  it('refuses values inside single quotes', function() {
+    assert.throws(function() {
+      shellCommand(['echo \'', '\''], 'x\'; id; \'');
+    }, /cannot be inside quotes/);
+    assert.throws(function() {
+      shellCommand({shell: 'powershell'})(['echo \u2018', '\''], 'x');
+    }, /cannot be inside quotes/);
+  });
+
+  it('refuses values in the middle of a word', function() {
+    [['foo', ''], ['', 'foo'], ['ls \\', ''], ['ls a\\ ', ''], ['', '', '']]
+      .forEach(function(strings) {
+        assert.throws(function() {
+          shellCommand.apply(null, [strings].concat(['x', 'y'].slice(0,
+            strings.length - 1)));
+        }, /must be a whole argument/, JSON.stringify(strings));
+      });
+  });
+
+  it('tracks quotes and escapes across the template', function() {
+    assert.equal(shellCommand(['echo "it\'s" \'a"b\' \\" ', ''], 'x'),
+      'echo "it\'s" \'a"b\' \\" \'x\'');
+    assert.equal(shellCommand(['echo "\\"" ', ' >', '; ls|(cat ', ')'],
+      'a', 'b', 'c'), 'echo "\\"" \'a\' >\'b\'; ls|(cat \'c\')');
+    assert.equal(shellCommand({shell: 'cmd'})(['echo "a^" ', ''], 'x'),
+      'echo "a^" ^"x^"');
+    assert.equal(shellCommand({shell: 'powershell'})(['echo \'it\'\'s\' ', ''],
+      'x'), 'echo \'it\'\'s\' \'x\'');
+  });
+
+  it('runs the command it builds', function() {
+    var command = shellCommand(['printf "%s|" ', ' ', ''], TRICKY, 'x');
+    assert.equal(childProcess.execFileSync('/bin/sh', ['-c', command],
+      {encoding: 'utf8'}), TRICKY.join('|') + '|x|');
+  });
+});
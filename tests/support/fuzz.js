@@ -0,0 +1,217 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+// Random and adversarial inputs for tests/fuzz.js and tests/conformance.js.
+//
+// The inputs are the same on every run.  Set FUZZ_RUNS for more random
+// inputs per filter, and FUZZ_SEED for different ones:
+//   FUZZ_RUNS=20000 FUZZ_SEED=7 npm test
+
+var RUNS = parseInt(process.env.FUZZ_RUNS, 10) || 200;
+var SEED = parseInt(process.env.FUZZ_SEED, 10) || 1;
+
+// Syntax of the contexts the filters are for, ways of obfuscating it, and
+// the characters that have tripped up encoders before.
+var ADVERSARIAL = [
+  '<', '>', '&', '"', '\'', '`', '/', '\\', '=', ';', ':', ',', '(', ')', '{',
+  '}', '[', ']', '*', '+', '$', '%', '#', '!', '@', '-', '.', '_', ' ',
+  '\t', '\n', '\r', '\r\n', '\f', '\v', '\x00', '\x08', '\x1B', '\x7F',
+  '\x85', '\xA0', '\xAD', '\u2028', '\u2029', '\u200B', '\uFEFF', '\uFFFD',
+  '\uFFFE', '\uFFFF', '\uD800', '\uDBFF', '\uDC00', '\uDFFF', '\uDFFF\uD800',
+  '\uD83D\uDE00', '\uDBFF\uDFFF', '\uFF1C', '\uFE64', '\u0130', '\u212A',
+  '</script', '</SCRIPT >', '<script>', '<!--', '-->', '--!>', '</style',
+  '</textarea', '</title', ']]>', '<![CDATA[', '<?', '*/', '/*', '//', '${',
+  '\\x3c', '\\u003C', '\\u{3c}', '\\3c ', '\\', '&lt;', '&#60;', '&#x3c',
+  '&#0;', '&#x80;', '&NotANamedRef;', '&amp', '%3C', '%', '%00', '%u003c',
+  'javascript:', 'JaVaScRiPt:', 'java\tscript:', ' javascript:',
+  '&#106;avascript:', 'javascript&colon;', 'vbscript:', 'data:text/html,',
+  'http://', 'https:', 'mailto:', '//evil.example', 'expression(', 'url(',
+  '@import', '\\65 xpression(', 'onerror=', 'a', 'Z', '0', '9', 'e1',
+  '\u00E9', '\u0430', '\u2603'
+];
+
+// Pieces of CSS values, valid and not.
+var CSS_PIECES = [
+  'red', '#fff', '#12345678', 'transparent', '1px', '-2.5em', '50%', '0',
+  'rgb(', 'rgba(', 'hsl(', 'calc(', 'min(', 'var(', '--x', ')', ',', ' ',
+  '+', '-', '*', '/', '"Arial"', '\'Open Sans\'', '"serif"', 'serif',
+  'Helvetica Neue', 'url(', 'expression(', 'attr(', 'image-set(', ';', ':',
+  '{', '}', '!important', '@import', '\\', '/*', '*/', '<', '>', '&', '"', '\'',
+  '\n', 'block', 'none', 'inherit'
+];
+
+/**
+ * A seeded random number generator (Park-Miller), so that runs can be
+ * repeated.
+ */
+function Random(seed) {
+  this.state = seed % 2147483647;
+  if (this.state <= 0) {
+    this.state += 2147483646;
+  }
+}
+
+Random.prototype.next = function() {
+  this.state = this.state * 16807 % 2147483647;
+  return (this.state - 1) / 2147483646;
+};
+
+Random.prototype.below = function(n) {
+  return Math.floor(this.next() * n);
+};
+
+Random.prototype.pick = function(list) {
+  return list[this.below(list.length)];
+};
+
+/**
+ * A random character: mostly ASCII, then Latin-1, the rest of the BMP
+ * (unpaired surrogates included) and astral characters.
+ */
+Random.prototype.character = function() {
+  var kind = this.below(10);
+  if (kind < 5) {
+    return String.fromCharCode(this.below(0x80));
+  } else if (kind < 7) {
+    return String.fromCharCode(0x80 + this.below(0x80));
+  } else if (kind < 9) {
+    return String.fromCharCode(0x100 + this.below(0xFF00));
+  }
+  var code = this.below(0x100000); // above U+FFFF
+  return String.fromCharCode(0xD800 + Math.floor(code / 0x400),
+                             0xDC00 + code % 0x400);
+};
+
+/**
+ * A random string, mixing adversarial pieces with random characters.
+ */
+Random.prototype.string = function(pieces) {
+  var len = this.below(pieces || 12);
+  var str = '';
+  for (var i = 0; i < len; i++) {
+    str += this.next() < 0.5 ? this.pick(ADVERSARIAL) : this.character();
+  }
+  return str;
+};
+
+/**
+ * A random CSS value, mostly from CSS_PIECES.
+ */
+Random.prototype.cssValue = function() {
+  var str = '';
+  for (var i = this.below(6); i > 0; i--) {
+    str += this.next() < 0.7 ? this.pick(CSS_PIECES) : this.string(2);
+  }
+  return str;
+};
+
+/**
+ * A random JSON-compatible value.
+ */
+Random.prototype.value = function(depth) {
+  depth = depth || 0;
+  var kind = this.below(depth > 2 ? 4 : 6);
+  var i;
+  switch (kind) {
+    case 0:
+      return this.string();
+    case 1:
+      return this.pick([0, -1, 1.5, -0.000001, 2147483648]);
+    case 2:
+      return this.pick([true, false]);
+    case 3:
+      return null;
+    case 4:
+      var list = [];
+      for (i = this.below(4); i > 0; i--) {
+        list.push(this.value(depth + 1));
+      }
+      return list;
+    default:
+      var obj = {};
+      for (i = this.below(4); i > 0; i--) {
+        obj[this.string(4)] = this.value(depth + 1);
+      }
+      return obj;
+  }
+};
+
+/**
+ * Each adversarial piece, then RUNS random strings.
+ * @param {Function} [make] makes a random input from a Random; strings by
+ * default
+ * @return {Array}
+ */
+function inputs(make) {
+  var rand = new Random(SEED);
+  var list = make ? [] : ADVERSARIAL.slice();
+  for (var i = 0; i < RUNS; i++) {
+    list.push(make ? make(rand) : rand.string());
+  }
+  return list;
+}
+
+/**
+ * Calls `check` for each input, naming the input and seed in any failure.
+ */
+function forEachInput(list, check) {
+  list.forEach(function(input, i) {
+    try {
+      check(input);
+    } catch (err) {
+      var message = 'for input ' + i + ' ' + JSON.stringify(input) +
+        ' (FUZZ_SEED=' + SEED + '): ' + err.message;
+      // Mocha reports the stack, which starts with the message.
+      err.stack = String(err.stack).replace(err.message, message);
+      err.message = message;
+      throw err;
+    }
+  });
+}
+
+/**
+ * What a filter's output should decode to: the input with unpaired
+ * surrogates replaced, as every filter does.
+ */
+function wellFormed(str) {
+  return String(str).replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]/g,
+    function(match) {
+      return match.length === 2 ? match : '\uFFFD';
+    });
+}
+
+exports.ADVERSARIAL = ADVERSARIAL;
+exports.CSS_PIECES = CSS_PIECES;
+exports.Random = Random;
+exports.inputs = inputs;
+exports.forEachInput = forEachInput;
+exports.wellFormed = wellFormed;
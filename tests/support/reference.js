@@ -0,0 +1,241 @@
+/*!
+ * Copyright (c) 2014, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ *   Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ *   Neither the name of Salesforce.com, nor the names of its contributors may
+ *   be used to endorse or promote products derived from this software without
+ *   specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+'use strict';
+
+// The pattern-based encoders that the single-pass ones in
+// lib/secure-filters.js replaced, kept as the reference for their output
+// (tests/fuzz.js).  Trusted values and onEncode() are left out; they're
+// unchanged.
+
+var DEFAULT_ALLOW = {
+  html: '\t\n\v\f\r ,.-_',
+  js: ',.-_',
+  css: ''
+};
+var HTML_UNICODE = '\u00A0-\uD7FF\uE000-\uFFFF';
+var JSON_META = '":[\\]{}';
+var XML_ALLOW = '\t\n ,.-_';
+var XML_ATTR_ALLOW = ' ,.-_';
+
+var QUOT = /\x22/g;
+var APOS = /\x27/g;
+var AST = /\*/g;
+var TILDE = /~/g;
+var BANG = /!/g;
+var LPAREN = /\(/g;
+var RPAREN = /\)/g;
+var CDATA_CLOSE = /\]\](?:>|\\x3E|\\u003E)/gi;
+var HTML_CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+var XML_INVALID = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+var SURROGATES = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]/g;
+
+var HTML_ENTITY_NAMES = {0x22: 'quot', 0x26: 'amp', 0x3C: 'lt', 0x3E: 'gt'};
+('nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy ' +
+  'reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm ' +
+  'raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring ' +
+  'AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH ' +
+  'Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc ' +
+  'Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ' +
+  'ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ' +
+  'ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml ' +
+  'yacute thorn yuml').split(' ').forEach(function(name, i) {
+  HTML_ENTITY_NAMES[0xA0 + i] = name;
+});
+var XML_ENTITY_NAMES = {
+  0x22: 'quot', 0x26: 'amp', 0x27: 'apos', 0x3C: 'lt', 0x3E: 'gt'
+};
+
+function escapeCharClass(str) {
+  return str.replace(/[\\\]\^\-]/g, '\\$&');
+}
+
+function notAllowedPattern(allowed) {
+  return new RegExp('[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[^0-9A-Za-z' +
+    allowed + ']', 'g');
+}
+
+function codePointOf(charStr) {
+  var code = charStr.charCodeAt(0);
+  if (charStr.length === 2) {
+    return (code - 0xD800) * 0x400 + (charStr.charCodeAt(1) - 0xDC00) + 0x10000;
+  } else if (code >= 0xD800 && code <= 0xDFFF) {
+    return 0xFFFD;
+  }
+  return code;
+}
+
+function replaceLoneSurrogates(str) {
+  return str.replace(SURROGATES, function(match) {
+    return match.length === 2 ? match : '\uFFFD';
+  });
+}
+
+function htmlEntity(code, entities) {
+  if (entities === 'decimal') {
+    return '&#'+code.toString(10)+';';
+  } else if (entities === 'hex') {
+    return '&#x'+code.toString(16).toUpperCase()+';';
+  }
+  if (HTML_ENTITY_NAMES.hasOwnProperty(code) &&
+      (code < 0x80 || entities === 'named')) {
+    return '&'+HTML_ENTITY_NAMES[code]+';';
+  }
+  return code < 100 ? '&#'+code.toString(10)+';' :
+    '&#x'+code.toString(16).toUpperCase()+';';
+}
+
+function xmlEntity(code, entities) {
+  if (entities !== 'decimal' && entities !== 'hex' &&
+      XML_ENTITY_NAMES.hasOwnProperty(code)) {
+    return '&'+XML_ENTITY_NAMES[code]+';';
+  }
+  return htmlEntity(code, entities === 'named' ? null : entities);
+}
+
+function jsCodeUnitEncoder(code) {
+  var hex = code.toString(16).toUpperCase();
+  if (code < 0x80) {
+    return hex.length === 1 ? '\\x0'+hex : '\\x'+hex;
+  }
+  return '\\u' + ('000' + hex).slice(-4);
+}
+
+function jsSlashEncoder(charStr) {
+  var code = codePointOf(charStr);
+  if (code > 0xFFFF) {
+    return jsCodeUnitEncoder(charStr.charCodeAt(0)) +
+      jsCodeUnitEncoder(charStr.charCodeAt(1));
+  }
+  return jsCodeUnitEncoder(code);
+}
+
+/**
+ * The filters as they were, for the same options as create().
+ * @param {Object} [options] `allow`, `entities` and `asciiOnly`
+ * @return {Object} html, js, jsAttr, uri, json, jsObj, css, style, xml and
+ * xmlAttr
+ */
+function create(options) {
+  options = options || {};
+  var allow = {};
+  Object.keys(DEFAULT_ALLOW).forEach(function(type) {
+    var chars = options.allow && typeof options.allow[type] === 'string' ?
+      options.allow[type] : DEFAULT_ALLOW[type];
+    allow[type] = escapeCharClass(chars);
+  });
+  var asciiOnly = !!options.asciiOnly;
+  var entities = options.entities || null;
+  var xmlUnicode = asciiOnly ? '' : HTML_UNICODE;
+  var patterns = {
+    html: notAllowedPattern(allow.html + (asciiOnly ? '' : HTML_UNICODE)),
+    js: notAllowedPattern(allow.js),
+    json: notAllowedPattern(allow.js + escapeCharClass(JSON_META)),
+    css: notAllowedPattern(allow.css),
+    xml: notAllowedPattern(escapeCharClass(XML_ALLOW) + xmlUnicode),
+    xmlAttr: notAllowedPattern(escapeCharClass(XML_ATTR_ALLOW) + xmlUnicode)
+  };
+
+  function encodeXml(val, pattern) {
+    var str = String(val).replace(XML_INVALID, '\uFFFD');
+    return str.replace(pattern, function(match) {
+      var code = codePointOf(match);
+      if (!asciiOnly) {
+        if (match.length === 2) {
+          return match;
+        } else if (code === 0xFFFD) {
+          return '\uFFFD';
+        }
+      }
+      return xmlEntity(code, entities);
+    });
+  }
+
+  var filters = {
+    html: function(val) {
+      var str = String(val).replace(HTML_CONTROL, ' ');
+      return str.replace(patterns.html, function(match) {
+        var code = codePointOf(match);
+        if (!asciiOnly) {
+          if (match.length === 2) {
+            return match;
+          } else if (code === 0xFFFD) {
+            return '\uFFFD';
+          }
+        }
+        return htmlEntity(code, entities);
+      });
+    },
+    js: function(val) {
+      return String(val).replace(patterns.js, jsSlashEncoder);
+    },
+    jsAttr: function(val) {
+      return filters.html(filters.js(val));
+    },
+    uri: function(val) {
+      return encodeURIComponent(replaceLoneSurrogates(String(val)))
+        .replace(BANG, '%21')
+        .replace(QUOT, '%27')
+        .replace(APOS, '%27')
+        .replace(LPAREN, '%28')
+        .replace(RPAREN, '%29')
+        .replace(AST, '%2A')
+        .replace(TILDE, '%7E');
+    },
+    json: function(val) {
+      return String(val).replace(patterns.json, jsSlashEncoder)
+        .replace(CDATA_CLOSE, '\\x5D\\x5D\\x3E');
+    },
+    jsObj: function(val) {
+      return filters.json(JSON.stringify(val));
+    },
+    css: function(val) {
+      return String(val).replace(patterns.css, function(match) {
+        var code = codePointOf(match);
+        if (code === 0) {
+          return '\\fffd ';
+        }
+        return '\\'+code.toString(16).toLowerCase()+' ';
+      });
+    },
+    style: function(val) {
+      return filters.html(filters.css(val));
+    },
+    xml: function(val) {
+      return encodeXml(val, patterns.xml);
+    },
+    xmlAttr: function(val) {
+      return encodeXml(val, patterns.xmlAttr);
+    }
+  };
+  return filters;
+}
+
+exports.create = create;